@@ -1,8 +1,128 @@
-const { app, BrowserWindow, ipcMain, dialog } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog, protocol, net, nativeImage, clipboard } = require('electron');
 const fs = require('fs').promises;
+const fsSync = require('fs');
 const path = require('path');
 const os = require('os');
+const crypto = require('crypto');
+const { pathToFileURL } = require('url');
+const { parse: parseCsv } = require('csv-parse/sync');
+const { PDFDocument, PDFName, PDFHexString } = require('pdf-lib');
+const JSZip = require('jszip');
 const FileWatcher = require('./src/modules/core/FileWatcher');
+const { CommandLine, UsageError, USAGE, EXIT_OK, EXIT_FAILURE, EXIT_USAGE } = require('./src/modules/core/CommandLine');
+
+// Project locks are refreshed while open; one that misses several beats is
+// treated as abandoned (crashed app, machine asleep). Generous to allow for sync lag.
+const LOCK_HEARTBEAT_INTERVAL = 60 * 1000;
+const LOCK_STALE_AFTER = 5 * 60 * 1000;
+
+// Every save snapshots the project into Projects/.history/<name>/. Autosaves only
+// snapshot once per interval; pruning keeps the latest few plus one per day.
+const SNAPSHOT_AUTOSAVE_INTERVAL = 10 * 60 * 1000;
+const SNAPSHOT_KEEP_RECENT = 20;
+const SNAPSHOT_KEEP_DAYS = 30;
+
+// Workspace images are served as brochure-image://local/<file> and
+// brochure-image://cache/<path> so documents never embed a machine-specific path
+const IMAGE_PROTOCOL = 'brochure-image';
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.svg'];
+const THUMBNAIL_WIDTH = 320;
+const REMOTE_IMAGE_TIMEOUT = 30 * 1000;
+
+protocol.registerSchemesAsPrivileged([
+    { scheme: IMAGE_PROTOCOL, privileges: { standard: true, secure: true, supportFetchAPI: true, stream: true } }
+]);
+
+// Brand fonts live in Config/fonts and are embedded into every rendered document
+// as data URIs, so previews and PDFs never depend on Google Fonts being reachable
+const FONT_FORMATS = { '.woff2': 'woff2', '.woff': 'woff', '.ttf': 'truetype', '.otf': 'opentype' };
+const FONT_WEIGHTS = {
+    thin: 100, hairline: 100, extralight: 200, ultralight: 200, light: 300,
+    regular: 400, normal: 400, book: 400, medium: 500, semibold: 600, demibold: 600,
+    bold: 700, extrabold: 800, ultrabold: 800, black: 900, heavy: 900
+};
+// Families that are always available (generic or system) and never need bundling
+const SYSTEM_FONT_FAMILIES = [
+    'serif', 'sans-serif', 'monospace', 'cursive', 'fantasy', 'system-ui', 'inherit', 'initial', 'unset',
+    '-apple-system', 'blinkmacsystemfont', 'arial', 'helvetica', 'helvetica neue', 'georgia', 'times',
+    'times new roman', 'courier', 'courier new', 'verdana', 'tahoma', 'segoe ui'
+];
+const FONT_LOAD_TIMEOUT = 15 * 1000;
+
+// Big documents can take a while to load - the user can cancel rather than wait this out
+const EXPORT_LOAD_TIMEOUT = 2 * 60 * 1000;
+// Past exports are listed per project, from Exports/History/<project id>.json
+const EXPORT_HISTORY_LIMIT = 50;
+
+// Export paper sizes arrive from the renderer in mm, orientation already applied
+const DEFAULT_PAGE_SIZE = { width: 210, height: 297 };
+const MM_PER_INCH = 25.4;
+const CSS_PX_PER_MM = 96 / MM_PER_INCH;
+const PT_PER_MM = 72 / MM_PER_INCH;
+
+// Print-production profile: the sheet grows by a slug on every side that holds
+// the bleed, then crop and registration marks clear of it
+const PRINT_BLEED_DEFAULT = 3;
+const PRINT_BLEED_MAX = 10;
+const PRINT_MARK_OFFSET = 1;
+const PRINT_MARK_LENGTH = 5;
+const PRINT_SLUG_PADDING = 2;
+
+// Raster page export. Chromium won't zoom past 5x, which caps the resolution
+const IMAGE_EXPORT_MIN_WIDTH = 200;
+const IMAGE_EXPORT_MAX_ZOOM = 5;
+const IMAGE_EXPORT_JPEG_QUALITY = 90;
+const CLIPBOARD_IMAGE_WIDTH = 1600;
+
+// Offline web export: library images are inlined into a single file, or copied
+// into assets/ next to a folder of pages along with the brand fonts
+const WEB_EXPORT_ASSETS = 'assets';
+const WEB_IMAGE_URL_PATTERN = new RegExp(`${IMAGE_PROTOCOL}://[^"'()\\s<>]+`, 'g');
+const IMAGE_MIME_TYPES = {
+    '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.png': 'image/png',
+    '.gif': 'image/gif', '.webp': 'image/webp', '.svg': 'image/svg+xml'
+};
+
+// Template management edits Templates/ in place. Archived templates move into
+// Templates/.archive, which the loader and the file watcher both skip
+const TEMPLATE_ARCHIVE_DIR = '.archive';
+// Template and category names become folder names and part of every page's template ID
+const TEMPLATE_NAME_PATTERN = /^[\w][\w .&()'-]*$/;
+
+// Template packages are zips of a template folder for sharing between workspaces. The library
+// images and brand fonts its pages use travel in assets/ and are installed alongside it
+const TEMPLATE_PACKAGE_MANIFEST = 'brochure-package.json';
+const TEMPLATE_PACKAGE_FORMAT = 1;
+const TEMPLATE_PACKAGE_MAX_SIZE = 200 * 1024 * 1024;
+
+const PDF_AUTHOR = '3 Big Things';
+const PDF_CREATOR = 'Brochure';
+
+// Export watermarks by project status; Config/watermarks.json overrides these per
+// status and lists the users ("admins") allowed to export without them
+const DEFAULT_WATERMARKS = {
+    draft: { watermark: 'DRAFT', stamp: 'DRAFT – {title} – {date}' },
+    review: { watermark: 'FOR REVIEW', stamp: 'FOR REVIEW – v{revision} – {date}' },
+    final: null
+};
+
+// Image library CSV columns are matched by header name, not position.
+// Keys are headers lowercased with spaces/punctuation stripped.
+const IMAGE_CSV_HEADERS = {
+    filename: 'filename',
+    file: 'filename',
+    imagefilename: 'filename',
+    page: 'page',
+    url: 'url',
+    imageurl: 'url',
+    link: 'url',
+    description: 'description',
+    suggesteduses: 'suggestedUses',
+    suggesteduse: 'suggestedUses',
+    uses: 'suggestedUses',
+    tags: 'tags',
+    keywords: 'tags'
+};
 
 class BrochureApp {
     constructor() {
@@ -10,28 +130,164 @@ class BrochureApp {
         this.basePath = null;
         this.isDev = process.argv.includes('--dev');
         this.fileWatcher = null;
+        this.sessionId = crypto.randomUUID();
+        this.heldLock = null;
+        this.lockHeartbeat = null;
+        this.imageCacheRunning = false;
+        this.isHeadless = false;
+        this.exportJob = null;
     }
 
     async initialize() {
         await this.setupBasePath();
         await this.createFolderStructure();
+        this.registerImageProtocol();
         this.createWindow();
         this.setupIPC();
         this.initFileWatcher();
+
+        app.on('before-quit', () => this.releaseProjectLockSync());
     }
 
     async setupBasePath() {
-        const homedir = os.homedir();
-        this.basePath = path.join(
-            homedir,
+        // Resolution order: --workspace flag, BROCHURE_WORKSPACE env var,
+        // saved choice, legacy OneDrive folder, then ask on first run
+        const override = this.getWorkspaceOverride();
+        if (override) {
+            this.basePath = path.resolve(override);
+            console.log('Base path (override):', this.basePath);
+            return;
+        }
+
+        const config = await this.readWorkspaceConfig();
+        if (config.workspace && await this.exists(config.workspace)) {
+            this.basePath = config.workspace;
+            console.log('Base path:', this.basePath);
+            return;
+        }
+
+        const legacyPath = this.getLegacyWorkspacePath();
+        if (await this.exists(legacyPath)) {
+            this.basePath = legacyPath;
+            await this.writeWorkspaceConfig({ ...config, workspace: legacyPath });
+            console.log('Base path (legacy OneDrive):', this.basePath);
+            return;
+        }
+
+        // Nobody is there to answer the first-run prompt
+        if (this.isHeadless) {
+            throw new Error('No workspace set up - pass --workspace <folder> or set BROCHURE_WORKSPACE');
+        }
+
+        this.basePath = await this.promptForWorkspace() ||
+            path.join(app.getPath('documents'), 'Brochure Workspace');
+        await this.writeWorkspaceConfig({ ...config, workspace: this.basePath });
+
+        console.log('Base path:', this.basePath);
+    }
+
+    getWorkspaceOverride() {
+        const args = process.argv;
+        const flagIndex = args.findIndex(arg => arg === '--workspace' || arg.startsWith('--workspace='));
+
+        if (flagIndex !== -1) {
+            const flag = args[flagIndex];
+            const value = flag.includes('=') ? flag.split('=').slice(1).join('=') : args[flagIndex + 1];
+            if (value) return value;
+        }
+
+        return process.env.BROCHURE_WORKSPACE || null;
+    }
+
+    getLegacyWorkspacePath() {
+        return path.join(
+            os.homedir(),
             'Library/CloudStorage/OneDrive-Unimed',
             '3 Big Things Management Folder',
             'Brand',
             'Brochure',
             'Document Assembly'
         );
+    }
 
-        console.log('Base path:', this.basePath);
+    // The workspace pointer can't live inside the workspace, so it goes in the
+    // app's own Config folder
+    getWorkspaceConfigPath() {
+        return path.join(app.getPath('userData'), 'Config', 'workspace.json');
+    }
+
+    async readWorkspaceConfig() {
+        try {
+            const content = await fs.readFile(this.getWorkspaceConfigPath(), 'utf-8');
+            return JSON.parse(content);
+        } catch (error) {
+            return {};
+        }
+    }
+
+    async writeWorkspaceConfig(config) {
+        const configPath = this.getWorkspaceConfigPath();
+        await fs.mkdir(path.dirname(configPath), { recursive: true });
+        await fs.writeFile(configPath, JSON.stringify(config, null, 2));
+    }
+
+    async promptForWorkspace() {
+        const options = {
+            title: 'Choose Brochure Workspace',
+            message: 'Choose the folder that holds (or will hold) your Templates, Images and Projects.',
+            buttonLabel: 'Use This Folder',
+            properties: ['openDirectory', 'createDirectory']
+        };
+
+        const result = this.window
+            ? await dialog.showOpenDialog(this.window, options)
+            : await dialog.showOpenDialog(options);
+
+        if (result.canceled || result.filePaths.length === 0) {
+            return null;
+        }
+
+        return result.filePaths[0];
+    }
+
+    async chooseWorkspace() {
+        try {
+            const newPath = await this.promptForWorkspace();
+            if (!newPath) {
+                return { success: false, canceled: true };
+            }
+
+            return await this.switchWorkspace(newPath);
+        } catch (error) {
+            console.error('Error choosing workspace:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async switchWorkspace(newPath) {
+        try {
+            const resolvedPath = path.resolve(newPath);
+            if (resolvedPath === this.basePath) {
+                return { success: true, basePath: this.basePath, unchanged: true };
+            }
+
+            console.log('🔀 Switching workspace to:', resolvedPath);
+
+            await this.releaseProjectLock();
+            this.destroyFileWatcher();
+            this.basePath = resolvedPath;
+            await this.createFolderStructure();
+
+            const config = await this.readWorkspaceConfig();
+            await this.writeWorkspaceConfig({ ...config, workspace: resolvedPath });
+
+            this.initFileWatcher();
+
+            return { success: true, basePath: this.basePath };
+        } catch (error) {
+            console.error('Error switching workspace:', error);
+            return { success: false, error: error.message };
+        }
     }
 
     async createFolderStructure() {
@@ -39,10 +295,13 @@ class BrochureApp {
             'Templates',
             'Images',
             'Images/cache',
+            'Images/cache/thumbs',
+            'Images/cache/remote',
             'Projects',
             'Exports/PDF',
             'Exports/Templates',
-            'Config'
+            'Config',
+            'Config/fonts'
         ];
 
         try {
@@ -56,6 +315,118 @@ class BrochureApp {
         }
     }
 
+    // `brochure export` / `brochure validate-templates`: the normal renderer in a hidden
+    // window does the rendering and checking, so results match the app exactly
+    async runHeadless(command) {
+        let exitCode = EXIT_FAILURE;
+        this.isHeadless = true;
+
+        // Keep stdout for the report - the export pipeline logs every step
+        if (!command.verbose) {
+            console.log = () => {};
+        }
+
+        try {
+            await this.setupBasePath();
+            this.registerImageProtocol();
+            this.setupIPC();
+            await this.createHeadlessWindow();
+
+            exitCode = command.name === 'export'
+                ? await this.runExportCommand(command)
+                : await this.runValidateCommand(command);
+        } catch (error) {
+            process.stderr.write(error instanceof UsageError ? `${error.message}\n\n${USAGE}\n` : `❌ ${error.message}\n`);
+            exitCode = error instanceof UsageError ? EXIT_USAGE : EXIT_FAILURE;
+        }
+
+        app.exit(exitCode);
+    }
+
+    async createHeadlessWindow() {
+        this.window = new BrowserWindow({
+            show: false,
+            webPreferences: {
+                nodeIntegration: false,
+                contextIsolation: true,
+                preload: path.join(__dirname, 'preload.js')
+            }
+        });
+
+        await this.window.loadFile('src/index.html');
+
+        // Templates, fonts and images load after the page itself
+        const ready = await this.window.webContents.executeJavaScript('window.brochure.whenReady()');
+        if (!ready) {
+            throw new Error('The application failed to start - run with --verbose for details');
+        }
+    }
+
+    async runExportCommand(command) {
+        const filenames = command.all
+            ? (await this.listProjects()).map(project => project.filename)
+            : command.projects.map(project => this.resolveProjectArgument(project));
+
+        if (filenames.length === 0) {
+            throw new Error(`No projects in ${path.join(this.basePath, 'Projects')}`);
+        }
+
+        let failures = 0;
+        for (const filename of filenames) {
+            const outputPath = CommandLine.getOutputPath(command, filename, filenames.length);
+            const prepared = await this.window.webContents.executeJavaScript(
+                `window.brochure.prepareExport(${JSON.stringify(filename)}, ${JSON.stringify(command.overrides)})`
+            );
+
+            const result = prepared.success
+                ? await this.exportPDF(prepared.html, prepared.projectTitle, prepared.options, outputPath)
+                : prepared;
+
+            if (result.success) {
+                process.stdout.write(`✅ ${filename} -> ${result.path}\n`);
+                (result.warnings || []).forEach(warning => process.stderr.write(`⚠️  ${filename}: ${warning}\n`));
+            } else {
+                failures++;
+                process.stderr.write(`❌ ${filename}: ${result.error}\n`);
+            }
+        }
+
+        process.stdout.write(`${filenames.length - failures} of ${filenames.length} project(s) exported\n`);
+        return failures === 0 ? EXIT_OK : EXIT_FAILURE;
+    }
+
+    // Projects are named as in the Projects folder; a path is fine as long as it points there
+    resolveProjectArgument(project) {
+        const projectsPath = path.join(this.basePath, 'Projects');
+        const filename = path.basename(project);
+
+        if (project !== filename && path.resolve(path.dirname(project)) !== path.resolve(projectsPath)) {
+            throw new UsageError(`"${project}" is not in the workspace's Projects folder (${projectsPath})`);
+        }
+
+        return filename.endsWith('.3bt') ? filename : `${filename}.3bt`;
+    }
+
+    async runValidateCommand(command) {
+        const results = await this.window.webContents.executeJavaScript('window.brochure.validateTemplates()');
+        if (results.length === 0) {
+            throw new Error(`No templates in ${path.join(this.basePath, 'Templates')}`);
+        }
+
+        let failures = 0;
+        results.forEach(result => {
+            const failed = result.critical.length > 0 || (command.strict && result.warnings.length > 0);
+            if (failed) failures++;
+
+            process.stdout.write(`${failed ? '❌' : result.warnings.length > 0 ? '⚠️ ' : '✅'} ${result.path}\n`);
+            result.critical.forEach(issue => process.stdout.write(`    critical: ${issue}\n`));
+            result.warnings.forEach(issue => process.stdout.write(`    warning: ${issue}\n`));
+        });
+
+        process.stdout.write(`${results.length - failures} of ${results.length} template(s) passed${command.strict ? ' (strict)' : ''}\n`);
+        return failures === 0 ? EXIT_OK : EXIT_FAILURE;
+    }
+
     createWindow() {
         this.window = new BrowserWindow({
             width: 1600,
@@ -84,6 +455,7 @@ class BrochureApp {
         }
 
         this.window.on('closed', () => {
+            this.releaseProjectLockSync();
             this.window = null;
         });
     }
@@ -98,26 +470,45 @@ class BrochureApp {
             } catch (error) {
                 return {
                     success: false,
-                    error: 'OneDrive folder not accessible. Please ensure OneDrive is synced.'
+                    error: 'Workspace folder not accessible. If it is synced (e.g. OneDrive), check the sync is running.'
                 };
             }
         });
 
+        ipcMain.handle('choose-workspace', () => this.chooseWorkspace());
+
         ipcMain.handle('load-templates', () => this.loadTemplates());
+        ipcMain.handle('load-fonts', () => this.loadFonts());
+        ipcMain.handle('load-watermark-config', () => this.loadWatermarkConfig());
 
-        ipcMain.handle('save-project', (event, project) => this.saveProject(project));
+        ipcMain.handle('save-project', (event, project, options) => this.saveProject(project, options));
+        ipcMain.handle('rename-project', (event, project, newTitle) => this.renameProject(project, newTitle));
+        ipcMain.handle('list-project-versions', (event, filename) => this.listProjectVersions(filename));
+        ipcMain.handle('load-project-version', (event, filename, versionId) => this.loadProjectVersion(filename, versionId));
 
         ipcMain.handle('load-project', (event, filename) => this.loadProject(filename));
+        ipcMain.handle('acquire-project-lock', (event, filename, takeOver) => this.acquireProjectLock(filename, takeOver));
+        ipcMain.handle('release-project-lock', (event, filename) => this.releaseProjectLock(filename));
 
 
-        ipcMain.handle('export-pdf', (event, html, filename) => {
+        ipcMain.handle('export-pdf', (event, html, filename, options) => {
             console.log('🎯 IPC export-pdf handler called with filename:', filename);
-            return this.exportPDF(html, filename);
+            return this.exportPDF(html, filename, options);
         });
 
+        ipcMain.handle('export-images', (event, html, filename, options) => this.exportImages(html, filename, options));
+        ipcMain.handle('copy-page-image', (event, html, options) => this.copyPageImage(html, options));
+        ipcMain.handle('export-website', (event, documents, filename, options) => this.exportWebsite(documents, filename, options));
+        ipcMain.handle('cancel-export', () => this.cancelExport());
+        ipcMain.handle('list-export-history', (event, projectId) => this.listExportHistory(projectId));
+        ipcMain.handle('open-export', (event, projectId, entryId) => this.openExport(projectId, entryId));
+        ipcMain.handle('reveal-export', (event, projectId, entryId) => this.revealExport(projectId, entryId));
+
         ipcMain.handle('export-page-as-template', (event, data) => this.exportPageAsTemplate(data));
 
         ipcMain.handle('load-images', () => this.loadImages());
+        ipcMain.handle('import-images', (event, filePaths) => this.importImages(filePaths));
+        ipcMain.handle('update-image-metadata', (event, key, updates) => this.updateImageMetadata(key, updates));
 
         ipcMain.handle('list-projects', () => this.listProjects());
         ipcMain.handle('delete-project', (event, filename) => this.deleteProject(filename));
@@ -125,8 +516,18 @@ class BrochureApp {
 
         // Template Upload IPC Handlers
         ipcMain.handle('upload-template-batch', (event, uploadData) => this.uploadTemplateBatch(uploadData));
-        ipcMain.handle('validate-template-name', (event, templateName) => this.validateTemplateName(templateName));
+        ipcMain.handle('validate-template-name', (event, templateName, category) => this.validateTemplateName(templateName, category));
         ipcMain.handle('get-template-categories', () => this.getTemplateCategories());
+        ipcMain.handle('update-template-metadata', (event, folder, updates) => this.updateTemplateMetadata(folder, updates));
+        ipcMain.handle('move-template', (event, folder, destination) => this.moveTemplate(folder, destination));
+        ipcMain.handle('reorder-template-pages', (event, folder, order) => this.reorderTemplatePages(folder, order));
+        ipcMain.handle('replace-template-page', (event, folder, filename, htmlContent) => this.replaceTemplatePage(folder, filename, htmlContent));
+        ipcMain.handle('archive-template', (event, folder) => this.archiveTemplate(folder));
+        ipcMain.handle('delete-template', (event, folder) => this.deleteTemplate(folder));
+        ipcMain.handle('find-template-usage', (event, templateIds) => this.findTemplateUsage(templateIds));
+        ipcMain.handle('export-template-package', (event, folder, preview) => this.exportTemplatePackage(folder, preview));
+        ipcMain.handle('open-template-package', () => this.openTemplatePackage());
+        ipcMain.handle('install-template-package', (event, packagePath, options) => this.installTemplatePackage(packagePath, options));
     }
 
     async loadTemplates() {
@@ -134,7 +535,8 @@ class BrochureApp {
         const templates = [];
 
         try {
-            const dirs = await fs.readdir(templatesPath);
+            // Sorted, so the same template wins every time if two folders claim one UUID
+            const dirs = (await fs.readdir(templatesPath)).sort();
 
             for (const dir of dirs) {
                 if (dir.startsWith('.')) continue;
@@ -150,7 +552,7 @@ class BrochureApp {
                         await this.loadTemplateFromPath(dir, dirPath, templates);
                     } else {
                         // This is a category folder (new structure) - scan for templates inside
-                        const categoryTemplates = await fs.readdir(dirPath);
+                        const categoryTemplates = (await fs.readdir(dirPath)).sort();
 
                         for (const templateDir of categoryTemplates) {
                             if (templateDir.startsWith('.')) continue;
@@ -167,7 +569,7 @@ class BrochureApp {
             }
         } catch (error) {
             console.error('Error loading templates:', error);
-            throw new Error('Failed to load templates. Please check OneDrive connection.');
+            throw new Error('Failed to load templates. Please check the workspace folder is available.');
         }
 
         console.log(`Loaded ${templates.length} template pages`);
@@ -202,6 +604,18 @@ class BrochureApp {
             }
         }
 
+        const folder = path.relative(path.join(this.basePath, 'Templates'), templatePath).split(path.sep).join('/');
+
+        // The UUID identifies the template wherever it is moved or renamed. Loading never writes it -
+        // templates get one on their next upload, move or edit. A folder copied by hand carries its
+        // original's UUID, so only the first (sorted) folder answers to it
+        const templateUuid = metadata.uuid && !templates.some(t => t.templateUuid === metadata.uuid)
+            ? metadata.uuid
+            : null;
+        if (metadata.uuid && !templateUuid) {
+            console.warn(`Template ${folder} shares its UUID with another template - ignoring it until the template is next saved`);
+        }
+
         const pages = await fs.readdir(pagesPath);
         for (const page of pages) {
             if (page.endsWith('.html')) {
@@ -210,12 +624,22 @@ class BrochureApp {
                         path.join(pagesPath, page),
                         'utf-8'
                     );
+                    const [id] = this.getTemplatePageIds(folder, [page]);
+                    // What the ID was before IDs included the category - projects saved then use it
+                    const legacyId = `${templateName}-${page.replace('.html', '')}`;
                     templates.push({
-                        id: `${templateName}-${page.replace('.html', '')}`,
+                        id,
+                        legacyId,
+                        templateUuid,
                         name: page.replace('.html', '').replace(/^page-\d+-/, ''),
                         filename: page,
                         template: templateName,
                         category: metadata.category,
+                        // Where it lives under Templates/, for template management
+                        folder,
+                        // IDs this page had before a rename or reorder, so projects can follow it
+                        previousIds: Object.keys(metadata.renamedPages || {})
+                            .filter(oldId => metadata.renamedPages[oldId] === id || metadata.renamedPages[oldId] === legacyId),
                         content: content,
                         metadata: metadata
                     });
@@ -226,24 +650,148 @@ class BrochureApp {
         }
     }
 
-    async saveProject(project) {
+    async saveProject(project, options = {}) {
         const projectsPath = path.join(this.basePath, 'Projects');
-        const safeTitle = project.metadata.title.replace(/[^a-zA-Z0-9-_]/g, '-');
-        const filename = `${safeTitle}.3bt`;
+
+        // The filename is fixed on first save - later title changes don't move the file
+        if (!project.id) {
+            project.id = crypto.randomUUID();
+        }
+        const filename = project.filename || await this.getAvailableProjectFilename(project.metadata.title, project.id);
         const projectPath = path.join(projectsPath, filename);
 
+        // Check before writing that the file on disk is this project (or free)
+        const existing = await this.readProjectIdentity(filename);
+        if (existing && !this.isSameProject(existing, project, filename)) {
+            throw new Error(`"${filename}" belongs to another project ("${existing.title}")`);
+        }
+
+        project.filename = filename;
         project.metadata.modified = new Date().toISOString();
 
+        // Never write over a project someone else has open
+        const existingLock = await this.readProjectLock(filename);
+        if (existingLock && !this.isOwnLock(existingLock) && !this.isLockStale(existingLock)) {
+            throw new Error(`Project is open by ${existingLock.user} on ${existingLock.machine}`);
+        }
+
         try {
-            await fs.writeFile(projectPath, JSON.stringify(project, null, 2));
+            const content = JSON.stringify(project, null, 2);
+            await fs.writeFile(projectPath, content);
             console.log('Project saved:', filename);
-            return { success: true, path: projectPath, filename };
+
+            await this.snapshotProject(filename, content, options.autoSave);
+
+            // A first save (or a save under a new name) takes the lock for that file
+            if (!this.heldLock || this.heldLock.filename !== filename) {
+                await this.acquireProjectLock(filename);
+            }
+
+            return { success: true, path: projectPath, filename, id: project.id };
         } catch (error) {
             console.error('Error saving project:', error);
             throw new Error('Failed to save project');
         }
     }
 
+    getSafeProjectName(title) {
+        return (title || 'Untitled').replace(/[^a-zA-Z0-9-_]/g, '-');
+    }
+
+    // Reads just enough of a project file to tell which project it is
+    async readProjectIdentity(filename) {
+        try {
+            const content = await fs.readFile(path.join(this.basePath, 'Projects', filename), 'utf-8');
+            const project = JSON.parse(content);
+            return { id: project.id || null, title: project.metadata?.title || 'Untitled' };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    isSameProject(existing, project, filename) {
+        if (existing.id) {
+            return existing.id === project.id;
+        }
+        // Files from before project IDs can only be overwritten by the project loaded from them
+        return project.filename === filename;
+    }
+
+    async getAvailableProjectFilename(title, projectId, currentFilename = null) {
+        const safeName = this.getSafeProjectName(title);
+
+        // Titles that sanitize to the same name get a numeric suffix instead of clobbering
+        for (let attempt = 1; ; attempt++) {
+            const filename = attempt === 1 ? `${safeName}.3bt` : `${safeName}-${attempt}.3bt`;
+            const existing = await this.readProjectIdentity(filename);
+            const taken = existing || await this.exists(path.join(this.basePath, 'Projects', filename));
+
+            // The project's own file is free to reuse, even one saved before project IDs
+            const ownFile = filename === currentFilename || (existing && existing.id && existing.id === projectId);
+            if (!taken || ownFile) {
+                return filename;
+            }
+        }
+    }
+
+    async renameProject(project, newTitle) {
+        const oldFilename = project.filename;
+
+        // Never saved - the new title simply picks the filename on first save
+        if (!oldFilename) {
+            return { success: true, filename: null };
+        }
+
+        try {
+            const lock = await this.readProjectLock(oldFilename);
+            if (lock && !this.isOwnLock(lock) && !this.isLockStale(lock)) {
+                return { success: false, error: `Project is open by ${lock.user} on ${lock.machine}` };
+            }
+
+            const projectsPath = path.join(this.basePath, 'Projects');
+            const newFilename = await this.getAvailableProjectFilename(newTitle, project.id, oldFilename);
+
+            if (newFilename !== oldFilename) {
+                // Version history follows the project - make sure it can before moving anything
+                const oldHistoryPath = this.getHistoryPath(oldFilename);
+                const newHistoryPath = this.getHistoryPath(newFilename);
+                if (await this.exists(newHistoryPath)) {
+                    return { success: false, error: `Version history for "${newFilename}" already exists` };
+                }
+
+                await fs.rename(path.join(projectsPath, oldFilename), path.join(projectsPath, newFilename));
+
+                if (await this.exists(oldHistoryPath)) {
+                    try {
+                        await fs.rename(oldHistoryPath, newHistoryPath);
+                    } catch (error) {
+                        // Put the file back rather than leave its history under the old name
+                        await fs.rename(path.join(projectsPath, newFilename), path.join(projectsPath, oldFilename));
+                        throw error;
+                    }
+                }
+
+                console.log(`✏️ Renamed project file: ${oldFilename} → ${newFilename}`);
+            }
+
+            // Only the title changes on disk - unsaved edits in the renderer stay unsaved
+            const saved = JSON.parse(await fs.readFile(path.join(projectsPath, newFilename), 'utf-8'));
+            saved.metadata = { ...saved.metadata, title: newTitle };
+            saved.filename = newFilename;
+            await fs.writeFile(path.join(projectsPath, newFilename), JSON.stringify(saved, null, 2));
+
+            // The lock moves across with the file
+            if (!this.heldLock || this.heldLock.filename !== newFilename) {
+                await this.acquireProjectLock(newFilename);
+            }
+
+            return { success: true, filename: newFilename };
+        } catch (error) {
+            console.error('Error renaming project:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
     async loadProject(filename) {
         const projectPath = path.join(this.basePath, 'Projects', filename);
 
@@ -266,653 +814,2947 @@ class BrochureApp {
         }
     }
 
+    getHistoryPath(filename) {
+        return path.join(this.basePath, 'Projects', '.history', path.basename(filename, '.3bt'));
+    }
 
-    async exportPDF(html, filename) {
-        console.log('📄 Starting PDF export for:', filename);
-        const timestamp = new Date().toISOString().split('T')[0];
-        const safeName = filename.replace(/[^\w\s-]/g, '').trim();
-        const exportDir = path.join(this.basePath, 'Exports', 'PDF', `${timestamp}-${safeName}`);
-        console.log('📁 Creating export directory:', exportDir);
-        await fs.mkdir(exportDir, { recursive: true });
-
-        const exportPath = path.join(exportDir, `${safeName}.pdf`);
-        console.log('📄 Target PDF path:', exportPath);
-
-        try {
-            // Save original HTML for comparison
-            console.log('💾 Saving original HTML...');
-            const originalHtmlPath = path.join(exportDir, `${safeName}-original.html`);
-            await fs.writeFile(originalHtmlPath, html);
-            console.log('📄 Original HTML saved to:', originalHtmlPath);
-
-            // Create optimized HTML for PDF export
-            console.log('🔧 Creating optimized HTML...');
-            const optimizedHTML = this.createPrintOptimizedHTML(html);
-            console.log('🔧 Optimized HTML length:', optimizedHTML.length);
-
-            // Save optimized HTML for debugging
-            const debugHtmlPath = path.join(exportDir, `${safeName}-optimized.html`);
-            await fs.writeFile(debugHtmlPath, optimizedHTML);
-            console.log('🐛 Optimized HTML saved to:', debugHtmlPath);
-
-            // Create a hidden BrowserWindow for PDF generation
-            console.log('🪟 Creating PDF window...');
-            const pdfWindow = new BrowserWindow({
-                show: false,
-                webPreferences: {
-                    nodeIntegration: false,
-                    contextIsolation: true,
-                    webSecurity: false // Allow local resources
-                },
-                width: 794, // A4 width in pixels at 96dpi (210mm)
-                height: 1123 // A4 height in pixels at 96dpi (297mm)
-            });
+    async snapshotProject(filename, content, autoSave = false) {
+        const historyPath = this.getHistoryPath(filename);
 
-            // Load the HTML content
-            console.log('📥 Loading HTML into window...');
+        try {
+            await fs.mkdir(historyPath, { recursive: true });
 
-            // Set up load event handlers before loading
-            const loadPromise = new Promise((resolve, reject) => {
-                const timeout = setTimeout(() => {
-                    console.log('⚠️ Page load timeout after 30 seconds');
-                    reject(new Error('Page load timeout'));
-                }, 30000);
+            // Autosave runs every 30s - don't let it flood the history
+            if (autoSave) {
+                const [latest] = await this.readSnapshotEntries(historyPath);
+                if (latest && Date.now() - latest.timestamp.getTime() < SNAPSHOT_AUTOSAVE_INTERVAL) {
+                    return;
+                }
+            }
 
-                pdfWindow.webContents.once('did-finish-load', () => {
-                    console.log('✅ Page loaded successfully');
-                    clearTimeout(timeout);
-                    setTimeout(resolve, 2000); // Wait for fonts/images
-                });
+            const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+            const snapshotName = `${stamp}${autoSave ? '-auto' : ''}.3bt`;
+            await fs.writeFile(path.join(historyPath, snapshotName), content);
+            console.log('📸 Snapshot saved:', snapshotName);
 
-                pdfWindow.webContents.once('did-fail-load', (event, errorCode, errorDescription) => {
-                    console.log('❌ Page failed to load:', errorCode, errorDescription);
-                    clearTimeout(timeout);
-                    reject(new Error(`Page load failed: ${errorDescription}`));
-                });
-            });
+            await this.pruneSnapshots(historyPath);
+        } catch (error) {
+            // A missed snapshot must never fail the save itself
+            console.warn('Failed to snapshot project:', error);
+        }
+    }
 
-            try {
-                await pdfWindow.loadURL(`data:text/html;charset=utf-8,${encodeURIComponent(optimizedHTML)}`);
-                console.log('⏳ Waiting for page load completion...');
-                await loadPromise;
-                console.log('✅ Page load completed, proceeding to PDF generation');
-            } catch (loadError) {
-                console.log('💥 Load error, trying alternative approach:', loadError.message);
-                // Try writing to temp file instead of data URL
-                const tempPath = path.join(os.tmpdir(), `brochure-export-${Date.now()}.html`);
-                await fs.writeFile(tempPath, optimizedHTML);
-                console.log('📝 Wrote temp file:', tempPath);
-                await pdfWindow.loadFile(tempPath);
-                console.log('✅ Loaded from temp file');
-                setTimeout(() => fs.unlink(tempPath).catch(() => {}), 5000); // Cleanup
-            }
-
-            // Generate PDF
-            console.log('🖨️ Generating PDF...');
-            const pdfData = await pdfWindow.webContents.printToPDF({
-                pageSize: 'A4',
-                margins: {
-                    top: 0,
-                    bottom: 0,
-                    left: 0,
-                    right: 0
-                },
-                printBackground: true,
-                landscape: false,
-                preferCSSPageSize: true
-            });
-            console.log('✅ PDF generated, size:', pdfData.length, 'bytes');
+    // Snapshot entries for a history folder, newest first
+    async readSnapshotEntries(historyPath) {
+        let files;
+        try {
+            files = await fs.readdir(historyPath);
+        } catch (error) {
+            return [];
+        }
 
-            // Save PDF to file
-            console.log('💾 Saving PDF to file...');
-            await fs.writeFile(exportPath, pdfData);
+        return files
+            .filter(file => file.endsWith('.3bt'))
+            .map(file => {
+                const match = file.match(/^(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z(-auto)?\.3bt$/);
+                if (!match) return null;
+                const [, date, hours, minutes, seconds, millis, auto] = match;
+                return {
+                    id: file,
+                    timestamp: new Date(`${date}T${hours}:${minutes}:${seconds}.${millis}Z`),
+                    autoSave: !!auto
+                };
+            })
+            .filter(Boolean)
+            .sort((a, b) => b.timestamp - a.timestamp);
+    }
 
-            // Clean up
-            console.log('🧹 Cleaning up...');
-            pdfWindow.close();
+    async pruneSnapshots(historyPath) {
+        const entries = await this.readSnapshotEntries(historyPath);
+        const cutoff = Date.now() - SNAPSHOT_KEEP_DAYS * 24 * 60 * 60 * 1000;
+        const keptDays = new Set();
 
-            console.log('PDF exported successfully:', exportPath);
-            return {
-                success: true,
-                path: exportPath,
-                directory: exportDir,
-                filename: `${safeName}.pdf`
-            };
+        const expired = entries.filter((entry, index) => {
+            if (index < SNAPSHOT_KEEP_RECENT) return false;
 
-        } catch (error) {
-            console.error('Error exporting PDF:', error);
-            return {
-                success: false,
-                error: error.message || 'Failed to export PDF'
-            };
+            // Past the recent window, keep the newest snapshot of each day for a while
+            const day = entry.timestamp.toISOString().slice(0, 10);
+            if (entry.timestamp.getTime() >= cutoff && !keptDays.has(day)) {
+                keptDays.add(day);
+                return false;
+            }
+            return true;
+        });
+
+        for (const entry of expired) {
+            await fs.unlink(path.join(historyPath, entry.id));
+        }
+
+        if (expired.length > 0) {
+            console.log(`🧹 Pruned ${expired.length} old snapshot(s) from ${path.basename(historyPath)}`);
         }
     }
 
-    createPrintOptimizedHTML(html) {
-        console.log('🔍 createPrintOptimizedHTML input length:', html.length);
-        console.log('🔍 Input contains DOCTYPE:', html.includes('<!DOCTYPE'));
-        console.log('🔍 Input contains <html:', html.includes('<html'));
+    async listProjectVersions(filename) {
+        const historyPath = this.getHistoryPath(filename);
+        const versions = [];
 
-        // Check if this is already a well-formed HTML document from ProjectManager
-        const isWellFormedHTML = html.trim().startsWith('<!DOCTYPE html>') &&
-                                html.includes('<head>') &&
-                                html.includes('<body>') &&
-                                html.includes('</body>') &&
-                                html.includes('</html>');
+        for (const entry of await this.readSnapshotEntries(historyPath)) {
+            try {
+                const content = await fs.readFile(path.join(historyPath, entry.id), 'utf-8');
+                const project = JSON.parse(content);
+
+                versions.push({
+                    id: entry.id,
+                    timestamp: entry.timestamp.toISOString(),
+                    autoSave: entry.autoSave,
+                    title: project.metadata?.title || 'Untitled',
+                    pages: project.pages ? project.pages.length : 0,
+                    size: Buffer.byteLength(content)
+                });
+            } catch (error) {
+                console.warn(`Error reading snapshot ${entry.id}:`, error);
+            }
+        }
 
-        if (isWellFormedHTML) {
-            console.log('✅ Input is already a well-formed HTML document from ProjectManager');
-            console.log('✅ Passing through unchanged to preserve template styles');
-            return html;
+        return versions;
+    }
+
+    async loadProjectVersion(filename, versionId) {
+        // Only ever read from the project's own history folder
+        const snapshotPath = path.join(this.getHistoryPath(filename), path.basename(versionId));
+
+        try {
+            const content = await fs.readFile(snapshotPath, 'utf-8');
+            console.log('Project version loaded:', filename, versionId);
+            return JSON.parse(content);
+        } catch (error) {
+            console.error('Error loading project version:', error);
+            throw new Error('Failed to load project version: ' + error.message);
         }
+    }
 
-        console.log('🧹 Input appears to be HTML fragments, applying cleanup...');
+    getLockPath(filename) {
+        return path.join(this.basePath, 'Projects', `${filename}.lock`);
+    }
 
-        // COMPLETELY STRIP ALL HTML DOCUMENT STRUCTURES
-        let bodyContent = html;
+    async readProjectLock(filename) {
+        try {
+            const content = await fs.readFile(this.getLockPath(filename), 'utf-8');
+            return JSON.parse(content);
+        } catch (error) {
+            return null;
+        }
+    }
 
-        console.log('🧹 AGGRESSIVELY CLEANING HTML STRUCTURES...');
+    isOwnLock(lock) {
+        return !!lock && lock.sessionId === this.sessionId;
+    }
 
-        // Step 1: Remove ALL instances of DOCTYPE declarations
-        bodyContent = bodyContent.replace(/<!DOCTYPE[^>]*>/gi, '');
-        console.log('📄 After DOCTYPE removal, length:', bodyContent.length);
+    isLockStale(lock) {
+        const lastSeen = new Date(lock.heartbeat || lock.acquired).getTime();
+        return !lastSeen || Date.now() - lastSeen > LOCK_STALE_AFTER;
+    }
 
-        // Step 2: Remove ALL opening and closing html tags
-        bodyContent = bodyContent.replace(/<\/?html[^>]*>/gi, '');
-        console.log('📄 After HTML tag removal, length:', bodyContent.length);
+    async acquireProjectLock(filename, takeOver = false) {
+        try {
+            const existing = await this.readProjectLock(filename);
+            const foreignLock = existing && !this.isOwnLock(existing) ? existing : null;
+
+            if (foreignLock) {
+                const stale = this.isLockStale(foreignLock);
+                if (!stale && !takeOver) {
+                    console.log(`🔒 ${filename} is locked by ${foreignLock.user}@${foreignLock.machine}`);
+                    return { success: false, locked: true, lock: foreignLock };
+                }
+                console.log(`🔓 ${stale ? 'Replacing stale' : 'Taking over'} lock on ${filename}`, foreignLock);
+            }
 
-        // Step 3: Remove ALL head sections completely
-        bodyContent = bodyContent.replace(/<head[^>]*>.*?<\/head>/gis, '');
-        console.log('📄 After HEAD removal, length:', bodyContent.length);
+            // Only one project is open at a time - let go of the previous one
+            if (this.heldLock && this.heldLock.filename !== filename) {
+                await this.releaseProjectLock(this.heldLock.filename);
+            }
 
-        // Step 4: Remove ALL opening and closing body tags (keep content inside)
-        bodyContent = bodyContent.replace(/<\/?body[^>]*>/gi, '');
-        console.log('📄 After BODY tag removal, length:', bodyContent.length);
+            const now = new Date().toISOString();
+            const lock = {
+                user: os.userInfo().username,
+                machine: os.hostname(),
+                sessionId: this.sessionId,
+                acquired: this.isOwnLock(existing) ? existing.acquired : now,
+                heartbeat: now
+            };
 
-        // Step 5: Remove ALL style tags since styles are already consolidated in HEAD
-        bodyContent = bodyContent.replace(/<style[^>]*>.*?<\/style>/gs, '');
-        console.log('📄 After STYLE removal, length:', bodyContent.length);
+            await fs.writeFile(this.getLockPath(filename), JSON.stringify(lock, null, 2));
+            this.heldLock = { filename, lock };
+            this.startLockHeartbeat();
 
-        // Step 6: Remove ALL script tags
-        bodyContent = bodyContent.replace(/<script[^>]*>.*?<\/script>/gs, '');
-        console.log('📄 After SCRIPT removal, length:', bodyContent.length);
+            console.log('🔒 Lock acquired:', filename);
+            return { success: true, lock, previousLock: foreignLock };
+        } catch (error) {
+            console.error('Error acquiring project lock:', error);
+            return { success: false, error: error.message };
+        }
+    }
 
-        // Step 7: Remove meta tags and link tags that might be left over
-        bodyContent = bodyContent.replace(/<meta[^>]*>/gi, '');
-        bodyContent = bodyContent.replace(/<link[^>]*>/gi, '');
-        console.log('📄 After META/LINK removal, length:', bodyContent.length);
+    async releaseProjectLock(filename = null) {
+        if (!this.heldLock || (filename && this.heldLock.filename !== filename)) {
+            return { success: true };
+        }
 
-        // Step 8: Clean up excessive whitespace
-        bodyContent = bodyContent.replace(/\s*\n\s*\n\s*/g, '\n').trim();
-        console.log('📄 After whitespace cleanup, length:', bodyContent.length);
+        const heldFilename = this.heldLock.filename;
+        this.stopLockHeartbeat();
+        this.heldLock = null;
 
-        // Final validation - this should NEVER find any HTML document structures
-        const hasDoctype = bodyContent.includes('<!DOCTYPE');
-        const hasHtml = bodyContent.includes('<html');
-        const hasHead = bodyContent.includes('<head');
-        const hasBody = bodyContent.includes('<body');
+        try {
+            // Don't remove a lock someone has since taken over
+            const current = await this.readProjectLock(heldFilename);
+            if (this.isOwnLock(current)) {
+                await fs.unlink(this.getLockPath(heldFilename));
+            }
+            console.log('🔓 Lock released:', heldFilename);
+            return { success: true };
+        } catch (error) {
+            console.error('Error releasing project lock:', error);
+            return { success: false, error: error.message };
+        }
+    }
 
-        console.log('🔍 Final validation:');
-        console.log('  - Contains DOCTYPE:', hasDoctype);
-        console.log('  - Contains <html:', hasHtml);
-        console.log('  - Contains <head:', hasHead);
-        console.log('  - Contains <body:', hasBody);
+    releaseProjectLockSync() {
+        if (!this.heldLock) return;
 
-        if (hasDoctype || hasHtml || hasHead || hasBody) {
-            console.log('🚨 CRITICAL ERROR: HTML structures still found after cleanup!');
-            console.log('📄 First 500 chars:', bodyContent.substring(0, 500));
+        this.stopLockHeartbeat();
+        try {
+            const lockPath = this.getLockPath(this.heldLock.filename);
+            const current = JSON.parse(fsSync.readFileSync(lockPath, 'utf-8'));
+            if (this.isOwnLock(current)) {
+                fsSync.unlinkSync(lockPath);
+            }
+        } catch (error) {
+            // Lock already gone or unreadable - nothing to release
         }
+        this.heldLock = null;
+    }
 
-        console.log('📝 Final body content length:', bodyContent.length);
-        console.log('🔍 Body content starts with:', bodyContent.substring(0, 100) + '...');
+    startLockHeartbeat() {
+        this.stopLockHeartbeat();
+        this.lockHeartbeat = setInterval(() => this.refreshProjectLock(), LOCK_HEARTBEAT_INTERVAL);
+    }
 
-        return `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Document Export</title>
+    stopLockHeartbeat() {
+        if (this.lockHeartbeat) {
+            clearInterval(this.lockHeartbeat);
+            this.lockHeartbeat = null;
+        }
+    }
 
-    <!-- Google Fonts for PDF export -->
-    <link rel="preconnect" href="https://fonts.googleapis.com">
-    <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
-    <link href="https://fonts.googleapis.com/css2?family=Lora:wght@400;500;600;700&family=Source+Sans+3:wght@300;400;500;600;700&display=swap" rel="stylesheet">
+    async refreshProjectLock() {
+        if (!this.heldLock) return;
 
-    <style>
-        /* PDF Export Optimized Styles */
-        * {
-            margin: 0;
-            padding: 0;
-            box-sizing: border-box;
-            -webkit-print-color-adjust: exact !important;
-            color-adjust: exact !important;
-            print-color-adjust: exact !important;
-        }
+        const { filename, lock } = this.heldLock;
+        const current = await this.readProjectLock(filename);
 
-        :root {
-            /* 3 Big Things Brand Colors */
-            --color-teal: #0A6B7C;
-            --color-teal-dark: #045563;
-            --color-orange: #E68A2E;
-            --color-sand: #D4AE80;
-            --color-sand-light: #E8D4BC;
-            --color-warm-white: #FAF7F4;
-            --color-charcoal: #2E2E2E;
-            --color-cool-gray: #8C9A9E;
-            --color-soft-sage: #A9C1B5;
-        }
+        // Someone took the project over - stop claiming it and tell the renderer
+        if (current && !this.isOwnLock(current)) {
+            console.log(`🔓 Lock on ${filename} was taken over by ${current.user}@${current.machine}`);
+            this.stopLockHeartbeat();
+            this.heldLock = null;
 
-        /* Critical PDF Settings */
-        @page {
-            size: A4 portrait;
-            margin: 0;
+            if (this.window && !this.window.isDestroyed()) {
+                this.window.webContents.send('project-lock-lost', { filename, lock: current });
+            }
+            return;
         }
 
-        body {
-            font-family: 'Source Sans 3', -apple-system, sans-serif;
-            color: var(--color-charcoal);
-            line-height: 1.4;
-            margin: 0;
-            padding: 0;
-            -webkit-print-color-adjust: exact !important;
-            color-adjust: exact !important;
-            print-color-adjust: exact !important;
+        try {
+            lock.heartbeat = new Date().toISOString();
+            await fs.writeFile(this.getLockPath(filename), JSON.stringify(lock, null, 2));
+        } catch (error) {
+            console.warn('Failed to refresh project lock:', error);
         }
+    }
 
-        /* Page container for each page */
-        .page {
-            width: 210mm;
-            height: 297mm;
-            position: relative;
-            overflow: hidden;
-            page-break-after: always;
-            page-break-inside: avoid;
-            background: white;
-            display: block;
-            -webkit-print-color-adjust: exact !important;
-            color-adjust: exact !important;
-            print-color-adjust: exact !important;
-        }
 
-        /* Remove page break after last page */
-        .page:last-child {
-            page-break-after: avoid;
-        }
+    // Paper size in mm from the export options, A4 portrait if missing or implausible
+    getExportPageSize(options = {}) {
+        const width = Number(options.width);
+        const height = Number(options.height);
+        const valid = (mm) => Number.isFinite(mm) && mm >= 50 && mm <= 1000;
 
-        /* Hide interactive elements and edit indicators */
-        .image-overlay,
-        .zone-controls,
-        .zone-resize-handle,
-        .edit-controls,
-        .edit-indicator,
-        .selected,
-        [data-editable].selected,
-        [contenteditable],
-        input[type="file"],
-        .image-input {
-            display: none !important;
-        }
+        return valid(width) && valid(height) ? { width, height } : DEFAULT_PAGE_SIZE;
+    }
 
-        /* Preserve image aspect ratios and prevent distortion */
-        img {
-            max-width: 100% !important;
-            height: auto !important;
-            object-fit: contain !important;
-            -webkit-print-color-adjust: exact !important;
-            color-adjust: exact !important;
-            print-color-adjust: exact !important;
+    // One export runs at a time; the renderer gets staged progress and can cancel between stages
+    startExportJob(kind) {
+        if (this.exportJob) {
+            throw new Error('Another export is already running');
         }
 
-        /* Specific fixes for profile and circular images */
-        .profile-pic,
-        .profile-image,
-        [class*="profile"] img,
-        [class*="team"] img,
-        [class*="member"] img {
-            width: auto !important;
-            height: auto !important;
-            max-width: 150px !important;
-            max-height: 150px !important;
-            object-fit: cover !important;
-            aspect-ratio: 1/1 !important;
-            border-radius: 50% !important;
-        }
+        this.exportJob = { kind, cancelled: false, windows: new Set() };
+        return this.exportJob;
+    }
 
-        /* Preserve all background colors, gradients, and images */
-        [style*="background"],
-        [class*="bg-"],
-        [class*="background"],
-        .hero-section,
-        .header-section,
-        .cover-section,
-        .teal-section,
-        section,
-        div[style*="background-color"],
-        div[style*="background-image"],
-        div[style*="background"] {
-            -webkit-print-color-adjust: exact !important;
-            color-adjust: exact !important;
-            print-color-adjust: exact !important;
+    exportStep(job, percent, message) {
+        if (job.cancelled) {
+            throw new Error('Export cancelled');
         }
 
-        /* Typography optimization for print */
-        h1, h2, h3, h4, h5, h6 {
-            page-break-after: avoid;
-            font-family: 'Lora', serif;
-            -webkit-print-color-adjust: exact !important;
-            color-adjust: exact !important;
-            print-color-adjust: exact !important;
+        console.log(`⏳ ${job.kind} export ${Math.round(percent)}%: ${message}`);
+        if (this.window && !this.window.isDestroyed()) {
+            this.window.webContents.send('export-progress', { kind: job.kind, percent, message });
         }
+    }
 
-        p {
-            orphans: 3;
-            widows: 3;
+    finishExportJob(job) {
+        if (job && this.exportJob === job) {
+            this.exportJob = null;
         }
+    }
 
-        /* Specific brand color preservation */
-        .teal-bg,
-        .bg-teal,
-        [style*="background-color: #0A6B7C"],
-        [style*="background-color: var(--color-teal)"],
-        [style*="background: #0A6B7C"],
-        [style*="background: var(--color-teal)"] {
-            background-color: #0A6B7C !important;
-            -webkit-print-color-adjust: exact !important;
-            color-adjust: exact !important;
-            print-color-adjust: exact !important;
+    exportFailure(job, error, fallbackMessage) {
+        if (job?.cancelled) {
+            console.log(`🛑 ${job.kind} export cancelled`);
+            return { success: false, cancelled: true, error: 'Export cancelled' };
         }
 
-        .orange-bg,
-        .bg-orange,
-        [style*="background-color: #E68A2E"],
-        [style*="background-color: var(--color-orange)"],
-        [style*="background: #E68A2E"],
-        [style*="background: var(--color-orange)"] {
-            background-color: #E68A2E !important;
-            -webkit-print-color-adjust: exact !important;
-            color-adjust: exact !important;
-            print-color-adjust: exact !important;
-        }
+        return { success: false, error: error.message || fallbackMessage };
+    }
 
-        /* Ensure text is crisp */
-        * {
-            -webkit-font-smoothing: antialiased;
-            -moz-osx-font-smoothing: grayscale;
+    cancelExport() {
+        const job = this.exportJob;
+        if (!job) {
+            return { success: false, error: 'No export is running' };
         }
-    </style>
-</head>
-<body>
-    ${bodyContent}
-    <script>
-        // Post-load fixes for PDF generation
-        document.addEventListener('DOMContentLoaded', function() {
-            // Force background color preservation
-            const elementsWithStyle = document.querySelectorAll('[style*="background"]');
-            elementsWithStyle.forEach(el => {
-                el.style.webkitPrintColorAdjust = 'exact';
-                el.style.colorAdjust = 'exact';
-                el.style.printColorAdjust = 'exact';
-            });
 
-            // Fix profile image aspect ratios
-            const profileImages = document.querySelectorAll('.profile-pic, .profile-image, [class*="profile"] img, [class*="team"] img, [class*="member"] img');
-            profileImages.forEach(img => {
-                img.style.objectFit = 'cover';
-                img.style.aspectRatio = '1/1';
-                img.style.borderRadius = '50%';
-                img.style.maxWidth = '150px';
-                img.style.maxHeight = '150px';
+        // Closing the hidden windows aborts whatever load, print or capture is in flight
+        job.cancelled = true;
+        job.windows.forEach(exportWindow => {
+            if (!exportWindow.isDestroyed()) exportWindow.destroy();
+        });
+
+        return { success: true };
+    }
+
+    // Hidden window sized to one page, shared by the PDF and image exports
+    async loadExportWindow(html, size, job = null) {
+        const exportWindow = new BrowserWindow({
+            show: false,
+            useContentSize: true,
+            enableLargerThanScreen: true,
+            webPreferences: {
+                nodeIntegration: false,
+                contextIsolation: true,
+                webSecurity: false // Allow local resources
+            },
+            width: Math.round(size.width * CSS_PX_PER_MM),
+            height: Math.round(size.height * CSS_PX_PER_MM)
+        });
+        job?.windows.add(exportWindow);
+
+        // Load the HTML content
+        console.log('📥 Loading HTML into window...');
+
+        // Set up load event handlers before loading
+        let timeout = null;
+        const loadPromise = new Promise((resolve, reject) => {
+            timeout = setTimeout(() => {
+                console.log(`⚠️ Page load timeout after ${EXPORT_LOAD_TIMEOUT / 1000} seconds`);
+                reject(new Error('Page load timeout'));
+            }, EXPORT_LOAD_TIMEOUT);
+
+            exportWindow.webContents.once('did-finish-load', () => {
+                console.log('✅ Page loaded successfully');
+                clearTimeout(timeout);
+                resolve();
             });
 
-            // Remove any remaining edit indicators
-            const editElements = document.querySelectorAll('.selected, [data-editable].selected, .edit-indicator');
-            editElements.forEach(el => {
-                el.classList.remove('selected');
-                const indicator = el.querySelector('.edit-indicator');
-                if (indicator) indicator.remove();
+            exportWindow.webContents.once('did-fail-load', (event, errorCode, errorDescription) => {
+                console.log('❌ Page failed to load:', errorCode, errorDescription);
+                clearTimeout(timeout);
+                reject(new Error(`Page load failed: ${errorDescription}`));
             });
         });
-    </script>
-</body>
-</html>`;
+
+        try {
+            await exportWindow.loadURL(`data:text/html;charset=utf-8,${encodeURIComponent(html)}`);
+            console.log('⏳ Waiting for page load completion...');
+            await loadPromise;
+            console.log('✅ Page load completed');
+        } catch (loadError) {
+            // Nothing waits on the first load any more - stop its timer and let a late rejection go
+            clearTimeout(timeout);
+            loadPromise.catch(() => {});
+
+            if (job?.cancelled) throw loadError;
+            console.log('💥 Load error, trying alternative approach:', loadError.message);
+            // Try writing to temp file instead of data URL
+            const tempPath = path.join(os.tmpdir(), `brochure-export-${Date.now()}.html`);
+            await fs.writeFile(tempPath, html);
+            console.log('📝 Wrote temp file:', tempPath);
+            await exportWindow.loadFile(tempPath);
+            console.log('✅ Loaded from temp file');
+            setTimeout(() => fs.unlink(tempPath).catch(() => {}), 5000); // Cleanup
+        }
+
+        return exportWindow;
+    }
+
+    // Pixel width of an exported page image, from a DPI or an explicit width
+    getImageExportWidth(pageSize, options = {}) {
+        const pageWidthPx = pageSize.width * CSS_PX_PER_MM;
+        const requested = options.imageSize === 'width'
+            ? Number(options.imageWidth)
+            : pageSize.width / MM_PER_INCH * Number(options.dpi);
+
+        if (!Number.isFinite(requested) || requested < IMAGE_EXPORT_MIN_WIDTH) {
+            throw new Error(`Image width must be at least ${IMAGE_EXPORT_MIN_WIDTH} pixels`);
+        }
+        if (requested > pageWidthPx * IMAGE_EXPORT_MAX_ZOOM) {
+            throw new Error(`Image width can be at most ${Math.floor(pageWidthPx * IMAGE_EXPORT_MAX_ZOOM)} pixels for this page size`);
+        }
+
+        return Math.round(requested);
+    }
+
+    // Renders every page of a document to an image `width` pixels wide
+    async renderPageImages(html, pageSize, width, job = null) {
+        const fonts = await this.loadFonts();
+        const optimizedHTML = this.createPrintOptimizedHTML(html, fonts.css, pageSize);
+        const zoom = width / (pageSize.width * CSS_PX_PER_MM);
+        const height = Math.round(width * pageSize.height / pageSize.width);
+
+        console.log('🪟 Creating image window at zoom', zoom.toFixed(2));
+        const imageWindow = await this.loadExportWindow(optimizedHTML, {
+            width: pageSize.width * zoom,
+            height: pageSize.height * zoom
+        }, job);
+
+        try {
+            imageWindow.webContents.setZoomFactor(zoom);
+
+            if (job) this.exportStep(job, 20, 'Loading fonts');
+            const fontCheck = await this.checkExportFonts(imageWindow, optimizedHTML, fonts);
+            if (fontCheck.error) {
+                throw new Error(fontCheck.error);
+            }
+
+            const pageCount = await imageWindow.webContents.executeJavaScript(
+                "document.querySelectorAll('.unified-page').length"
+            );
+
+            const images = [];
+            for (let index = 0; index < pageCount; index++) {
+                if (job) this.exportStep(job, 25 + 60 * index / pageCount, `Rendering page ${index + 1} of ${pageCount}`);
+
+                // One page at a time, filling the viewport
+                await imageWindow.webContents.executeJavaScript(`
+                    document.body.style.background = 'white';
+                    document.querySelectorAll('.unified-page').forEach((page, i) => {
+                        page.style.display = i === ${index} ? '' : 'none';
+                    });
+                    window.scrollTo(0, 0);
+                    new Promise(resolve => setTimeout(resolve, 100));
+                `);
+
+                const capture = await imageWindow.webContents.capturePage(undefined, { stayHidden: true });
+                images.push(capture.resize({ width, height, quality: 'best' }));
+            }
+
+            console.log(`🖼️ Rendered ${images.length} page image(s) at ${width} × ${height}px`);
+            return { images, warnings: fontCheck.warnings };
+        } finally {
+            if (!imageWindow.isDestroyed()) imageWindow.close();
+        }
+    }
+
+    async exportImages(html, filename, options = {}) {
+        console.log('🖼️ Starting image export for:', filename);
+
+        let job;
+        try {
+            job = this.startExportJob('image');
+            this.exportStep(job, 5, 'Preparing pages');
+
+            const pageSize = this.getExportPageSize(options);
+            const width = this.getImageExportWidth(pageSize, options);
+            const format = options.format === 'jpeg' ? 'jpeg' : 'png';
+
+            const timestamp = new Date().toISOString().split('T')[0];
+            const safeName = filename.replace(/[^\w\s-]/g, '').trim();
+            const exportDir = path.join(this.basePath, 'Exports', 'Images', `${timestamp}-${safeName}`);
+            await fs.mkdir(exportDir, { recursive: true });
+
+            this.exportStep(job, 10, 'Loading pages');
+            const { images, warnings } = await this.renderPageImages(html, pageSize, width, job);
+
+            // Name files by their page number in the project, not their position in this export
+            const pageNumbers = Array.isArray(options.pageNumbers) ? options.pageNumbers : [];
+            const files = [];
+            for (const [index, image] of images.entries()) {
+                this.exportStep(job, 85 + 15 * index / images.length, `Saving image ${index + 1} of ${images.length}`);
+                const number = String(pageNumbers[index] || index + 1).padStart(2, '0');
+                const file = `${safeName}-page-${number}.${format === 'jpeg' ? 'jpg' : 'png'}`;
+                const data = format === 'jpeg' ? image.toJPEG(IMAGE_EXPORT_JPEG_QUALITY) : image.toPNG();
+                await fs.writeFile(path.join(exportDir, file), data);
+                files.push(file);
+            }
+
+            console.log('Images exported successfully:', exportDir);
+            const result = {
+                success: true,
+                path: path.join(exportDir, files[0]),
+                directory: exportDir,
+                files,
+                filename: files.length === 1 ? files[0] : `${files.length} images`,
+                warnings
+            };
+            await this.recordExport(options, result);
+            this.exportStep(job, 100, 'Done');
+            return result;
+        } catch (error) {
+            console.error('Error exporting images:', error);
+            return this.exportFailure(job, error, 'Failed to export images');
+        } finally {
+            this.finishExportJob(job);
+        }
+    }
+
+    async copyPageImage(html, options = {}) {
+        try {
+            const pageSize = this.getExportPageSize(options);
+            const { images, warnings } = await this.renderPageImages(html, pageSize, CLIPBOARD_IMAGE_WIDTH);
+            if (images.length === 0) {
+                throw new Error('Nothing to copy');
+            }
+
+            clipboard.writeImage(images[0]);
+            return { success: true, warnings };
+        } catch (error) {
+            console.error('Error copying page image:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async exportWebsite(documents, filename, options = {}) {
+        console.log('🌐 Starting web export for:', filename);
+
+        let job;
+        try {
+            job = this.startExportJob('web');
+            this.exportStep(job, 5, 'Preparing pages');
+
+            if (!Array.isArray(documents) || documents.length === 0) {
+                throw new Error('No pages to export');
+            }
+
+            // The renderer names the files (its navigation links depend on it) - keep them inside the export folder
+            const invalid = documents.find(doc => typeof doc.html !== 'string' ||
+                typeof doc.file !== 'string' || path.basename(doc.file) !== doc.file || !doc.file.endsWith('.html'));
+            if (invalid) {
+                throw new Error(`Invalid web page file name "${invalid.file}"`);
+            }
+
+            const isFolder = options.webLayout === 'folder';
+            const timestamp = new Date().toISOString().split('T')[0];
+            const safeName = filename.replace(/[^\w\s-]/g, '').trim();
+            const exportDir = path.join(this.basePath, 'Exports', 'Web', `${timestamp}-${safeName}`);
+            await fs.mkdir(exportDir, { recursive: true });
+
+            const assets = {
+                dir: path.join(exportDir, WEB_EXPORT_ASSETS),
+                inline: !isFolder,
+                packaged: new Map(),
+                names: new Set(),
+                missing: new Set()
+            };
+            this.exportStep(job, 10, 'Packaging fonts');
+            const fontLink = isFolder ? await this.writeWebFonts(assets.dir) : null;
+
+            const files = [];
+            let usesGoogleFonts = false;
+            const remoteImages = new Set();
+            for (const [index, doc] of documents.entries()) {
+                this.exportStep(job, 20 + 75 * index / documents.length, `Packaging page ${index + 1} of ${documents.length}`);
+                let html = await this.packageWebImages(doc.html, assets);
+                if (fontLink) {
+                    html = html.replace(/<style data-brochure-fonts>[\s\S]*?<\/style>/, fontLink);
+                }
+
+                usesGoogleFonts = usesGoogleFonts || html.includes('fonts.googleapis.com');
+                (html.match(/<img[^>]+src=["']https?:\/\/[^"']+/gi) || []).forEach(tag => remoteImages.add(tag.replace(/^.*src=["']/i, '')));
+
+                // A single-file export is named after the project
+                const file = isFolder ? doc.file : `${safeName}.html`;
+                await fs.writeFile(path.join(exportDir, file), html, 'utf-8');
+                files.push(file);
+            }
+
+            const warnings = [];
+            if (assets.missing.size > 0) {
+                warnings.push(`${assets.missing.size} image${assets.missing.size === 1 ? ' is' : 's are'} missing from the workspace and will not show`);
+            }
+            if (remoteImages.size > 0) {
+                warnings.push(`${remoteImages.size} image${remoteImages.size === 1 ? ' has' : 's have'} no offline copy yet and will only load online`);
+            }
+            if (usesGoogleFonts) {
+                warnings.push('No brand fonts in Config/fonts - the web page loads Google Fonts when online');
+            }
+
+            console.log('Web page exported successfully:', exportDir);
+            const result = {
+                success: true,
+                path: path.join(exportDir, files[0]),
+                directory: exportDir,
+                files,
+                filename: files.length === 1 ? files[0] : `${files.length} pages`,
+                warnings
+            };
+            await this.recordExport(options, result);
+            this.exportStep(job, 100, 'Done');
+            return result;
+        } catch (error) {
+            console.error('Error exporting web page:', error);
+            return this.exportFailure(job, error, 'Failed to export web page');
+        } finally {
+            this.finishExportJob(job);
+        }
+    }
+
+    // Swap brochure-image:// URLs, which only work inside the app, for data URIs or copied files
+    async packageWebImages(html, assets) {
+        // Longest first, so a URL that prefixes another never clobbers it
+        const urls = [...new Set(html.match(WEB_IMAGE_URL_PATTERN) || [])].sort((a, b) => b.length - a.length);
+
+        for (const url of urls) {
+            const packaged = await this.packageWebImage(url, assets);
+            if (packaged) {
+                html = html.split(url).join(packaged);
+            }
+        }
+
+        return html;
+    }
+
+    async packageWebImage(url, assets) {
+        if (assets.packaged.has(url)) {
+            return assets.packaged.get(url);
+        }
+
+        let imagePath = null;
+        try {
+            imagePath = this.resolveImageUrl(url);
+        } catch (error) {
+            // Not a parseable URL - treated as missing
+        }
+        if (!imagePath || !(await this.exists(imagePath))) {
+            assets.missing.add(url);
+            return null;
+        }
+
+        let packaged;
+        if (assets.inline) {
+            // Cached remote images may have no usable extension; browsers sniff the real type
+            const mime = IMAGE_MIME_TYPES[path.extname(imagePath).toLowerCase()] || 'image/png';
+            packaged = `data:${mime};base64,${(await fs.readFile(imagePath)).toString('base64')}`;
+        } else {
+            // Library and cache files can share a name - number any repeats
+            const baseName = path.basename(imagePath);
+            let name = baseName;
+            for (let copy = 2; assets.names.has(name); copy++) {
+                name = `${copy}-${baseName}`;
+            }
+            assets.names.add(name);
+
+            const imagesDir = path.join(assets.dir, 'images');
+            await fs.mkdir(imagesDir, { recursive: true });
+            await fs.copyFile(imagePath, path.join(imagesDir, name));
+            packaged = `${WEB_EXPORT_ASSETS}/images/${encodeURIComponent(name)}`;
+        }
+
+        assets.packaged.set(url, packaged);
+        return packaged;
+    }
+
+    // Brand fonts as files beside a folder export, so every page shares them
+    async writeWebFonts(assetsDir) {
+        const registry = await this.loadFontRegistry();
+        if (registry.fonts.length === 0) {
+            return null;
+        }
+
+        const fontsDir = path.join(assetsDir, 'fonts');
+        await fs.mkdir(fontsDir, { recursive: true });
+
+        const faces = [];
+        for (const font of registry.fonts) {
+            await fs.copyFile(path.join(this.basePath, 'Config', 'fonts', font.file), path.join(fontsDir, font.file));
+            faces.push(this.createFontFace(font, `'fonts/${encodeURIComponent(font.file)}'`));
+        }
+
+        await fs.writeFile(path.join(assetsDir, 'fonts.css'), faces.join('\n'), 'utf-8');
+        return `<link rel="stylesheet" href="${WEB_EXPORT_ASSETS}/fonts.css">`;
+    }
+
+    // 'screen' is the plain trimmed output; 'print' adds bleed, marks and a trim box
+    getExportProfile(options = {}) {
+        if (options.profile !== 'print') {
+            return { type: 'screen', bleed: 0, slug: 0 };
+        }
+
+        const requested = Number(options.bleed);
+        const bleed = Number.isFinite(requested) && requested >= 0 && requested <= PRINT_BLEED_MAX
+            ? requested
+            : PRINT_BLEED_DEFAULT;
+
+        return {
+            type: 'print',
+            bleed,
+            slug: bleed + PRINT_MARK_OFFSET + PRINT_MARK_LENGTH + PRINT_SLUG_PADDING
+        };
+    }
+
+    // outputPath is only passed by the command line; the app always exports into the workspace
+    async exportPDF(html, filename, options = {}, outputPath = null) {
+        console.log('📄 Starting PDF export for:', filename);
+
+        let job;
+        let pdfWindow = null;
+        try {
+            job = this.startExportJob('pdf');
+            this.exportStep(job, 5, 'Preparing document');
+
+            const pageSize = this.getExportPageSize(options);
+            const profile = this.getExportProfile(options);
+            const sheetSize = {
+                width: pageSize.width + profile.slug * 2,
+                height: pageSize.height + profile.slug * 2
+            };
+            console.log('📐 Page size:', `${pageSize.width} × ${pageSize.height} mm`, `(${profile.type} profile)`);
+
+            const timestamp = new Date().toISOString().split('T')[0];
+            const safeName = filename.replace(/[^\w\s-]/g, '').trim();
+            const exportPath = outputPath || path.join(this.basePath, 'Exports', 'PDF', `${timestamp}-${safeName}`, `${safeName}.pdf`);
+            const exportDir = path.dirname(exportPath);
+            console.log('📄 Target PDF path:', exportPath);
+            await fs.mkdir(exportDir, { recursive: true });
+
+            const fonts = await this.loadFonts();
+            const optimizedHTML = this.createPrintOptimizedHTML(html, fonts.css, pageSize, profile);
+
+            // The HTML before and after print optimisation, for tracking down layout problems
+            if (options.diagnostics) {
+                await fs.writeFile(path.join(exportDir, `${safeName}-original.html`), html);
+                await fs.writeFile(path.join(exportDir, `${safeName}-optimized.html`), optimizedHTML);
+                console.log('🐛 Diagnostic HTML saved to:', exportDir);
+            }
+
+            this.exportStep(job, 15, 'Loading pages');
+            pdfWindow = await this.loadExportWindow(optimizedHTML, sheetSize, job);
+
+            // Fonts load asynchronously after the load event - wait for the real thing
+            this.exportStep(job, 40, 'Loading fonts');
+            const fontCheck = await this.checkExportFonts(pdfWindow, optimizedHTML, fonts);
+            if (fontCheck.error) {
+                throw new Error(fontCheck.error);
+            }
+
+            this.exportStep(job, 55, 'Rendering PDF');
+            let pdfData = await pdfWindow.webContents.printToPDF({
+                // Inches; orientation is already applied to the width and height
+                pageSize: {
+                    width: sheetSize.width / MM_PER_INCH,
+                    height: sheetSize.height / MM_PER_INCH
+                },
+                margins: {
+                    top: 0,
+                    bottom: 0,
+                    left: 0,
+                    right: 0
+                },
+                printBackground: true,
+                landscape: false,
+                preferCSSPageSize: true
+            });
+            console.log('✅ PDF generated, size:', pdfData.length, 'bytes');
+
+            this.exportStep(job, 85, 'Adding bookmarks and document info');
+            pdfData = await this.finishPDF(pdfData, { pageSize, profile, info: options.document });
+
+            this.exportStep(job, 95, 'Saving PDF');
+            await fs.writeFile(exportPath, pdfData);
+
+            console.log('PDF exported successfully:', exportPath);
+            const result = {
+                success: true,
+                path: exportPath,
+                directory: exportDir,
+                filename: path.basename(exportPath),
+                warnings: fontCheck.warnings
+            };
+            await this.recordExport(options, result);
+            this.exportStep(job, 100, 'Done');
+            return result;
+
+        } catch (error) {
+            console.error('Error exporting PDF:', error);
+            return this.exportFailure(job, error, 'Failed to export PDF');
+        } finally {
+            if (pdfWindow && !pdfWindow.isDestroyed()) {
+                pdfWindow.close();
+            }
+            this.finishExportJob(job);
+        }
+    }
+
+    getExportHistoryPath(projectId) {
+        return path.join(this.basePath, 'Exports', 'History', `${path.basename(String(projectId))}.json`);
+    }
+
+    async readExportHistory(projectId) {
+        try {
+            const entries = JSON.parse(await fs.readFile(this.getExportHistoryPath(projectId), 'utf-8'));
+            return Array.isArray(entries) ? entries : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    // Paths inside the workspace are stored relative to it - everyone syncs it to a different place
+    async recordExport(options, result) {
+        const source = options.source;
+        if (!source?.projectId) return;
+
+        try {
+            const relative = path.relative(this.basePath, result.path);
+            const entry = {
+                id: crypto.randomUUID(),
+                exportedAt: new Date().toISOString(),
+                user: os.userInfo().username,
+                format: options.format || 'pdf',
+                filename: result.filename,
+                path: relative.startsWith('..') || path.isAbsolute(relative) ? result.path : relative,
+                pageCount: Array.isArray(options.pageNumbers) ? options.pageNumbers.length : null,
+                exportOptions: source.exportOptions || null
+            };
+
+            const entries = [entry, ...await this.readExportHistory(source.projectId)].slice(0, EXPORT_HISTORY_LIMIT);
+            const historyPath = this.getExportHistoryPath(source.projectId);
+            await fs.mkdir(path.dirname(historyPath), { recursive: true });
+            await fs.writeFile(historyPath, JSON.stringify(entries, null, 2));
+        } catch (error) {
+            // The export itself worked - a missing history line isn't worth failing it for
+            console.warn('⚠️ Could not record export history:', error.message);
+        }
+    }
+
+    async listExportHistory(projectId) {
+        if (!projectId) return [];
+
+        const entries = await this.readExportHistory(projectId);
+        return Promise.all(entries.map(async entry => {
+            const fullPath = path.isAbsolute(entry.path) ? entry.path : path.join(this.basePath, entry.path);
+            return { ...entry, path: fullPath, exists: await this.exists(fullPath) };
+        }));
+    }
+
+    // The history file sits in the shared workspace, so anyone could edit its paths - only
+    // files inside <workspace>/Exports are opened, looked up here rather than taken from the renderer
+    async resolveExportEntry(projectId, entryId) {
+        const entry = (await this.readExportHistory(projectId)).find(item => item.id === entryId);
+        if (!entry || typeof entry.path !== 'string') {
+            throw new Error('Export not found in this project\'s history');
+        }
+
+        const exportsPath = await fs.realpath(path.join(this.basePath, 'Exports'));
+        const fullPath = await fs.realpath(path.resolve(this.basePath, entry.path)).catch(() => {
+            throw new Error('The exported file is no longer there');
+        });
+        const relative = path.relative(exportsPath, fullPath);
+        if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+            throw new Error('Only exports inside the workspace Exports folder can be opened from here');
+        }
+
+        return fullPath;
+    }
+
+    async openExport(projectId, entryId) {
+        const { shell } = require('electron');
+        try {
+            const error = await shell.openPath(await this.resolveExportEntry(projectId, entryId));
+            return error ? { success: false, error } : { success: true };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    async revealExport(projectId, entryId) {
+        const { shell } = require('electron');
+        try {
+            shell.showItemInFolder(await this.resolveExportEntry(projectId, entryId));
+            return { success: true };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    async loadFontRegistry() {
+        const fontsPath = path.join(this.basePath, 'Config', 'fonts');
+        const registry = { fonts: [], strict: false };
+
+        if (!(await this.exists(fontsPath))) {
+            return registry;
+        }
+
+        // Optional fonts.json names families/weights explicitly; otherwise they come
+        // from filenames like "SourceSans3-SemiBoldItalic.woff2"
+        let manifest = {};
+        try {
+            manifest = JSON.parse(await fs.readFile(path.join(fontsPath, 'fonts.json'), 'utf-8'));
+        } catch (error) {
+            // No manifest - infer everything
+        }
+        registry.strict = !!manifest.strict;
+        const declared = {};
+        (manifest.fonts || []).forEach(font => {
+            declared[font.file] = font;
+        });
+
+        const files = await fs.readdir(fontsPath);
+        for (const file of files.sort()) {
+            const format = FONT_FORMATS[path.extname(file).toLowerCase()];
+            if (!format) continue;
+
+            const inferred = this.parseFontFilename(file);
+            registry.fonts.push({ ...inferred, ...declared[file], file, format });
+        }
+
+        return registry;
+    }
+
+    parseFontFilename(file) {
+        const [familyPart, stylePart = ''] = path.parse(file).name.split('-');
+        const styleName = stylePart.toLowerCase();
+        const italic = styleName.includes('italic');
+        const weightName = styleName.replace('italic', '') || 'regular';
+
+        return {
+            // "SourceSans3" → "Source Sans 3"
+            family: familyPart.replace(/([a-z])([A-Z0-9])/g, '$1 $2').replace(/_/g, ' '),
+            weight: FONT_WEIGHTS[weightName] || 400,
+            style: italic ? 'italic' : 'normal'
+        };
+    }
+
+    async loadFonts() {
+        const fontsPath = path.join(this.basePath, 'Config', 'fonts');
+
+        try {
+            const registry = await this.loadFontRegistry();
+            const faces = [];
+
+            for (const font of registry.fonts) {
+                const data = await fs.readFile(path.join(fontsPath, font.file));
+                const mime = `font/${font.format === 'truetype' ? 'ttf' : font.format === 'opentype' ? 'otf' : font.format}`;
+                faces.push(this.createFontFace(font, `data:${mime};base64,${data.toString('base64')}`));
+            }
+
+            const families = [...new Set(registry.fonts.map(font => font.family))];
+            if (families.length > 0) {
+                console.log(`🔤 Loaded ${registry.fonts.length} font file(s): ${families.join(', ')}`);
+            }
+
+            return { css: faces.join('\n'), families, strict: registry.strict };
+        } catch (error) {
+            console.error('Error loading fonts:', error);
+            return { css: '', families: [], strict: false };
+        }
+    }
+
+    createFontFace(font, src) {
+        return `@font-face {
+    font-family: '${font.family}';
+    src: url(${src}) format('${font.format}');
+    font-weight: ${font.weight};
+    font-style: ${font.style};
+    font-display: block;
+}`;
+    }
+
+    async loadWatermarkConfig() {
+        let config = {};
+        try {
+            config = JSON.parse(await fs.readFile(path.join(this.basePath, 'Config', 'watermarks.json'), 'utf-8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn('⚠️ Ignoring unreadable Config/watermarks.json:', error.message);
+            }
+        }
+
+        const admins = Array.isArray(config.admins) ? config.admins.map(name => String(name).toLowerCase()) : [];
+
+        return {
+            statuses: { ...DEFAULT_WATERMARKS, ...(config.statuses || {}) },
+            canOverride: admins.includes(os.userInfo().username.toLowerCase())
+        };
+    }
+
+    // First-choice families named in font-family declarations - the fallbacks are just that
+    findReferencedFonts(html) {
+        const families = new Set();
+        const pattern = /font-family\s*:\s*([^;}"]+)/gi;
+        let match;
+
+        while ((match = pattern.exec(html)) !== null) {
+            const family = match[1].split(',')[0].trim().replace(/^['"]|['"]$/g, '').replace(/&quot;|&#39;/g, '');
+            if (family && !family.startsWith('var(') && !SYSTEM_FONT_FAMILIES.includes(family.toLowerCase())) {
+                families.add(family);
+            }
+        }
+
+        return [...families];
+    }
+
+    // Takes the fonts the export HTML was built with, so Config/fonts is only read once per export
+    async checkExportFonts(pdfWindow, html, fonts) {
+        const { families, strict } = fonts;
+        const installed = new Set(families.map(family => family.toLowerCase()));
+        const missing = this.findReferencedFonts(html).filter(family => !installed.has(family.toLowerCase()));
+
+        let failed = [];
+        try {
+            failed = await Promise.race([
+                pdfWindow.webContents.executeJavaScript(
+                    'document.fonts.ready.then(() => Array.from(document.fonts).filter(font => font.status === "error").map(font => font.family))'
+                ),
+                new Promise((resolve, reject) => setTimeout(() => reject(new Error('Timed out waiting for fonts')), FONT_LOAD_TIMEOUT))
+            ]);
+            console.log('🔤 Fonts ready for export');
+        } catch (error) {
+            console.warn('⚠️ Font loading did not complete:', error.message);
+        }
+
+        const warnings = [
+            ...missing.map(family => `Font "${family}" is not in Config/fonts - the PDF will use a fallback font`),
+            ...[...new Set(failed)].map(family => `Font "${family.replace(/['"]/g, '')}" failed to load`)
+        ];
+        warnings.forEach(warning => console.warn('⚠️', warning));
+
+        if (strict && warnings.length > 0) {
+            return { error: `Export stopped - ${warnings.join('; ')}`, warnings };
+        }
+
+        return { warnings };
+    }
+
+    createPrintOptimizedHTML(html, fontCSS = '', pageSize = DEFAULT_PAGE_SIZE, profile = { type: 'screen' }) {
+        console.log('🔍 createPrintOptimizedHTML input length:', html.length);
+        console.log('🔍 Input contains DOCTYPE:', html.includes('<!DOCTYPE'));
+        console.log('🔍 Input contains <html:', html.includes('<html'));
+
+        // Check if this is already a well-formed HTML document from ProjectManager
+        const isWellFormedHTML = html.trim().startsWith('<!DOCTYPE html>') &&
+                                html.includes('<head>') &&
+                                html.includes('<body>') &&
+                                html.includes('</body>') &&
+                                html.includes('</html>');
+
+        if (isWellFormedHTML) {
+            console.log('✅ Input is already a well-formed HTML document from ProjectManager');
+            console.log('✅ Passing through to preserve template styles');
+            return this.applyExportProfile(html, pageSize, profile);
+        }
+
+        console.log('🧹 Input appears to be HTML fragments, applying cleanup...');
+
+        // COMPLETELY STRIP ALL HTML DOCUMENT STRUCTURES
+        let bodyContent = html;
+
+        console.log('🧹 AGGRESSIVELY CLEANING HTML STRUCTURES...');
+
+        // Step 1: Remove ALL instances of DOCTYPE declarations
+        bodyContent = bodyContent.replace(/<!DOCTYPE[^>]*>/gi, '');
+        console.log('📄 After DOCTYPE removal, length:', bodyContent.length);
+
+        // Step 2: Remove ALL opening and closing html tags
+        bodyContent = bodyContent.replace(/<\/?html[^>]*>/gi, '');
+        console.log('📄 After HTML tag removal, length:', bodyContent.length);
+
+        // Step 3: Remove ALL head sections completely
+        bodyContent = bodyContent.replace(/<head[^>]*>.*?<\/head>/gis, '');
+        console.log('📄 After HEAD removal, length:', bodyContent.length);
+
+        // Step 4: Remove ALL opening and closing body tags (keep content inside)
+        bodyContent = bodyContent.replace(/<\/?body[^>]*>/gi, '');
+        console.log('📄 After BODY tag removal, length:', bodyContent.length);
+
+        // Step 5: Remove ALL style tags since styles are already consolidated in HEAD
+        bodyContent = bodyContent.replace(/<style[^>]*>.*?<\/style>/gs, '');
+        console.log('📄 After STYLE removal, length:', bodyContent.length);
+
+        // Step 6: Remove ALL script tags
+        bodyContent = bodyContent.replace(/<script[^>]*>.*?<\/script>/gs, '');
+        console.log('📄 After SCRIPT removal, length:', bodyContent.length);
+
+        // Step 7: Remove meta tags and link tags that might be left over
+        bodyContent = bodyContent.replace(/<meta[^>]*>/gi, '');
+        bodyContent = bodyContent.replace(/<link[^>]*>/gi, '');
+        console.log('📄 After META/LINK removal, length:', bodyContent.length);
+
+        // Step 8: Clean up excessive whitespace
+        bodyContent = bodyContent.replace(/\s*\n\s*\n\s*/g, '\n').trim();
+        console.log('📄 After whitespace cleanup, length:', bodyContent.length);
+
+        // Final validation - this should NEVER find any HTML document structures
+        const hasDoctype = bodyContent.includes('<!DOCTYPE');
+        const hasHtml = bodyContent.includes('<html');
+        const hasHead = bodyContent.includes('<head');
+        const hasBody = bodyContent.includes('<body');
+
+        console.log('🔍 Final validation:');
+        console.log('  - Contains DOCTYPE:', hasDoctype);
+        console.log('  - Contains <html:', hasHtml);
+        console.log('  - Contains <head:', hasHead);
+        console.log('  - Contains <body:', hasBody);
+
+        if (hasDoctype || hasHtml || hasHead || hasBody) {
+            console.log('🚨 CRITICAL ERROR: HTML structures still found after cleanup!');
+            console.log('📄 First 500 chars:', bodyContent.substring(0, 500));
+        }
+
+        console.log('📝 Final body content length:', bodyContent.length);
+        console.log('🔍 Body content starts with:', bodyContent.substring(0, 100) + '...');
+
+        const optimizedHTML = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Document Export</title>
+
+    ${fontCSS ? `<style>\n${fontCSS}\n    </style>` : `<!-- No local fonts in Config/fonts - fall back to Google Fonts -->
+    <link rel="preconnect" href="https://fonts.googleapis.com">
+    <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
+    <link href="https://fonts.googleapis.com/css2?family=Lora:wght@400;500;600;700&family=Source+Sans+3:wght@300;400;500;600;700&display=swap" rel="stylesheet">`}
+
+    <style>
+        /* PDF Export Optimized Styles */
+        * {
+            margin: 0;
+            padding: 0;
+            box-sizing: border-box;
+            -webkit-print-color-adjust: exact !important;
+            color-adjust: exact !important;
+            print-color-adjust: exact !important;
+        }
+
+        :root {
+            /* 3 Big Things Brand Colors */
+            --color-teal: #0A6B7C;
+            --color-teal-dark: #045563;
+            --color-orange: #E68A2E;
+            --color-sand: #D4AE80;
+            --color-sand-light: #E8D4BC;
+            --color-warm-white: #FAF7F4;
+            --color-charcoal: #2E2E2E;
+            --color-cool-gray: #8C9A9E;
+            --color-soft-sage: #A9C1B5;
+        }
+
+        /* Critical PDF Settings */
+        @page {
+            size: ${pageSize.width}mm ${pageSize.height}mm;
+            margin: 0;
+        }
+
+        body {
+            font-family: 'Source Sans 3', -apple-system, sans-serif;
+            color: var(--color-charcoal);
+            line-height: 1.4;
+            margin: 0;
+            padding: 0;
+            -webkit-print-color-adjust: exact !important;
+            color-adjust: exact !important;
+            print-color-adjust: exact !important;
+        }
+
+        /* Page container for each page */
+        .page {
+            width: ${pageSize.width}mm;
+            height: ${pageSize.height}mm;
+            position: relative;
+            overflow: hidden;
+            page-break-after: always;
+            page-break-inside: avoid;
+            background: white;
+            display: block;
+            -webkit-print-color-adjust: exact !important;
+            color-adjust: exact !important;
+            print-color-adjust: exact !important;
+        }
+
+        /* Remove page break after last page */
+        .page:last-child {
+            page-break-after: avoid;
+        }
+
+        /* Hide interactive elements and edit indicators */
+        .image-overlay,
+        .zone-controls,
+        .zone-resize-handle,
+        .edit-controls,
+        .edit-indicator,
+        .selected,
+        [data-editable].selected,
+        [contenteditable],
+        input[type="file"],
+        .image-input {
+            display: none !important;
+        }
+
+        /* Preserve image aspect ratios and prevent distortion */
+        img {
+            max-width: 100% !important;
+            height: auto !important;
+            object-fit: contain !important;
+            -webkit-print-color-adjust: exact !important;
+            color-adjust: exact !important;
+            print-color-adjust: exact !important;
+        }
+
+        /* Specific fixes for profile and circular images */
+        .profile-pic,
+        .profile-image,
+        [class*="profile"] img,
+        [class*="team"] img,
+        [class*="member"] img {
+            width: auto !important;
+            height: auto !important;
+            max-width: 150px !important;
+            max-height: 150px !important;
+            object-fit: cover !important;
+            aspect-ratio: 1/1 !important;
+            border-radius: 50% !important;
+        }
+
+        /* Preserve all background colors, gradients, and images */
+        [style*="background"],
+        [class*="bg-"],
+        [class*="background"],
+        .hero-section,
+        .header-section,
+        .cover-section,
+        .teal-section,
+        section,
+        div[style*="background-color"],
+        div[style*="background-image"],
+        div[style*="background"] {
+            -webkit-print-color-adjust: exact !important;
+            color-adjust: exact !important;
+            print-color-adjust: exact !important;
+        }
+
+        /* Typography optimization for print */
+        h1, h2, h3, h4, h5, h6 {
+            page-break-after: avoid;
+            font-family: 'Lora', serif;
+            -webkit-print-color-adjust: exact !important;
+            color-adjust: exact !important;
+            print-color-adjust: exact !important;
+        }
+
+        p {
+            orphans: 3;
+            widows: 3;
+        }
+
+        /* Specific brand color preservation */
+        .teal-bg,
+        .bg-teal,
+        [style*="background-color: #0A6B7C"],
+        [style*="background-color: var(--color-teal)"],
+        [style*="background: #0A6B7C"],
+        [style*="background: var(--color-teal)"] {
+            background-color: #0A6B7C !important;
+            -webkit-print-color-adjust: exact !important;
+            color-adjust: exact !important;
+            print-color-adjust: exact !important;
+        }
+
+        .orange-bg,
+        .bg-orange,
+        [style*="background-color: #E68A2E"],
+        [style*="background-color: var(--color-orange)"],
+        [style*="background: #E68A2E"],
+        [style*="background: var(--color-orange)"] {
+            background-color: #E68A2E !important;
+            -webkit-print-color-adjust: exact !important;
+            color-adjust: exact !important;
+            print-color-adjust: exact !important;
+        }
+
+        /* Ensure text is crisp */
+        * {
+            -webkit-font-smoothing: antialiased;
+            -moz-osx-font-smoothing: grayscale;
+        }
+    </style>
+</head>
+<body>
+    ${bodyContent}
+    <script>
+        // Post-load fixes for PDF generation
+        document.addEventListener('DOMContentLoaded', function() {
+            // Force background color preservation
+            const elementsWithStyle = document.querySelectorAll('[style*="background"]');
+            elementsWithStyle.forEach(el => {
+                el.style.webkitPrintColorAdjust = 'exact';
+                el.style.colorAdjust = 'exact';
+                el.style.printColorAdjust = 'exact';
+            });
+
+            // Fix profile image aspect ratios
+            const profileImages = document.querySelectorAll('.profile-pic, .profile-image, [class*="profile"] img, [class*="team"] img, [class*="member"] img');
+            profileImages.forEach(img => {
+                img.style.objectFit = 'cover';
+                img.style.aspectRatio = '1/1';
+                img.style.borderRadius = '50%';
+                img.style.maxWidth = '150px';
+                img.style.maxHeight = '150px';
+            });
+
+            // Remove any remaining edit indicators
+            const editElements = document.querySelectorAll('.selected, [data-editable].selected, .edit-indicator');
+            editElements.forEach(el => {
+                el.classList.remove('selected');
+                const indicator = el.querySelector('.edit-indicator');
+                if (indicator) indicator.remove();
+            });
+        });
+    </script>
+</body>
+</html>`;
+
+        return this.applyExportProfile(optimizedHTML, pageSize, profile);
+    }
+
+    applyExportProfile(html, pageSize, profile) {
+        if (profile.type !== 'print') {
+            return html;
+        }
+
+        const head = this.createPrintProductionHead(pageSize, profile);
+        return html.includes('</head>')
+            ? html.replace('</head>', `${head}\n</head>`)
+            : `${head}\n${html}`;
+    }
+
+    // Lays each page on a larger sheet, extends its background into the bleed
+    // and adds the marks. Runs in the export window before fonts and layout settle.
+    createPrintProductionHead(pageSize, { bleed, slug }) {
+        const sheetWidth = pageSize.width + slug * 2;
+        const sheetHeight = pageSize.height + slug * 2;
+
+        return `
+    <style data-print-production>
+        @page {
+            size: ${sheetWidth}mm ${sheetHeight}mm;
+            margin: 0;
+        }
+
+        body {
+            margin: 0 !important;
+            background: white !important;
+        }
+
+        .print-sheet {
+            position: relative;
+            width: ${sheetWidth}mm;
+            height: ${sheetHeight}mm;
+            overflow: hidden;
+            background: white;
+            page-break-after: always;
+        }
+
+        .print-sheet:last-child {
+            page-break-after: auto;
+        }
+
+        .print-sheet > .print-trim {
+            position: absolute !important;
+            left: ${slug}mm !important;
+            top: ${slug}mm !important;
+            margin: 0 !important;
+            page-break-after: auto !important;
+        }
+
+        /* Backgrounds are laid out against the trim box and painted out into the bleed */
+        .print-bleed {
+            position: absolute;
+            left: ${slug - bleed}mm;
+            top: ${slug - bleed}mm;
+            width: ${pageSize.width + bleed * 2}mm;
+            height: ${pageSize.height + bleed * 2}mm;
+            padding: ${bleed}mm;
+            box-sizing: border-box;
+            background-origin: content-box !important;
+            background-clip: border-box !important;
+        }
+
+        .print-marks {
+            position: absolute;
+            left: 0;
+            top: 0;
+            width: ${sheetWidth}mm;
+            height: ${sheetHeight}mm;
+            z-index: 2147483647;
+            pointer-events: none;
+        }
+    </style>
+    <script data-print-production>
+        document.addEventListener('DOMContentLoaded', () => {
+            const marks = ${JSON.stringify(this.createPrintMarksSVG(pageSize, { bleed, slug }))};
+            const unified = document.querySelectorAll('.unified-page');
+            const pages = unified.length > 0 ? unified : document.querySelectorAll('body > .page');
+
+            pages.forEach(page => {
+                const sheet = document.createElement('div');
+                sheet.className = 'print-sheet';
+                page.parentNode.insertBefore(sheet, page);
+
+                const bleedBox = document.createElement('div');
+                bleedBox.className = 'print-bleed';
+                sheet.appendChild(bleedBox);
+
+                page.classList.add('print-trim');
+                sheet.appendChild(page);
+                sheet.insertAdjacentHTML('beforeend', marks);
+
+                // The template's own .page carries the design background
+                const source = page.querySelector('.page') || page;
+                const style = getComputedStyle(source);
+                bleedBox.style.backgroundColor = style.backgroundColor;
+                bleedBox.style.backgroundImage = style.backgroundImage;
+                bleedBox.style.backgroundSize = style.backgroundSize;
+                bleedBox.style.backgroundPosition = style.backgroundPosition;
+                bleedBox.style.backgroundRepeat = style.backgroundRepeat;
+            });
+        });
+    </script>`;
+    }
+
+    createPrintMarksSVG(pageSize, { bleed, slug }) {
+        const sheetWidth = pageSize.width + slug * 2;
+        const sheetHeight = pageSize.height + slug * 2;
+        const trimLeft = slug;
+        const trimTop = slug;
+        const trimRight = slug + pageSize.width;
+        const trimBottom = slug + pageSize.height;
+        // Marks stop short of the bleed so they never print on the trimmed piece
+        const near = slug - bleed - PRINT_MARK_OFFSET;
+        const far = near - PRINT_MARK_LENGTH;
+
+        const line = (x1, y1, x2, y2) => `<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}"/>`;
+        const cropMarks = [
+            // Top and bottom, at each vertical trim edge
+            ...[trimLeft, trimRight].flatMap(x => [
+                line(x, far, x, near),
+                line(x, sheetHeight - near, x, sheetHeight - far)
+            ]),
+            // Left and right, at each horizontal trim edge
+            ...[trimTop, trimBottom].flatMap(y => [
+                line(far, y, near, y),
+                line(sheetWidth - near, y, sheetWidth - far, y)
+            ])
+        ];
+
+        const radius = PRINT_MARK_LENGTH / 4;
+        const middle = (far + near) / 2;
+        const registration = (cx, cy) => `
+            <circle cx="${cx}" cy="${cy}" r="${radius}"/>
+            <circle cx="${cx}" cy="${cy}" r="${radius / 2}" fill="#000"/>
+            ${line(cx - radius * 1.6, cy, cx + radius * 1.6, cy)}
+            ${line(cx, cy - radius * 1.6, cx, cy + radius * 1.6)}`;
+        const registrationMarks = [
+            registration(sheetWidth / 2, middle),
+            registration(sheetWidth / 2, sheetHeight - middle),
+            registration(middle, sheetHeight / 2),
+            registration(sheetWidth - middle, sheetHeight / 2)
+        ];
+
+        return `<svg class="print-marks" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${sheetWidth} ${sheetHeight}"
+             fill="none" stroke="#000" stroke-width="0.1">${cropMarks.join('')}${registrationMarks.join('')}</svg>`;
+    }
+
+    // Chromium's PDF has no document info, outline or page boxes - add them afterwards
+    async finishPDF(pdfData, { pageSize, profile, info }) {
+        const pdf = await PDFDocument.load(pdfData);
+
+        if (info) {
+            this.setDocumentInfo(pdf, info);
+            this.addBookmarks(pdf, info.bookmarks || []);
+        }
+        if (profile.type === 'print') {
+            this.setPrintBoxes(pdf, pageSize, profile);
+        }
+
+        return Buffer.from(await pdf.save());
+    }
+
+    setDocumentInfo(pdf, { title, client, status }) {
+        if (title) {
+            pdf.setTitle(title, { showInWindowTitleBar: true });
+        }
+        pdf.setAuthor(PDF_AUTHOR);
+        pdf.setSubject(client ? `${title} for ${client}` : title || '');
+        pdf.setKeywords([client, status].filter(Boolean));
+        pdf.setCreator(PDF_CREATOR);
+    }
+
+    addBookmarks(pdf, bookmarks) {
+        const pages = pdf.getPages();
+        const entries = bookmarks.filter(bookmark => bookmark.pageIndex < pages.length);
+        if (entries.length === 0) return;
+
+        const context = pdf.context;
+        const outlinesRef = context.nextRef();
+        const itemRefs = entries.map(() => context.nextRef());
+
+        entries.forEach((bookmark, index) => {
+            const item = context.obj({
+                Title: PDFHexString.fromText(bookmark.title),
+                Parent: outlinesRef,
+                Dest: [pages[bookmark.pageIndex].ref, 'Fit']
+            });
+            if (index > 0) item.set(PDFName.of('Prev'), itemRefs[index - 1]);
+            if (index < itemRefs.length - 1) item.set(PDFName.of('Next'), itemRefs[index + 1]);
+            context.assign(itemRefs[index], item);
+        });
+
+        context.assign(outlinesRef, context.obj({
+            Type: 'Outlines',
+            First: itemRefs[0],
+            Last: itemRefs[itemRefs.length - 1],
+            Count: itemRefs.length
+        }));
+
+        // Open with the bookmarks panel showing
+        pdf.catalog.set(PDFName.of('Outlines'), outlinesRef);
+        pdf.catalog.set(PDFName.of('PageMode'), PDFName.of('UseOutlines'));
+        console.log('🔖 Added', entries.length, 'bookmarks');
+    }
+
+    // Chromium can't write page boxes, so add TrimBox/BleedBox to the finished PDF
+    setPrintBoxes(pdf, pageSize, { bleed, slug }) {
+        const toPt = (mm) => mm * PT_PER_MM;
+
+        pdf.getPages().forEach(page => {
+            page.setTrimBox(toPt(slug), toPt(slug), toPt(pageSize.width), toPt(pageSize.height));
+            page.setBleedBox(
+                toPt(slug - bleed),
+                toPt(slug - bleed),
+                toPt(pageSize.width + bleed * 2),
+                toPt(pageSize.height + bleed * 2)
+            );
+        });
+
+        console.log('✂️ Trim and bleed boxes recorded on', pdf.getPageCount(), 'pages');
+    }
+
+    getImageCsvPath() {
+        return path.join(this.basePath, 'Images', '3bigthings_images_summary.csv');
+    }
+
+    async readImageCsv() {
+        const csvPath = this.getImageCsvPath();
+        const content = await this.exists(csvPath) ? await fs.readFile(csvPath, 'utf-8') : '';
+        const [headers = [], ...rows] = parseCsv(content, {
+            bom: true,
+            skip_empty_lines: true,
+            relax_column_count: true
+        });
+
+        const columns = {};
+        headers.forEach((header, index) => {
+            const field = IMAGE_CSV_HEADERS[header.toLowerCase().replace(/[^a-z0-9]/g, '')];
+            if (field && columns[field] === undefined) {
+                columns[field] = index;
+            }
+        });
+
+        return { headers, rows, columns, lineEnding: content.includes('\r\n') ? '\r\n' : '\n' };
+    }
+
+    imageFromCsvRow(row, columns) {
+        const value = (field) => columns[field] !== undefined ? (row[columns[field]] || '').trim() : '';
+
+        return {
+            filename: value('filename'),
+            page: value('page'),
+            url: value('url'),
+            description: value('description'),
+            suggestedUses: value('suggestedUses'),
+            tags: value('tags').split(/[,;]/).map(tag => tag.trim()).filter(Boolean)
+        };
+    }
+
+    async loadImages() {
+        const images = [];
+
+        try {
+            if (await this.exists(this.getImageCsvPath())) {
+                const { rows, columns } = await this.readImageCsv();
+
+                if (columns.filename === undefined || columns.url === undefined) {
+                    console.warn('Image CSV is missing a filename or url column');
+                }
+
+                for (const row of rows) {
+                    const image = this.imageFromCsvRow(row, columns);
+                    if (image.filename && image.url) {
+                        images.push(image.url.startsWith(`${IMAGE_PROTOCOL}://`)
+                            ? await this.withLocalThumbnail(image)
+                            : await this.withRemoteCache(image));
+                    }
+                }
+            }
+
+            // Imported files that have no CSV row yet
+            const listed = new Set(images.map(image => image.url));
+            const localImages = await this.loadLocalImages();
+            images.push(...localImages.filter(image => !listed.has(image.url)));
+        } catch (error) {
+            console.error('Error loading images:', error);
+        }
+
+        console.log(`Loaded ${images.length} images from library`);
+
+        // Fill the offline cache in the background; the renderer reloads when it's done
+        this.cacheRemoteImages(images.filter(image => image.source === 'remote' && !image.cachedUrl));
+
+        return images;
+    }
+
+    registerImageProtocol() {
+        // A re-created app instance (macOS activate) takes over the handler
+        if (protocol.isProtocolHandled(IMAGE_PROTOCOL)) {
+            protocol.unhandle(IMAGE_PROTOCOL);
+        }
+
+        protocol.handle(IMAGE_PROTOCOL, (request) => {
+            const imagePath = this.resolveImageUrl(request.url);
+            if (!imagePath) {
+                return new Response('Not found', { status: 404 });
+            }
+            return net.fetch(pathToFileURL(imagePath).toString());
+        });
+    }
+
+    resolveImageUrl(imageUrl) {
+        const { host, pathname } = new URL(imageUrl);
+        const imagesPath = path.join(this.basePath, 'Images');
+        const roots = { local: imagesPath, cache: path.join(imagesPath, 'cache') };
+        if (!roots[host]) return null;
+
+        // Never serve anything outside the workspace image folders
+        const resolved = path.resolve(roots[host], decodeURIComponent(pathname).replace(/^\/+/, ''));
+        return resolved.startsWith(roots[host] + path.sep) ? resolved : null;
+    }
+
+    getImageUrl(area, relativePath) {
+        return `${IMAGE_PROTOCOL}://${area}/${relativePath.split(path.sep).map(encodeURIComponent).join('/')}`;
+    }
+
+    getRemoteCacheName(url) {
+        let extension = '';
+        try {
+            extension = path.extname(new URL(url).pathname).toLowerCase();
+        } catch (error) {
+            // Not a parseable URL - fall back to a generic extension
+        }
+        const hash = crypto.createHash('sha1').update(url).digest('hex');
+        return `${hash}${IMAGE_EXTENSIONS.includes(extension) ? extension : '.img'}`;
+    }
+
+    async withRemoteCache(image) {
+        const cacheName = this.getRemoteCacheName(image.url);
+        const cachePath = path.join(this.basePath, 'Images', 'cache', 'remote', cacheName);
+        const thumbName = `${path.parse(cacheName).name}.jpg`;
+        const cached = await this.exists(cachePath);
+        const hasThumb = cached && await this.exists(path.join(this.basePath, 'Images', 'cache', 'thumbs', thumbName));
+
+        return {
+            ...image,
+            source: 'remote',
+            cachedUrl: cached ? this.getImageUrl('cache', path.join('remote', cacheName)) : null,
+            thumbnailUrl: hasThumb ? this.getImageUrl('cache', path.join('thumbs', thumbName)) : null
+        };
+    }
+
+    async loadLocalImages() {
+        const imagesPath = path.join(this.basePath, 'Images');
+        const images = [];
+
+        const entries = await fs.readdir(imagesPath, { withFileTypes: true });
+        for (const entry of entries) {
+            if (!entry.isFile() || !IMAGE_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) continue;
+
+            const thumbName = this.getLocalThumbnailName(entry.name);
+            const hasThumb = await this.exists(path.join(imagesPath, 'cache', 'thumbs', thumbName));
+
+            images.push({
+                filename: entry.name,
+                page: '',
+                url: this.getImageUrl('local', entry.name),
+                description: '',
+                suggestedUses: '',
+                tags: [],
+                source: 'local',
+                cachedUrl: null,
+                thumbnailUrl: hasThumb ? this.getImageUrl('cache', path.join('thumbs', thumbName)) : null
+            });
+        }
+
+        return images;
+    }
+
+    async withLocalThumbnail(image) {
+        const thumbName = this.getLocalThumbnailName(image.filename);
+        const hasThumb = await this.exists(path.join(this.basePath, 'Images', 'cache', 'thumbs', thumbName));
+
+        return {
+            ...image,
+            source: 'local',
+            cachedUrl: null,
+            thumbnailUrl: hasThumb ? this.getImageUrl('cache', path.join('thumbs', thumbName)) : null
+        };
+    }
+
+    getLocalThumbnailName(filename) {
+        return `local-${path.parse(filename).name.replace(/[^a-zA-Z0-9-_]/g, '-')}.jpg`;
+    }
+
+    async generateThumbnail(sourcePath, thumbName) {
+        // nativeImage can't rasterise SVG - those are shown at full size instead
+        if (path.extname(sourcePath).toLowerCase() === '.svg') return false;
+
+        try {
+            let image = nativeImage.createFromPath(sourcePath);
+            if (image.isEmpty()) return false;
+
+            if (image.getSize().width > THUMBNAIL_WIDTH) {
+                image = image.resize({ width: THUMBNAIL_WIDTH, quality: 'good' });
+            }
+
+            await fs.writeFile(path.join(this.basePath, 'Images', 'cache', 'thumbs', thumbName), image.toJPEG(80));
+            return true;
+        } catch (error) {
+            console.warn('Failed to generate thumbnail for', sourcePath, error);
+            return false;
+        }
+    }
+
+    async importImages(filePaths = []) {
+        const imagesPath = path.join(this.basePath, 'Images');
+        const imported = [];
+        const skipped = [];
+
+        for (const filePath of filePaths) {
+            const extension = path.extname(filePath).toLowerCase();
+            if (!IMAGE_EXTENSIONS.includes(extension)) {
+                skipped.push(path.basename(filePath));
+                continue;
+            }
+
+            try {
+                // Never overwrite an existing image - add a numeric suffix instead
+                const { name } = path.parse(filePath);
+                let filename = `${name}${extension}`;
+                for (let attempt = 2; await this.exists(path.join(imagesPath, filename)); attempt++) {
+                    filename = `${name}-${attempt}${extension}`;
+                }
+
+                const destination = path.join(imagesPath, filename);
+                await fs.copyFile(filePath, destination);
+                await this.generateThumbnail(destination, this.getLocalThumbnailName(filename));
+
+                console.log('🖼️ Imported image:', filename);
+                imported.push(filename);
+            } catch (error) {
+                console.error('Error importing image:', filePath, error);
+                skipped.push(path.basename(filePath));
+            }
+        }
+
+        return { success: imported.length > 0, imported, skipped };
+    }
+
+    async cacheRemoteImages(images) {
+        if (this.imageCacheRunning || images.length === 0) return;
+        this.imageCacheRunning = true;
+
+        const cachePath = path.join(this.basePath, 'Images', 'cache', 'remote');
+        let cachedCount = 0;
+
+        try {
+            // One at a time - this runs quietly behind normal use
+            for (const image of images) {
+                const cacheName = this.getRemoteCacheName(image.url);
+
+                try {
+                    const response = await net.fetch(image.url, { signal: AbortSignal.timeout(REMOTE_IMAGE_TIMEOUT) });
+                    if (!response.ok) {
+                        throw new Error(`HTTP ${response.status}`);
+                    }
+
+                    const tempPath = path.join(cachePath, `${cacheName}.download`);
+                    await fs.writeFile(tempPath, Buffer.from(await response.arrayBuffer()));
+                    await fs.rename(tempPath, path.join(cachePath, cacheName));
+                    await this.generateThumbnail(path.join(cachePath, cacheName), `${path.parse(cacheName).name}.jpg`);
+                    cachedCount++;
+                } catch (error) {
+                    console.warn(`Could not cache ${image.url}:`, error.message);
+                }
+            }
+        } finally {
+            this.imageCacheRunning = false;
+        }
+
+        if (cachedCount > 0) {
+            console.log(`📦 Cached ${cachedCount} remote image(s) for offline use`);
+            if (this.window && !this.window.isDestroyed()) {
+                this.window.webContents.send('file-change', { type: 'images', event: 'cached' });
+            }
+        }
+    }
+
+    // RFC 4180: quote fields containing delimiters, quotes or line breaks
+    formatCsvField(value) {
+        const text = value === undefined || value === null ? '' : String(value);
+        return /[",\r\n]/.test(text) || text !== text.trim()
+            ? `"${text.replace(/"/g, '""')}"`
+            : text;
+    }
+
+    async updateImageMetadata(key, updates) {
+        const csvPath = this.getImageCsvPath();
+
+        try {
+            const { headers, rows, columns, lineEnding } = await this.readImageCsv();
+
+            let row = rows.find(candidate => {
+                const image = this.imageFromCsvRow(candidate, columns);
+                return image.filename === key.filename && image.url === key.url;
+            });
+
+            // Imported images get their CSV row the first time they're described
+            if (!row && key.url.startsWith(`${IMAGE_PROTOCOL}://local/`)) {
+                ['filename', 'url'].forEach(field => {
+                    if (columns[field] === undefined) {
+                        columns[field] = headers.length;
+                        headers.push(field);
+                    }
+                });
+                row = [];
+                row[columns.filename] = key.filename;
+                row[columns.url] = key.url;
+                rows.push(Array.from(row, value => value || ''));
+                row = rows[rows.length - 1];
+            }
+
+            if (!row) {
+                return { success: false, error: `"${key.filename}" is no longer in the image library` };
+            }
+
+            const values = {
+                description: updates.description,
+                suggestedUses: updates.suggestedUses,
+                tags: Array.isArray(updates.tags) ? updates.tags.join(', ') : updates.tags
+            };
+            const newHeaders = { description: 'description', suggestedUses: 'suggested_uses', tags: 'tags' };
+
+            Object.entries(values).forEach(([field, value]) => {
+                if (value === undefined) return;
+
+                // Older CSVs may not have every column yet
+                if (columns[field] === undefined) {
+                    columns[field] = headers.length;
+                    headers.push(newHeaders[field]);
+                }
+                while (row.length <= columns[field]) {
+                    row.push('');
+                }
+                row[columns[field]] = String(value).trim();
+            });
+
+            const csvContent = [headers, ...rows]
+                .map(fields => fields.map(field => this.formatCsvField(field)).join(','))
+                .join(lineEnding) + lineEnding;
+
+            // Keep the previous file, then swap the new one in atomically
+            if (await this.exists(csvPath)) {
+                await fs.copyFile(csvPath, `${csvPath}.bak`);
+            }
+            const tempPath = `${csvPath}.tmp`;
+            await fs.writeFile(tempPath, csvContent);
+            await fs.rename(tempPath, csvPath);
+
+            console.log('🖼️ Image metadata updated:', key.filename);
+            return { success: true, image: this.imageFromCsvRow(row, columns) };
+        } catch (error) {
+            console.error('Error updating image metadata:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async listProjects() {
+        const projectsPath = path.join(this.basePath, 'Projects');
+        const projects = [];
+
+        try {
+            const files = await fs.readdir(projectsPath);
+
+            for (const file of files) {
+                if (file.endsWith('.3bt') && !file.endsWith('.lock')) {
+                    try {
+                        const filePath = path.join(projectsPath, file);
+                        const stats = await fs.stat(filePath);
+                        const content = await fs.readFile(filePath, 'utf-8');
+                        const project = JSON.parse(content);
+
+                        const lock = await this.readProjectLock(file);
+                        const activeLock = lock && !this.isOwnLock(lock) && !this.isLockStale(lock) ? lock : null;
+
+                        projects.push({
+                            filename: file,
+                            id: project.id || null,
+                            title: project.metadata.title || 'Untitled',
+                            client: project.metadata.client || '',
+                            modified: stats.mtime,
+                            pages: project.pages ? project.pages.length : 0,
+                            lockedBy: activeLock ? { user: activeLock.user, machine: activeLock.machine } : null
+                        });
+                    } catch (error) {
+                        console.warn(`Error reading project ${file}:`, error);
+                    }
+                }
+            }
+
+            // Sort by modified date, newest first
+            projects.sort((a, b) => new Date(b.modified) - new Date(a.modified));
+
+        } catch (error) {
+            console.error('Error listing projects:', error);
+        }
+
+        return projects;
+    }
+
+    async deleteProject(filename) {
+        const projectsPath = path.join(this.basePath, 'Projects');
+        const projectFile = path.join(projectsPath, filename);
+        const lockFile = path.join(projectsPath, `${filename}.lock`);
+
+        try {
+            const lock = await this.readProjectLock(filename);
+            if (lock && !this.isOwnLock(lock) && !this.isLockStale(lock)) {
+                return { success: false, error: `Project is open by ${lock.user} on ${lock.machine}` };
+            }
+
+            if (this.heldLock && this.heldLock.filename === filename) {
+                this.stopLockHeartbeat();
+                this.heldLock = null;
+            }
+
+            // Delete the main project file
+            await fs.unlink(projectFile);
+
+            // Delete the lock file if it exists
+            try {
+                await fs.unlink(lockFile);
+            } catch (lockError) {
+                // Lock file might not exist, that's okay
+            }
+
+            // Snapshots are only reachable through the project, so they go too
+            await fs.rm(this.getHistoryPath(filename), { recursive: true, force: true });
+
+            return { success: true, message: 'Project deleted successfully' };
+        } catch (error) {
+            console.error('Error deleting project:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async exists(filePath) {
+        try {
+            await fs.access(filePath);
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    async uploadTemplateBatch(uploadData) {
+        try {
+            console.log('uploadTemplateBatch received data:', uploadData);
+            const { templateName, metadata, pages, versionOf } = uploadData;
+
+            // A new version of an existing template replaces its pages in place
+            if (versionOf) {
+                return await this.uploadTemplateVersion(versionOf, metadata, pages);
+            }
+
+            if (!templateName) {
+                console.error('templateName is missing from upload data:', uploadData);
+                throw new Error('Template name is required but was not provided');
+            }
+
+            // Create category folder structure if new category
+            const templatesPath = path.join(this.basePath, 'Templates');
+            const categoryPath = path.join(templatesPath, metadata.category);
+
+            // Ensure category folder exists
+            if (!await this.exists(categoryPath)) {
+                console.log(`Creating new category folder: ${metadata.category}`);
+                await fs.mkdir(categoryPath, { recursive: true });
+            }
+
+            const templatePath = path.join(categoryPath, templateName);
+
+            if (await this.exists(templatePath)) {
+                return {
+                    success: false,
+                    error: `Template "${templateName}" already exists in category "${metadata.category}"`
+                };
+            }
+
+            await fs.mkdir(templatePath, { recursive: true });
+            await fs.mkdir(path.join(templatePath, 'pages'), { recursive: true });
+
+            // A new identity, unless this is a package whose template isn't in the library yet
+            const inUse = metadata.uuid && !!(await this.findTemplateFolderByUuid(metadata.uuid));
+            const uuid = metadata.uuid && !inUse ? metadata.uuid : crypto.randomUUID();
+
+            const metadataPath = path.join(templatePath, 'metadata.json');
+            await fs.writeFile(metadataPath, JSON.stringify({ ...metadata, uuid }, null, 2));
+
+            for (const page of pages) {
+                const pagePath = path.join(templatePath, 'pages', page.fileName);
+                await fs.writeFile(pagePath, page.htmlContent);
+            }
+
+            return {
+                success: true,
+                path: templatePath,
+                category: metadata.category,
+                message: `Template "${templateName}" uploaded successfully to category "${metadata.category}"`
+            };
+
+        } catch (error) {
+            console.error('Error uploading template batch:', error);
+            return {
+                success: false,
+                error: error.message || 'Failed to upload template'
+            };
+        }
+    }
+
+    // The previous version is copied to Templates/.archive before anything is overwritten
+    async uploadTemplateVersion(versionOf, metadata, pages) {
+        const templatePath = this.getTemplatePath(versionOf.folder);
+        const { metadata: current, files } = await this.readTemplateFolder(templatePath);
+        const currentVersion = current.version || '1.0';
+
+        if (this.compareVersions(metadata.version, currentVersion) <= 0) {
+            return { success: false, error: `The new version must be higher than the current version (${currentVersion})` };
+        }
+
+        const archivedPath = this.getTemplateArchivePath(versionOf.folder, `v${currentVersion}`);
+        await fs.mkdir(path.dirname(archivedPath), { recursive: true });
+        await fs.cp(templatePath, archivedPath, { recursive: true });
+
+        const pagesPath = path.join(templatePath, 'pages');
+        const slug = (file) => this.getPageSlug(file);
+        const oldFiles = new Map(files.map(file => [slug(file), file]));
+        const templateName = path.basename(templatePath);
+        const entry = { version: metadata.version, date: new Date().toISOString(), user: os.userInfo().username, notes: versionOf.notes || '', added: [], changed: [], removed: [] };
+        const idMap = {};
+
+        for (const page of pages) {
+            const pageSlug = slug(page.fileName);
+            const oldFile = oldFiles.get(pageSlug);
+
+            if (!oldFile) {
+                entry.added.push(pageSlug);
+            } else {
+                const oldContent = await fs.readFile(path.join(pagesPath, oldFile), 'utf-8');
+                if (oldContent.replace(/\r\n/g, '\n') !== page.htmlContent.replace(/\r\n/g, '\n')) {
+                    entry.changed.push(pageSlug);
+                }
+                if (oldFile !== page.fileName) {
+                    const [oldId, newId] = this.getTemplatePageIds(versionOf.folder, [oldFile, page.fileName]);
+                    idMap[oldId] = newId;
+                }
+                oldFiles.delete(pageSlug);
+            }
+        }
+        entry.removed = Array.from(oldFiles.keys());
+
+        // The new pages are written in full before the old ones go, so a failed write leaves the template as it was
+        const stagingPath = `${pagesPath}.new`;
+        const replacedPath = `${pagesPath}.old`;
+        await fs.rm(stagingPath, { recursive: true, force: true });
+        await fs.mkdir(stagingPath, { recursive: true });
+        try {
+            for (const page of pages) {
+                await fs.writeFile(path.join(stagingPath, page.fileName), page.htmlContent);
+            }
+        } catch (error) {
+            await fs.rm(stagingPath, { recursive: true, force: true });
+            throw error;
+        }
+        await fs.rm(replacedPath, { recursive: true, force: true });
+        await fs.rename(pagesPath, replacedPath);
+        await fs.rename(stagingPath, pagesPath);
+        await fs.rm(replacedPath, { recursive: true, force: true });
+
+        const updated = {
+            ...current,
+            description: metadata.description,
+            version: metadata.version,
+            pages: metadata.pages,
+            changelog: [...(current.changelog || []), entry]
+        };
+        this.recordRenamedPages(updated, idMap);
+        await this.writeTemplateMetadata(templatePath, updated);
+
+        console.log(`🆕 Published v${metadata.version} of template "${versionOf.folder}" (v${currentVersion} archived to ${archivedPath})`);
+        return {
+            success: true,
+            path: templatePath,
+            category: current.category,
+            idMap,
+            message: `Version ${metadata.version} of "${current.name || templateName}" published`
+        };
+    }
+
+    // Versions match pages by name: "page-2-Hero Section.html" and "page-1-hero-section.html" are the same page
+    getPageSlug(filename) {
+        return filename
+            .replace(/\.html$/i, '')
+            .replace(/^page-\d+-/i, '')
+            .toLowerCase()
+            .replace(/[\s_]+/g, '-');
+    }
+
+    // "1.10" is newer than "1.9" - compared part by part as numbers
+    compareVersions(a, b) {
+        const left = String(a || '0').split('.').map(part => parseInt(part, 10) || 0);
+        const right = String(b || '0').split('.').map(part => parseInt(part, 10) || 0);
+
+        for (let index = 0; index < Math.max(left.length, right.length); index++) {
+            const difference = (left[index] || 0) - (right[index] || 0);
+            if (difference !== 0) return difference;
+        }
+        return 0;
+    }
+
+    // Checks the folder uploadTemplateBatch will write, Templates/<category>/<name>
+    async validateTemplateName(templateName, category = '') {
+        let name;
+        let categoryName;
+        try {
+            name = this.validateTemplateFolderName(templateName, 'Template name');
+            categoryName = category ? this.validateTemplateFolderName(category, 'Category') : '';
+        } catch (error) {
+            return { valid: false, message: error.message };
+        }
+
+        try {
+            if (!categoryName) {
+                return { valid: true, message: 'Template name is valid' };
+            }
+
+            const exists = await this.exists(path.join(this.basePath, 'Templates', categoryName, name));
+            return {
+                valid: !exists,
+                exists,
+                message: exists ? `Template name already exists in category "${categoryName}"` : 'Template name is available'
+            };
+
+        } catch (error) {
+            console.error('Error validating template name:', error);
+            return {
+                valid: false,
+                error: 'Failed to validate template name'
+            };
+        }
+    }
+
+    async getTemplateCategories() {
+        try {
+            const templatesPath = path.join(this.basePath, 'Templates');
+            const categories = new Set();
+
+            if (await this.exists(templatesPath)) {
+                const dirs = await fs.readdir(templatesPath);
+
+                for (const dir of dirs) {
+                    if (dir.startsWith('.')) continue;
+
+                    const dirPath = path.join(templatesPath, dir);
+                    const stat = await fs.lstat(dirPath);
+
+                    if (stat.isDirectory()) {
+                        const pagesPath = path.join(dirPath, 'pages');
+
+                        if (await this.exists(pagesPath)) {
+                            // This is a template folder (old structure) - get category from metadata
+                            const metadataPath = path.join(dirPath, 'metadata.json');
+                            if (await this.exists(metadataPath)) {
+                                try {
+                                    const metadataContent = await fs.readFile(metadataPath, 'utf-8');
+                                    const metadata = JSON.parse(metadataContent);
+                                    if (metadata.category) {
+                                        categories.add(metadata.category);
+                                    }
+                                } catch (error) {
+                                    categories.add('general');
+                                }
+                            } else {
+                                categories.add('general');
+                            }
+                        } else {
+                            // This is a category folder (new structure)
+                            categories.add(dir);
+                        }
+                    }
+                }
+            }
+
+            return {
+                success: true,
+                categories: Array.from(categories).sort()
+            };
+
+        } catch (error) {
+            console.error('Error getting template categories:', error);
+            return {
+                success: false,
+                categories: [],
+                error: 'Failed to load categories'
+            };
+        }
+    }
+
+    // folder is relative to Templates/, as reported by loadTemplates: "<category>/<name>", or "<name>" for older templates
+    getTemplatePath(folder) {
+        const templatesPath = path.join(this.basePath, 'Templates');
+        const parts = String(folder || '').split('/');
+        const templatePath = path.resolve(templatesPath, ...parts);
+
+        if (!templatePath.startsWith(templatesPath + path.sep) || parts[0] === TEMPLATE_ARCHIVE_DIR) {
+            throw new Error(`"${folder}" is not a template in the library`);
+        }
+        return templatePath;
+    }
+
+    validateTemplateFolderName(value, label) {
+        const name = (value || '').trim();
+        if (!TEMPLATE_NAME_PATTERN.test(name) || name.length > 100) {
+            throw new Error(`${label} can only use letters, numbers, spaces and - _ . & ( ) '`);
+        }
+        return name;
+    }
+
+    async readTemplateFolder(templatePath) {
+        if (!await this.exists(path.join(templatePath, 'pages'))) {
+            throw new Error('Template folder not found - it may have been moved or deleted');
+        }
+
+        let metadata = {};
+        try {
+            metadata = JSON.parse(await fs.readFile(path.join(templatePath, 'metadata.json'), 'utf-8'));
+        } catch (error) {
+            // Templates without (valid) metadata get one written on their first edit
+        }
+
+        const files = (await fs.readdir(path.join(templatePath, 'pages'))).filter(file => file.endsWith('.html')).sort();
+        return { metadata, files };
+    }
+
+    // The folder that answers to a UUID, found the way loadTemplates finds it (sorted, first wins)
+    // but reading only metadata.json - page HTML over a synced folder is slow to read just for this
+    async findTemplateFolderByUuid(uuid) {
+        const templatesPath = path.join(this.basePath, 'Templates');
+        const readUuid = async (templatePath) => {
+            try {
+                return JSON.parse(await fs.readFile(path.join(templatePath, 'metadata.json'), 'utf-8')).uuid || null;
+            } catch (error) {
+                return null;
+            }
+        };
+
+        const dirs = (await fs.readdir(templatesPath).catch(() => [])).sort();
+        for (const dir of dirs) {
+            if (dir.startsWith('.')) continue;
+
+            const dirPath = path.join(templatesPath, dir);
+            if (!(await fs.lstat(dirPath)).isDirectory()) continue;
+
+            if (await this.exists(path.join(dirPath, 'pages'))) {
+                if (await readUuid(dirPath) === uuid) return dir;
+                continue;
+            }
+
+            for (const templateDir of (await fs.readdir(dirPath)).sort()) {
+                const templatePath = path.join(dirPath, templateDir);
+                if (templateDir.startsWith('.') || !(await this.exists(path.join(templatePath, 'pages')))) continue;
+                if (await readUuid(templatePath) === uuid) return `${dir}/${templateDir}`;
+            }
+        }
+
+        return null;
+    }
+
+    async writeTemplateMetadata(templatePath, metadata) {
+        metadata.modified = new Date().toISOString().split('T')[0];
+
+        // Templates from before UUIDs, or hand-made copies sharing one, get their own identity here
+        const folder = path.relative(path.join(this.basePath, 'Templates'), templatePath).split(path.sep).join('/');
+        const owner = metadata.uuid && await this.findTemplateFolderByUuid(metadata.uuid);
+        if (!metadata.uuid || (owner && owner !== folder)) {
+            metadata.uuid = crypto.randomUUID();
+        }
+        await fs.writeFile(path.join(templatePath, 'metadata.json'), JSON.stringify(metadata, null, 2));
+    }
+
+    // Page IDs are `<category>/<template>/<page file>`, so moves, renames and reorders change them.
+    // The old IDs are kept in metadata.renamedPages so projects opened later still find their template
+    recordRenamedPages(metadata, idMap) {
+        const renamedPages = { ...(metadata.renamedPages || {}) };
+
+        Object.entries(idMap).forEach(([oldId, newId]) => {
+            Object.keys(renamedPages).forEach(earlierId => {
+                if (renamedPages[earlierId] === oldId) renamedPages[earlierId] = newId;
+            });
+            renamedPages[oldId] = newId;
+        });
+
+        // A page that moved back to an earlier ID no longer needs that entry
+        Object.keys(renamedPages).forEach(oldId => {
+            if (renamedPages[oldId] === oldId) delete renamedPages[oldId];
+        });
+
+        metadata.renamedPages = renamedPages;
+    }
+
+    // Older templates sit directly in Templates/, so their folder (and ID) has no category
+    getTemplatePageIds(folder, files) {
+        return files.map(file => `${folder}/${file.replace('.html', '')}`);
+    }
+
+    async updateTemplateMetadata(folder, updates = {}) {
+        try {
+            const templatePath = this.getTemplatePath(folder);
+            const { metadata } = await this.readTemplateFolder(templatePath);
+
+            // Name and category are the folder path - moveTemplate changes those
+            const { name, category, pages, renamedPages, uuid, ...editable } = updates;
+            await this.writeTemplateMetadata(templatePath, { ...metadata, ...editable });
+
+            console.log(`📝 Updated metadata for template "${folder}"`);
+            return { success: true };
+        } catch (error) {
+            console.error('Error updating template metadata:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Rename and/or move to another category folder
+    async moveTemplate(folder, destination = {}) {
+        try {
+            const templatePath = this.getTemplatePath(folder);
+            const { metadata, files } = await this.readTemplateFolder(templatePath);
+            const name = this.validateTemplateFolderName(destination.name, 'Template name');
+            const category = this.validateTemplateFolderName(destination.category, 'Category');
+
+            const templatesPath = path.join(this.basePath, 'Templates');
+            const newPath = path.join(templatesPath, category, name);
+            if (newPath === templatePath) {
+                return { success: true, folder, idMap: {} };
+            }
+
+            // Case-only renames are the same folder on macOS and Windows
+            if (newPath.toLowerCase() !== templatePath.toLowerCase() && await this.exists(newPath)) {
+                return { success: false, error: `Template "${name}" already exists in category "${category}"` };
+            }
+
+            await fs.mkdir(path.join(templatesPath, category), { recursive: true });
+            await fs.rename(templatePath, newPath);
+
+            // Leave no empty category behind (older templates sit directly in Templates/)
+            const oldParent = path.dirname(templatePath);
+            if (oldParent !== templatesPath) {
+                await fs.rmdir(oldParent).catch(() => {});
+            }
+
+            const newFolder = `${category}/${name}`;
+            const oldIds = this.getTemplatePageIds(folder, files);
+            const newIds = this.getTemplatePageIds(newFolder, files);
+            const idMap = {};
+            oldIds.forEach((oldId, index) => {
+                if (oldId !== newIds[index]) idMap[oldId] = newIds[index];
+            });
+
+            this.recordRenamedPages(metadata, idMap);
+            await this.writeTemplateMetadata(newPath, { ...metadata, name, category });
+
+            console.log(`🚚 Moved template "${folder}" → "${newFolder}"`);
+            return { success: true, folder: newFolder, idMap };
+        } catch (error) {
+            console.error('Error moving template:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // order lists the current page files in their new order; files are renumbered to match
+    async reorderTemplatePages(folder, order = []) {
+        try {
+            const templatePath = this.getTemplatePath(folder);
+            const { metadata, files } = await this.readTemplateFolder(templatePath);
+
+            if (order.length !== files.length || !files.every(file => order.includes(file))) {
+                return { success: false, error: 'The template\'s pages changed on disk - reopen it and try again' };
+            }
+
+            const pagesPath = path.join(templatePath, 'pages');
+            const renamed = order.map((file, index) => {
+                const slug = file.replace('.html', '').replace(/^page-\d+-/, '');
+                return { from: file, to: `page-${String(index + 1).padStart(2, '0')}-${slug}.html`, slug };
+            });
+
+            // Through temporary names, so swapping two pages never overwrites either
+            const moving = renamed.filter(page => page.from !== page.to);
+            for (const page of moving) {
+                await fs.rename(path.join(pagesPath, page.from), path.join(pagesPath, `${page.from}.reorder`));
+            }
+            for (const page of moving) {
+                await fs.rename(path.join(pagesPath, `${page.from}.reorder`), path.join(pagesPath, page.to));
+            }
+
+            const idMap = {};
+            moving.forEach(page => {
+                const [oldId, newId] = this.getTemplatePageIds(folder, [page.from, page.to]);
+                idMap[oldId] = newId;
+            });
+
+            this.recordRenamedPages(metadata, idMap);
+            metadata.pages = renamed.map(page => page.slug);
+            await this.writeTemplateMetadata(templatePath, metadata);
+
+            console.log(`🔢 Reordered ${moving.length} page(s) of template "${folder}"`);
+            return { success: true, idMap };
+        } catch (error) {
+            console.error('Error reordering template pages:', error);
+            return { success: false, error: error.message };
+        }
     }
 
-    async loadImages() {
-        const imagesPath = path.join(this.basePath, 'Images');
-        const csvPath = path.join(imagesPath, '3bigthings_images_summary.csv');
-        const images = [];
-
+    // Same file, new HTML - projects pick it up through template updates
+    async replaceTemplatePage(folder, filename, htmlContent) {
         try {
-            if (await this.exists(csvPath)) {
-                const csvContent = await fs.readFile(csvPath, 'utf-8');
-                const lines = csvContent.split('\n');
-
-                // Skip header row
-                for (let i = 1; i < lines.length; i++) {
-                    const line = lines[i].trim();
-                    if (line) {
-                        const [filename, page, url, description, suggestedUses] = line.split(',');
-                        if (filename && url) {
-                            images.push({
-                                filename: filename.trim(),
-                                page: page ? page.trim() : '',
-                                url: url.trim(),
-                                description: description ? description.trim() : '',
-                                suggestedUses: suggestedUses ? suggestedUses.trim() : ''
-                            });
-                        }
-                    }
-                }
+            const templatePath = this.getTemplatePath(folder);
+            const { metadata, files } = await this.readTemplateFolder(templatePath);
+
+            if (!files.includes(filename)) {
+                return { success: false, error: `"${filename}" is not a page of this template` };
             }
+
+            await fs.writeFile(path.join(templatePath, 'pages', filename), htmlContent);
+            await this.writeTemplateMetadata(templatePath, metadata);
+
+            console.log(`📄 Replaced page "${filename}" of template "${folder}"`);
+            return { success: true };
         } catch (error) {
-            console.error('Error loading images:', error);
+            console.error('Error replacing template page:', error);
+            return { success: false, error: error.message };
         }
-
-        console.log(`Loaded ${images.length} images from library`);
-        return images;
     }
 
-    async listProjects() {
-        const projectsPath = path.join(this.basePath, 'Projects');
-        const projects = [];
+    // Templates/.archive/<category> - <name> (<label>, <timestamp>)
+    getTemplateArchivePath(folder, label) {
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        return path.join(this.basePath, 'Templates', TEMPLATE_ARCHIVE_DIR, `${folder.split('/').join(' - ')} (${label}, ${stamp})`);
+    }
 
+    async archiveTemplate(folder) {
         try {
-            const files = await fs.readdir(projectsPath);
+            const templatePath = this.getTemplatePath(folder);
+            const { files } = await this.readTemplateFolder(templatePath);
 
-            for (const file of files) {
-                if (file.endsWith('.3bt') && !file.endsWith('.lock')) {
-                    try {
-                        const filePath = path.join(projectsPath, file);
-                        const stats = await fs.stat(filePath);
-                        const content = await fs.readFile(filePath, 'utf-8');
-                        const project = JSON.parse(content);
+            const archivedPath = this.getTemplateArchivePath(folder, 'archived');
+            await fs.mkdir(path.dirname(archivedPath), { recursive: true });
+            await fs.rename(templatePath, archivedPath);
 
-                        projects.push({
-                            filename: file,
-                            title: project.metadata.title || 'Untitled',
-                            client: project.metadata.client || '',
-                            modified: stats.mtime,
-                            pages: project.pages ? project.pages.length : 0
-                        });
-                    } catch (error) {
-                        console.warn(`Error reading project ${file}:`, error);
-                    }
-                }
-            }
+            console.log(`🗄️ Archived template "${folder}" to ${archivedPath}`);
+            return { success: true, path: archivedPath, removedIds: this.getTemplatePageIds(folder, files) };
+        } catch (error) {
+            console.error('Error archiving template:', error);
+            return { success: false, error: error.message };
+        }
+    }
 
-            // Sort by modified date, newest first
-            projects.sort((a, b) => new Date(b.modified) - new Date(a.modified));
+    async deleteTemplate(folder) {
+        try {
+            const templatePath = this.getTemplatePath(folder);
+            const { files } = await this.readTemplateFolder(templatePath);
 
+            await fs.rm(templatePath, { recursive: true, force: true });
+
+            console.log(`🗑️ Deleted template "${folder}"`);
+            return { success: true, removedIds: this.getTemplatePageIds(folder, files) };
         } catch (error) {
-            console.error('Error listing projects:', error);
+            console.error('Error deleting template:', error);
+            return { success: false, error: error.message };
         }
-
-        return projects;
     }
 
-    async deleteProject(filename) {
+    // Projects with pages built from any of these template page IDs
+    async findTemplateUsage(templateIds = []) {
         const projectsPath = path.join(this.basePath, 'Projects');
-        const projectFile = path.join(projectsPath, filename);
-        const lockFile = path.join(projectsPath, `${filename}.lock`);
+        const usage = [];
 
         try {
-            // Delete the main project file
-            await fs.unlink(projectFile);
+            const files = (await fs.readdir(projectsPath)).filter(file => file.endsWith('.3bt'));
 
-            // Delete the lock file if it exists
-            try {
-                await fs.unlink(lockFile);
-            } catch (lockError) {
-                // Lock file might not exist, that's okay
+            for (const file of files) {
+                try {
+                    const project = JSON.parse(await fs.readFile(path.join(projectsPath, file), 'utf-8'));
+                    const pageCount = (project.pages || []).filter(page => templateIds.includes(page.templateId)).length;
+                    if (pageCount > 0) {
+                        usage.push({ filename: file, title: project.metadata?.title || 'Untitled', pageCount });
+                    }
+                } catch (error) {
+                    console.warn(`Error reading project ${file}:`, error);
+                }
             }
-
-            return { success: true, message: 'Project deleted successfully' };
         } catch (error) {
-            console.error('Error deleting project:', error);
-            return { success: false, error: error.message };
+            console.error('Error finding template usage:', error);
         }
+
+        return usage;
     }
 
-    async exists(filePath) {
+    // The template folder as it is, page thumbnails rendered from `preview` (the renderer's
+    // export HTML of every page, in file order) and the library images and fonts it uses
+    async exportTemplatePackage(folder, preview = null) {
         try {
-            await fs.access(filePath);
-            return true;
-        } catch {
-            return false;
+            const templatePath = this.getTemplatePath(folder);
+            const { metadata, files } = await this.readTemplateFolder(templatePath);
+            const name = metadata.name || path.basename(templatePath);
+            const version = metadata.version || '1.0';
+            const zip = new JSZip();
+            const warnings = [];
+
+            let thumbnails = [];
+            if (preview?.html) {
+                try {
+                    ({ images: thumbnails } = await this.renderPageImages(preview.html, this.getExportPageSize(preview.pageSize), THUMBNAIL_WIDTH));
+                } catch (error) {
+                    warnings.push(`Page thumbnails could not be rendered: ${error.message}`);
+                }
+            }
+
+            // Thumbnails from an earlier import are replaced by fresh ones
+            for (const file of await this.listTemplateFiles(templatePath)) {
+                if (thumbnails.length > 0 && file.startsWith('thumbnails/')) continue;
+                zip.file(file, await fs.readFile(path.join(templatePath, ...file.split('/'))));
+            }
+            thumbnails.forEach((image, index) => {
+                const page = (preview.files || [])[index];
+                if (page && files.includes(page)) {
+                    zip.file(`thumbnails/${page.replace(/\.html$/, '.png')}`, image.toPNG());
+                }
+            });
+
+            const html = (await Promise.all(files.map(file => fs.readFile(path.join(templatePath, 'pages', file), 'utf-8')))).join('\n');
+
+            const images = [];
+            for (const image of this.findLibraryImages(html)) {
+                const imagePath = path.join(this.basePath, 'Images', image);
+                if (await this.exists(imagePath)) {
+                    zip.file(`assets/images/${image}`, await fs.readFile(imagePath));
+                    images.push(image);
+                } else {
+                    warnings.push(`Image "${image}" is no longer in the library and was left out`);
+                }
+            }
+
+            const families = this.findReferencedFonts(html).map(family => family.toLowerCase());
+            const fonts = (await this.loadFontRegistry()).fonts.filter(font => families.includes(font.family.toLowerCase()));
+            for (const font of fonts) {
+                zip.file(`assets/fonts/${font.file}`, await fs.readFile(path.join(this.basePath, 'Config', 'fonts', font.file)));
+            }
+
+            zip.file(TEMPLATE_PACKAGE_MANIFEST, JSON.stringify({
+                format: TEMPLATE_PACKAGE_FORMAT,
+                name,
+                category: metadata.category,
+                version,
+                exportedAt: new Date().toISOString(),
+                exportedBy: os.userInfo().username,
+                images,
+                fonts: fonts.map(({ file, family, weight, style }) => ({ file, family, weight, style }))
+            }, null, 2));
+
+            const safeName = name.replace(/[^\w\s-]/g, '').trim();
+            const packagePath = path.join(this.basePath, 'Exports', 'Templates', `${safeName}-v${version}.zip`);
+            await fs.mkdir(path.dirname(packagePath), { recursive: true });
+            await fs.writeFile(packagePath, await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' }));
+
+            console.log(`📦 Exported template package ${packagePath} (${files.length} pages, ${images.length} images, ${fonts.length} fonts)`);
+            return { success: true, path: packagePath, pageCount: files.length, images: images.length, fonts: fonts.length, warnings };
+        } catch (error) {
+            console.error('Error exporting template package:', error);
+            return { success: false, error: error.message || 'Failed to export template package' };
         }
     }
 
-    async uploadTemplateBatch(uploadData) {
-        try {
-            console.log('uploadTemplateBatch received data:', uploadData);
-            const { templateName, metadata, pages } = uploadData;
+    // Relative paths (forward slashes) of every file in a template folder, hidden files aside
+    async listTemplateFiles(templatePath) {
+        const entries = await fs.readdir(templatePath, { recursive: true });
+        const files = [];
 
-            if (!templateName) {
-                console.error('templateName is missing from upload data:', uploadData);
-                throw new Error('Template name is required but was not provided');
+        for (const entry of entries.sort()) {
+            const parts = entry.split(path.sep);
+            if (parts.some(part => part.startsWith('.'))) continue;
+            if ((await fs.lstat(path.join(templatePath, entry))).isFile()) {
+                files.push(parts.join('/'));
             }
+        }
+        return files;
+    }
 
-            // Create category folder structure if new category
-            const templatesPath = path.join(this.basePath, 'Templates');
-            const categoryPath = path.join(templatesPath, metadata.category);
+    // Library images are the files directly in Images/ - cached remote images are fetched again by URL
+    findLibraryImages(html) {
+        const imagesPath = path.join(this.basePath, 'Images');
+        const images = new Set();
 
-            // Ensure category folder exists
-            if (!await this.exists(categoryPath)) {
-                console.log(`Creating new category folder: ${metadata.category}`);
-                await fs.mkdir(categoryPath, { recursive: true });
+        (html.match(WEB_IMAGE_URL_PATTERN) || []).forEach(url => {
+            try {
+                const imagePath = new URL(url).host === 'local' ? this.resolveImageUrl(url) : null;
+                if (imagePath && path.dirname(imagePath) === imagesPath) {
+                    images.add(path.basename(imagePath));
+                }
+            } catch (error) {
+                // Not a parseable URL - nothing to package
             }
+        });
 
-            const templatePath = path.join(categoryPath, templateName);
+        return [...images];
+    }
 
-            if (await this.exists(templatePath)) {
-                return {
-                    success: false,
-                    error: `Template "${templateName}" already exists in category "${metadata.category}"`
-                };
+    async openTemplatePackage() {
+        try {
+            const result = await dialog.showOpenDialog(this.window, {
+                title: 'Import Template Package',
+                buttonLabel: 'Import',
+                filters: [{ name: 'Template Packages', extensions: ['zip'] }],
+                properties: ['openFile']
+            });
+            if (result.canceled || result.filePaths.length === 0) {
+                return { success: false, canceled: true };
             }
 
-            await fs.mkdir(templatePath, { recursive: true });
-            await fs.mkdir(path.join(templatePath, 'pages'), { recursive: true });
-
-            const metadataPath = path.join(templatePath, 'metadata.json');
-            await fs.writeFile(metadataPath, JSON.stringify(metadata, null, 2));
+            const packagePath = result.filePaths[0];
+            const templatePackage = await this.readTemplatePackage(packagePath);
+            const { metadata, manifest } = templatePackage;
 
-            for (const page of pages) {
-                const pagePath = path.join(templatePath, 'pages', page.fileName);
-                await fs.writeFile(pagePath, page.htmlContent);
+            // Same place uploadTemplateBatch would write to
+            const folder = `${templatePackage.category}/${templatePackage.name}`;
+            let conflict = null;
+            if (await this.exists(path.join(this.basePath, 'Templates', templatePackage.category, templatePackage.name))) {
+                let installed = {};
+                try {
+                    ({ metadata: installed } = await this.readTemplateFolder(this.getTemplatePath(folder)));
+                } catch (error) {
+                    // A folder without pages - still in the way of a new install
+                }
+                const version = installed.version || '1.0';
+                conflict = { folder, version, isNewer: this.compareVersions(metadata.version || '1.0', version) > 0 };
             }
 
             return {
                 success: true,
-                path: templatePath,
-                category: metadata.category,
-                message: `Template "${templateName}" uploaded successfully to category "${metadata.category}"`
+                packagePath,
+                name: templatePackage.name,
+                category: templatePackage.category,
+                version: metadata.version || '1.0',
+                description: metadata.description || '',
+                exportedBy: manifest.exportedBy || null,
+                exportedAt: manifest.exportedAt || null,
+                pages: templatePackage.pages,
+                images: templatePackage.images.length,
+                fonts: templatePackage.fonts.length,
+                conflict
             };
-
         } catch (error) {
-            console.error('Error uploading template batch:', error);
-            return {
-                success: false,
-                error: error.message || 'Failed to upload template'
-            };
+            console.error('Error opening template package:', error);
+            return { success: false, error: error.message || 'Failed to read template package' };
         }
     }
 
-    async validateTemplateName(templateName) {
-        try {
-            const templatePath = path.join(this.basePath, 'Templates', templateName);
-            const exists = await this.exists(templatePath);
+    // Inflates one zip entry, destroying the stream once it grows past the given number of bytes
+    inflatePackageEntry(entry, limit) {
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            let size = 0;
+            const stream = entry.nodeStream('nodebuffer');
+
+            stream
+                .on('data', (chunk) => {
+                    size += chunk.length;
+                    if (size > limit) {
+                        stream.destroy(new Error('Template package is too large'));
+                        return;
+                    }
+                    chunks.push(chunk);
+                })
+                .on('error', reject)
+                .on('end', () => resolve(Buffer.concat(chunks)));
+        });
+    }
 
-            return {
-                valid: !exists,
-                message: exists ? 'Template name already exists' : 'Template name is available'
-            };
+    // Hand-made zips often wrap everything in one folder - the package root is wherever metadata.json is
+    async readTemplatePackage(packagePath) {
+        if ((await fs.stat(packagePath)).size > TEMPLATE_PACKAGE_MAX_SIZE) {
+            throw new Error('Template package is too large');
+        }
 
+        let zip;
+        try {
+            zip = await JSZip.loadAsync(await fs.readFile(packagePath));
         } catch (error) {
-            console.error('Error validating template name:', error);
-            return {
-                valid: false,
-                error: 'Failed to validate template name'
-            };
+            throw new Error('Not a template package - the zip file could not be read');
         }
-    }
 
-    async getTemplateCategories() {
+        // Entries become files in the workspace - none may reach outside the template's own folders
+        const entries = Object.values(zip.files).filter(entry => !entry.dir && !entry.name.startsWith('__MACOSX/'));
+        if (entries.some(entry => entry.name.includes('\\') || entry.name.split('/').some(part => part === '' || part === '..'))) {
+            throw new Error('Template package contains unsafe file paths');
+        }
+
+        const metadataEntry = entries
+            .filter(entry => path.posix.basename(entry.name) === 'metadata.json')
+            .sort((a, b) => a.name.split('/').length - b.name.split('/').length)[0];
+        if (!metadataEntry) {
+            throw new Error('Not a template package - metadata.json is missing');
+        }
+        const root = metadataEntry.name.slice(0, -'metadata.json'.length);
+
+        const packageEntries = entries.filter(entry => {
+            const relative = entry.name.slice(root.length);
+            return entry.name.startsWith(root) && !relative.split('/').some(part => part.startsWith('.'));
+        });
+
+        // A small zip can inflate to gigabytes - inflating stops as soon as the total passes the limit
+        const files = {};
+        let totalSize = 0;
+        for (const entry of packageEntries) {
+            const relative = entry.name.slice(root.length);
+            files[relative] = await this.inflatePackageEntry(entry, TEMPLATE_PACKAGE_MAX_SIZE - totalSize);
+            totalSize += files[relative].length;
+        }
+
+        let metadata;
+        let manifest = {};
         try {
-            const templatesPath = path.join(this.basePath, 'Templates');
-            const categories = new Set();
+            metadata = JSON.parse(files['metadata.json'].toString('utf-8'));
+            if (files[TEMPLATE_PACKAGE_MANIFEST]) {
+                manifest = JSON.parse(files[TEMPLATE_PACKAGE_MANIFEST].toString('utf-8'));
+            }
+        } catch (error) {
+            throw new Error(`Template package metadata is not valid JSON: ${error.message}`);
+        }
+        if (manifest.format > TEMPLATE_PACKAGE_FORMAT) {
+            throw new Error('This template package was made by a newer version of Brochure');
+        }
 
-            if (await this.exists(templatesPath)) {
-                const dirs = await fs.readdir(templatesPath);
+        const templatePackage = {
+            name: this.validateTemplateFolderName(metadata.name || root.replace(/\/$/, '') || path.basename(packagePath, '.zip'), 'Template name'),
+            category: this.validateTemplateFolderName(metadata.category || 'general', 'Category'),
+            metadata,
+            manifest,
+            pages: [],
+            images: [],
+            fonts: [],
+            files: []
+        };
 
-                for (const dir of dirs) {
-                    if (dir.startsWith('.')) continue;
+        Object.keys(files).sort().forEach(relative => {
+            const parts = relative.split('/');
+            const data = files[relative];
+
+            if (parts[0] === 'pages' && parts.length === 2 && relative.endsWith('.html')) {
+                templatePackage.pages.push({ fileName: parts[1], htmlContent: data.toString('utf-8') });
+            } else if (parts[0] === 'assets' && parts[1] === 'images' && parts.length === 3 &&
+                IMAGE_EXTENSIONS.includes(path.extname(parts[2]).toLowerCase())) {
+                templatePackage.images.push({ file: parts[2], data });
+            } else if (parts[0] === 'assets' && parts[1] === 'fonts' && parts.length === 3 &&
+                FONT_FORMATS[path.extname(parts[2]).toLowerCase()]) {
+                templatePackage.fonts.push({ file: parts[2], data });
+            } else if (relative !== 'metadata.json' && relative !== TEMPLATE_PACKAGE_MANIFEST && parts[0] !== 'pages' && parts[0] !== 'assets') {
+                // Thumbnails and anything else that lived in the template folder
+                templatePackage.files.push({ path: relative, data });
+            }
+        });
 
-                    const dirPath = path.join(templatesPath, dir);
-                    const stat = await fs.lstat(dirPath);
+        if (templatePackage.pages.length === 0) {
+            throw new Error('Template package has no pages');
+        }
+        return templatePackage;
+    }
 
-                    if (stat.isDirectory()) {
-                        const pagesPath = path.join(dirPath, 'pages');
+    // options.mode: 'new' installs under the package's own name, 'copy' under options.name,
+    // and 'version' publishes it as a new version of the template already in the library
+    async installTemplatePackage(packagePath, options = {}) {
+        try {
+            const templatePackage = await this.readTemplatePackage(packagePath);
+            const { category, manifest } = templatePackage;
+
+            // Nothing is written until the template itself is in, so a clash leaves the workspace untouched
+            const images = await this.planPackageImages(templatePackage.images);
+            const pages = templatePackage.pages.map(page => ({
+                ...page,
+                htmlContent: this.renamePackageImages(page.htmlContent, images)
+            }));
+
+            let result;
+            if (options.mode === 'version') {
+                result = await this.uploadTemplateBatch({
+                    metadata: templatePackage.metadata,
+                    pages,
+                    versionOf: { folder: `${category}/${templatePackage.name}`, notes: `Imported from ${path.basename(packagePath)}` }
+                });
+            } else {
+                const templateName = options.mode === 'copy'
+                    ? this.validateTemplateFolderName(options.name, 'Template name')
+                    : templatePackage.name;
+                const metadata = { ...templatePackage.metadata, name: templateName, category };
+                // A copy is a template of its own, and renames recorded under the old name mean nothing to it
+                if (templateName !== templatePackage.name) {
+                    delete metadata.renamedPages;
+                    delete metadata.uuid;
+                }
 
-                        if (await this.exists(pagesPath)) {
-                            // This is a template folder (old structure) - get category from metadata
-                            const metadataPath = path.join(dirPath, 'metadata.json');
-                            if (await this.exists(metadataPath)) {
-                                try {
-                                    const metadataContent = await fs.readFile(metadataPath, 'utf-8');
-                                    const metadata = JSON.parse(metadataContent);
-                                    if (metadata.category) {
-                                        categories.add(metadata.category);
-                                    }
-                                } catch (error) {
-                                    categories.add('general');
-                                }
-                            } else {
-                                categories.add('general');
-                            }
-                        } else {
-                            // This is a category folder (new structure)
-                            categories.add(dir);
-                        }
-                    }
+                result = await this.uploadTemplateBatch({ templateName, metadata, pages });
+                if (result.success) {
+                    result.message = `Template "${templateName}" installed in "${category}"`;
                 }
             }
+            if (!result.success) {
+                return result;
+            }
 
-            return {
-                success: true,
-                categories: Array.from(categories).sort()
-            };
+            for (const file of templatePackage.files) {
+                const target = path.join(result.path, ...file.path.split('/'));
+                await fs.mkdir(path.dirname(target), { recursive: true });
+                await fs.writeFile(target, file.data);
+            }
 
-        } catch (error) {
-            console.error('Error getting template categories:', error);
+            const imagesPath = path.join(this.basePath, 'Images');
+            const newImages = images.filter(image => image.install);
+            for (const image of newImages) {
+                const destination = path.join(imagesPath, image.target);
+                await fs.mkdir(imagesPath, { recursive: true });
+                await fs.writeFile(destination, image.data);
+                await this.generateThumbnail(destination, this.getLocalThumbnailName(image.target));
+            }
+
+            const newFonts = await this.installPackageFonts(templatePackage.fonts, manifest.fonts || []);
+
+            console.log(`📦 Installed template package ${path.basename(packagePath)} (${newImages.length} new images, ${newFonts.length} new fonts)`);
             return {
-                success: false,
-                categories: [],
-                error: 'Failed to load categories'
+                ...result,
+                folder: path.relative(path.join(this.basePath, 'Templates'), result.path).split(path.sep).join('/'),
+                images: newImages.length,
+                fonts: newFonts.length
             };
+        } catch (error) {
+            console.error('Error installing template package:', error);
+            return { success: false, error: error.message || 'Failed to install template package' };
         }
     }
 
+    // An image already in the library with the same content is reused. One with the same
+    // name but different content is installed under a numbered name instead
+    async planPackageImages(images) {
+        const imagesPath = path.join(this.basePath, 'Images');
+        const plan = [];
+
+        for (const image of images) {
+            const { name, ext } = path.parse(image.file);
+            let target = image.file;
+            let install = true;
+
+            for (let attempt = 2; await this.exists(path.join(imagesPath, target)); attempt++) {
+                if ((await fs.readFile(path.join(imagesPath, target))).equals(image.data)) {
+                    install = false;
+                    break;
+                }
+                target = `${name}-${attempt}${ext}`;
+            }
+            plan.push({ ...image, target, install });
+        }
+
+        return plan;
+    }
+
+    renamePackageImages(html, images) {
+        const renamed = new Map(images.filter(image => image.target !== image.file).map(image => [image.file, image.target]));
+        if (renamed.size === 0) return html;
+
+        return html.replace(WEB_IMAGE_URL_PATTERN, url => {
+            const [image] = this.findLibraryImages(url);
+            return renamed.has(image) ? this.getImageUrl('local', renamed.get(image)) : url;
+        });
+    }
+
+    // Fonts already in Config/fonts are kept. Families the file name doesn't spell out
+    // get the package's fonts.json entry
+    async installPackageFonts(fonts, declared) {
+        const fontsPath = path.join(this.basePath, 'Config', 'fonts');
+        const installed = [];
+
+        for (const font of fonts) {
+            if (await this.exists(path.join(fontsPath, font.file))) continue;
+
+            await fs.mkdir(fontsPath, { recursive: true });
+            await fs.writeFile(path.join(fontsPath, font.file), font.data);
+            installed.push(font.file);
+        }
+
+        const entries = declared.filter(entry => {
+            if (!installed.includes(entry.file)) return false;
+            const inferred = this.parseFontFilename(entry.file);
+            return entry.family !== inferred.family || entry.weight !== inferred.weight || entry.style !== inferred.style;
+        });
+
+        if (entries.length > 0) {
+            const manifestPath = path.join(fontsPath, 'fonts.json');
+            let manifest = {};
+            try {
+                manifest = JSON.parse(await fs.readFile(manifestPath, 'utf-8'));
+            } catch (error) {
+                // No manifest yet
+            }
+            manifest.fonts = [...(manifest.fonts || []), ...entries];
+            await fs.writeFile(manifestPath, JSON.stringify(manifest, null, 2));
+        }
+
+        return installed;
+    }
+
     initFileWatcher() {
         this.fileWatcher = new FileWatcher(this.basePath, this.window);
         this.fileWatcher.init();
@@ -974,9 +3816,28 @@ class BrochureApp {
     }
 }
 
+// A command (`brochure export ...`) runs headless and exits instead of opening the app
+let headlessCommand = null;
+try {
+    headlessCommand = CommandLine.parse(CommandLine.getArgs(process.argv, app.isPackaged));
+} catch (error) {
+    process.stderr.write(`${error.message}\n\n${USAGE}\n`);
+    process.exit(EXIT_USAGE);
+}
+
+if (headlessCommand?.name === 'help') {
+    process.stdout.write(`${USAGE}\n`);
+    process.exit(EXIT_OK);
+}
+
 app.whenReady().then(() => {
     const brochureApp = new BrochureApp();
-    brochureApp.initialize();
+    if (headlessCommand) {
+        app.dock?.hide();
+        brochureApp.runHeadless(headlessCommand);
+    } else {
+        brochureApp.initialize();
+    }
 });
 
 app.on('window-all-closed', () => {
@@ -986,7 +3847,7 @@ app.on('window-all-closed', () => {
 });
 
 app.on('activate', () => {
-    if (BrowserWindow.getAllWindows().length === 0) {
+    if (!headlessCommand && BrowserWindow.getAllWindows().length === 0) {
         const brochureApp = new BrochureApp();
         brochureApp.initialize();
     }
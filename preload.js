@@ -5,18 +5,51 @@ contextBridge.exposeInMainWorld('electronAPI', {
 
     checkOneDriveAccess: () => ipcRenderer.invoke('check-onedrive-access'),
 
+    chooseWorkspace: () => ipcRenderer.invoke('choose-workspace'),
+
     loadTemplates: () => ipcRenderer.invoke('load-templates'),
 
-    saveProject: (project) => ipcRenderer.invoke('save-project', project),
+    saveProject: (project, options = {}) => ipcRenderer.invoke('save-project', project, options),
+
+    renameProject: (project, newTitle) => ipcRenderer.invoke('rename-project', project, newTitle),
+
+    listProjectVersions: (filename) => ipcRenderer.invoke('list-project-versions', filename),
+
+    loadProjectVersion: (filename, versionId) => ipcRenderer.invoke('load-project-version', filename, versionId),
 
     loadProject: (filename) => ipcRenderer.invoke('load-project', filename),
 
-    exportPDF: (html, filename) => ipcRenderer.invoke('export-pdf', html, filename),
+    acquireProjectLock: (filename, takeOver = false) => ipcRenderer.invoke('acquire-project-lock', filename, takeOver),
+
+    releaseProjectLock: (filename) => ipcRenderer.invoke('release-project-lock', filename),
+
+    exportPDF: (html, filename, options) => ipcRenderer.invoke('export-pdf', html, filename, options),
+
+    exportImages: (html, filename, options) => ipcRenderer.invoke('export-images', html, filename, options),
+
+    copyPageImage: (html, options) => ipcRenderer.invoke('copy-page-image', html, options),
+
+    exportWebsite: (documents, filename, options) => ipcRenderer.invoke('export-website', documents, filename, options),
+
+    cancelExport: () => ipcRenderer.invoke('cancel-export'),
+
+    listExportHistory: (projectId) => ipcRenderer.invoke('list-export-history', projectId),
+
+    openExport: (projectId, entryId) => ipcRenderer.invoke('open-export', projectId, entryId),
+    revealExport: (projectId, entryId) => ipcRenderer.invoke('reveal-export', projectId, entryId),
 
     exportPageAsTemplate: (data) => ipcRenderer.invoke('export-page-as-template', data),
 
     loadImages: () => ipcRenderer.invoke('load-images'),
 
+    loadFonts: () => ipcRenderer.invoke('load-fonts'),
+
+    loadWatermarkConfig: () => ipcRenderer.invoke('load-watermark-config'),
+
+    importImages: (filePaths) => ipcRenderer.invoke('import-images', filePaths),
+
+    updateImageMetadata: (key, updates) => ipcRenderer.invoke('update-image-metadata', key, updates),
+
     listProjects: () => ipcRenderer.invoke('list-projects'),
 
     deleteProject: (filename) => ipcRenderer.invoke('delete-project', filename),
@@ -24,9 +57,25 @@ contextBridge.exposeInMainWorld('electronAPI', {
 
     // Template Upload APIs
     uploadTemplateBatch: (uploadData) => ipcRenderer.invoke('upload-template-batch', uploadData),
-    validateTemplateName: (templateName) => ipcRenderer.invoke('validate-template-name', templateName),
+    validateTemplateName: (templateName, category) => ipcRenderer.invoke('validate-template-name', templateName, category),
     getTemplateCategories: () => ipcRenderer.invoke('get-template-categories'),
 
+    // Template management APIs
+    updateTemplateMetadata: (folder, updates) => ipcRenderer.invoke('update-template-metadata', folder, updates),
+    moveTemplate: (folder, destination) => ipcRenderer.invoke('move-template', folder, destination),
+    reorderTemplatePages: (folder, order) => ipcRenderer.invoke('reorder-template-pages', folder, order),
+    replaceTemplatePage: (folder, filename, htmlContent) => ipcRenderer.invoke('replace-template-page', folder, filename, htmlContent),
+    archiveTemplate: (folder) => ipcRenderer.invoke('archive-template', folder),
+    deleteTemplate: (folder) => ipcRenderer.invoke('delete-template', folder),
+    findTemplateUsage: (templateIds) => ipcRenderer.invoke('find-template-usage', templateIds),
+    exportTemplatePackage: (folder, preview) => ipcRenderer.invoke('export-template-package', folder, preview),
+    openTemplatePackage: () => ipcRenderer.invoke('open-template-package'),
+    installTemplatePackage: (packagePath, options) => ipcRenderer.invoke('install-template-package', packagePath, options),
+
     // File watching API
-    onFileChange: (callback) => ipcRenderer.on('file-change', (event, data) => callback(data))
+    onFileChange: (callback) => ipcRenderer.on('file-change', (event, data) => callback(data)),
+
+    onProjectLockLost: (callback) => ipcRenderer.on('project-lock-lost', (event, data) => callback(data)),
+
+    onExportProgress: (callback) => ipcRenderer.on('export-progress', (event, progress) => callback(progress))
 });
\ No newline at end of file
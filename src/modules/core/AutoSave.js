@@ -60,8 +60,13 @@ class AutoSave {
             return;
         }
 
+        // Someone else holds the lock - leave their file alone
+        if (state.projectLock && state.projectLock.readOnly) {
+            return;
+        }
+
         try {
-            const result = await ProjectManager.saveProject();
+            const result = await ProjectManager.saveProject(null, { autoSave: true });
 
             if (result.success) {
                 this.lastSaveTime = new Date();
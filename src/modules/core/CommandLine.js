@@ -0,0 +1,144 @@
+const path = require('path');
+
+// Exit codes for scripted runs
+const EXIT_OK = 0;
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+
+const COMMANDS = ['export', 'validate-templates', 'help'];
+const PAPER_SIZES = ['A4', 'Letter', 'A5'];
+
+const USAGE = `Usage:
+  brochure export --project <file.3bt> [--project <file.3bt> ...] [options]
+  brochure export --all [options]
+  brochure validate-templates [--strict]
+
+Export options:
+  --out <path>           PDF file to write, or a folder when exporting several projects
+                         (default: the workspace's Exports/PDF folder)
+  --pages <range>        Pages to export, e.g. "1-3, 5, 8-" (default: the project's saved choice)
+  --paper <size>         ${PAPER_SIZES.join(', ')}
+  --orientation <o>      portrait or landscape
+  --profile <p>          screen or print (bleed, crop marks and trim box)
+  --diagnostics          Keep the HTML before and after print optimisation next to each PDF
+
+Common options:
+  --workspace <folder>   Workspace to use instead of the saved one
+  --verbose              Show the export pipeline's own logging
+
+Exit codes: ${EXIT_OK} success, ${EXIT_FAILURE} an export or validation failed, ${EXIT_USAGE} bad arguments`;
+
+class UsageError extends Error {}
+
+class CommandLine {
+    // Electron's own arguments come first: [electron, app path, ...] in development, [app, ...] when packaged
+    static getArgs(argv, isPackaged) {
+        return argv.slice(isPackaged ? 1 : 2);
+    }
+
+    // Returns null when no command was given, so the app starts normally
+    static parse(args) {
+        const name = args[0];
+        if (!COMMANDS.includes(name)) {
+            return null;
+        }
+
+        const command = {
+            name,
+            projects: [],
+            all: false,
+            out: null,
+            overrides: {},
+            strict: false,
+            verbose: false
+        };
+
+        for (let index = 1; index < args.length; index++) {
+            const [flag, inlineValue] = args[index].split(/=(.*)/s);
+            const value = () => {
+                const next = inlineValue !== undefined ? inlineValue : args[++index];
+                if (next === undefined || next === '') {
+                    throw new UsageError(`${flag} needs a value`);
+                }
+                return next;
+            };
+
+            switch (flag) {
+                case '--project':
+                    command.projects.push(value());
+                    break;
+                case '--all':
+                    command.all = true;
+                    break;
+                case '--out':
+                    command.out = path.resolve(value());
+                    break;
+                case '--pages':
+                    command.overrides.pages = 'range';
+                    command.overrides.pageRange = value();
+                    break;
+                case '--paper':
+                    command.overrides.paperSize = this.choose(flag, value(), PAPER_SIZES);
+                    break;
+                case '--orientation':
+                    command.overrides.orientation = this.choose(flag, value(), ['portrait', 'landscape']);
+                    break;
+                case '--profile':
+                    command.overrides.profile = this.choose(flag, value(), ['screen', 'print']);
+                    break;
+                case '--diagnostics':
+                    command.overrides.diagnostics = true;
+                    break;
+                case '--strict':
+                    command.strict = true;
+                    break;
+                case '--verbose':
+                    command.verbose = true;
+                    break;
+                case '--workspace':
+                    // Read by BrochureApp.getWorkspaceOverride
+                    value();
+                    break;
+                case '--dev':
+                    break;
+                default:
+                    throw new UsageError(`Unknown option ${flag}`);
+            }
+        }
+
+        if (name === 'export') {
+            const hasProjects = command.projects.length > 0;
+            if (command.all ? hasProjects : !hasProjects) {
+                throw new UsageError('Pass --project <file> (one or more) or --all');
+            }
+            // The CLI only writes PDFs, whatever format the project last exported
+            command.overrides.format = 'pdf';
+        }
+
+        return command;
+    }
+
+    static choose(flag, value, allowed) {
+        const match = allowed.find(option => option.toLowerCase() === value.toLowerCase());
+        if (!match) {
+            throw new UsageError(`${flag} must be one of: ${allowed.join(', ')}`);
+        }
+        return match;
+    }
+
+    // Where one project's PDF goes: --out itself for a single project, or a file inside the --out folder
+    static getOutputPath(command, filename, projectCount) {
+        if (!command.out) return null;
+
+        if (path.extname(command.out).toLowerCase() === '.pdf') {
+            if (projectCount > 1) {
+                throw new UsageError('--out must be a folder when exporting several projects');
+            }
+            return command.out;
+        }
+
+        return path.join(command.out, `${path.basename(filename, '.3bt')}.pdf`);
+    }
+}
+
+module.exports = { CommandLine, UsageError, USAGE, EXIT_OK, EXIT_FAILURE, EXIT_USAGE };
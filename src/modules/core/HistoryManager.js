@@ -0,0 +1,171 @@
+import EventBus from './EventBus.js';
+import StateManager from './StateManager.js';
+import ErrorHandler from './ErrorHandler.js';
+import { EVENTS, TIMING, HISTORY } from '../ui/constants.js';
+
+class HistoryManager {
+    static undoStack = [];
+    static redoStack = [];
+
+    static init() {
+        this.setupEventListeners();
+        this.setupKeyboardShortcuts();
+    }
+
+    static setupEventListeners() {
+        EventBus.on(EVENTS.STATE_HISTORY_CHECKPOINT, ({ label, project }) => {
+            this.record(label, project);
+        });
+
+        // History belongs to one project - start fresh whenever that changes
+        EventBus.on(EVENTS.PROJECT_LOADED, () => this.clear());
+        EventBus.on(EVENTS.PROJECT_CREATED, () => this.clear());
+        EventBus.on(EVENTS.STATE_PROJECT_CHANGED, (project) => {
+            if (!project && this.undoStack.length + this.redoStack.length > 0) {
+                this.clear();
+            }
+        });
+    }
+
+    static setupKeyboardShortcuts() {
+        document.addEventListener('keydown', (event) => {
+            if (!(event.metaKey || event.ctrlKey) || event.key.toLowerCase() !== 'z') return;
+
+            // Text inputs and fields being edited keep their own native undo
+            if (event.target.closest && event.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+
+            event.preventDefault();
+            if (event.shiftKey) {
+                this.redo();
+            } else {
+                this.undo();
+            }
+        });
+    }
+
+    static record(label, project) {
+        const now = Date.now();
+        const last = this.undoStack[this.undoStack.length - 1];
+
+        // Repeated nudges (e.g. several "move image" clicks) collapse into one entry
+        if (last && last.label === label && now - last.timestamp < TIMING.HISTORY_MERGE_WINDOW) {
+            last.timestamp = now;
+        } else {
+            this.undoStack.push({ label, ...this.snapshot(project), timestamp: now });
+            if (this.undoStack.length > HISTORY.MAX_ENTRIES) {
+                this.undoStack.shift();
+            }
+        }
+
+        this.redoStack = [];
+        this.trimToSize();
+        this.emitChange();
+    }
+
+    static undo() {
+        this.commitPendingEdits();
+
+        const entry = this.undoStack.pop();
+        if (!entry) return;
+
+        this.redoStack.push({
+            label: entry.label,
+            ...this.snapshot(StateManager.getState().currentProject),
+            timestamp: Date.now()
+        });
+
+        this.restore(entry.project);
+        ErrorHandler.showInfo(`Undo: ${entry.label}`);
+    }
+
+    static redo() {
+        this.commitPendingEdits();
+
+        const entry = this.redoStack.pop();
+        if (!entry) return;
+
+        this.undoStack.push({
+            label: entry.label,
+            ...this.snapshot(StateManager.getState().currentProject),
+            timestamp: Date.now()
+        });
+
+        this.restore(entry.project);
+        ErrorHandler.showInfo(`Redo: ${entry.label}`);
+    }
+
+    // Step back or forward until the given entry is the latest applied change
+    static jumpTo(stack, index) {
+        if (stack === 'undo') {
+            const steps = this.undoStack.length - index;
+            for (let i = 0; i < steps; i++) this.undo();
+        } else if (stack === 'redo') {
+            const steps = this.redoStack.length - index;
+            for (let i = 0; i < steps; i++) this.redo();
+        }
+    }
+
+    // Stored serialized - it's already a private copy, and its length is what trimToSize counts
+    static snapshot(project) {
+        const serialized = JSON.stringify(project);
+        return { project: serialized, size: serialized.length };
+    }
+
+    // Oldest changes go first; the latest undo step is always kept
+    static trimToSize() {
+        const total = () => [...this.undoStack, ...this.redoStack].reduce((sum, entry) => sum + entry.size, 0);
+        while (this.undoStack.length > 1 && total() > HISTORY.MAX_SIZE) {
+            this.undoStack.shift();
+        }
+    }
+
+    static restore(serialized) {
+        const project = JSON.parse(serialized);
+
+        // The file stays where it is - undoing a rename must not point the project back at a file that was moved
+        const { currentProject } = StateManager.getState();
+        if (currentProject) {
+            project.id = currentProject.id;
+            project.filename = currentProject.filename;
+        }
+
+        StateManager.setState({
+            currentProject: project,
+            isDirty: true
+        });
+
+        EventBus.emit(EVENTS.PROJECT_DIRTY, true);
+        EventBus.emit(EVENTS.HISTORY_RESTORED, StateManager.getState().currentProject);
+        this.emitChange();
+    }
+
+    static commitPendingEdits() {
+        // An open inline text edit is a change too - save it so it can be undone
+        if (window.ElementEditor) {
+            window.ElementEditor.stopTextEditing();
+        }
+    }
+
+    static clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.emitChange();
+    }
+
+    static canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    static canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    static emitChange() {
+        EventBus.emit(EVENTS.HISTORY_CHANGED, {
+            undo: this.undoStack.map(entry => ({ label: entry.label, timestamp: entry.timestamp })),
+            redo: this.redoStack.map(entry => ({ label: entry.label, timestamp: entry.timestamp }))
+        });
+    }
+}
+
+export default HistoryManager;
@@ -7,6 +7,7 @@ class StateManager {
         imageLibrary: [],
         basePath: '',
         isDirty: false,
+        projectLock: null,
         ui: {
             activeModal: null,
             selectedPageId: null,
@@ -20,10 +21,18 @@ class StateManager {
         return Object.freeze(JSON.parse(JSON.stringify(this.state)));
     }
 
-    static setState(updates) {
+    static setState(updates, options = {}) {
         const previousState = this.getState();
         this.state = { ...this.state, ...updates };
 
+        // Labelled project changes become undo checkpoints (see HistoryManager)
+        if (options.historyLabel && updates.currentProject && previousState.currentProject) {
+            EventBus.emit('state:history-checkpoint', {
+                label: options.historyLabel,
+                project: previousState.currentProject
+            });
+        }
+
         if (updates.hasOwnProperty('isDirty') && updates.isDirty !== previousState.isDirty) {
             EventBus.emit('state:dirty-changed', this.state.isDirty);
         }
@@ -32,6 +41,10 @@ class StateManager {
             EventBus.emit('state:project-changed', this.state.currentProject);
         }
 
+        if (updates.hasOwnProperty('projectLock')) {
+            EventBus.emit('project:lock-changed', this.state.projectLock);
+        }
+
         if (updates.templates !== previousState.templates) {
             EventBus.emit('state:templates-changed', this.state.templates);
         }
@@ -39,16 +52,16 @@ class StateManager {
         this.notifySubscribers(previousState);
     }
 
-    static updateProject(updates) {
+    static updateProject(updates, historyLabel = null) {
         if (!this.state.currentProject) return;
 
         this.setState({
             currentProject: { ...this.state.currentProject, ...updates },
             isDirty: true
-        });
+        }, { historyLabel });
     }
 
-    static updateProjectMetadata(updates) {
+    static updateProjectMetadata(updates, historyLabel = null) {
         if (!this.state.currentProject) return;
 
         this.setState({
@@ -57,7 +70,7 @@ class StateManager {
                 metadata: { ...this.state.currentProject.metadata, ...updates }
             },
             isDirty: true
-        });
+        }, { historyLabel });
     }
 
     static addPage(page) {
@@ -74,13 +87,13 @@ class StateManager {
         this.updateProject({ pages: updatedPages });
     }
 
-    static updatePage(pageId, updates) {
+    static updatePage(pageId, updates, historyLabel = null) {
         if (!this.state.currentProject) return;
 
         const updatedPages = this.state.currentProject.pages.map(page =>
             page.id === pageId ? { ...page, ...updates } : page
         );
-        this.updateProject({ pages: updatedPages });
+        this.updateProject({ pages: updatedPages }, historyLabel);
     }
 
     static updateTemplates(templates) {
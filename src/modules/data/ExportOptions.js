@@ -0,0 +1,216 @@
+import StateManager from '../core/StateManager.js';
+import PageManager from './PageManager.js';
+import { PAPER_SIZES } from '../ui/constants.js';
+
+// Custom sizes outside this range are almost certainly typos
+const MIN_CUSTOM_MM = 50;
+const MAX_CUSTOM_MM = 1000;
+const MAX_BLEED_MM = 10;
+
+class ExportOptions {
+    static DEFAULTS = {
+        pages: 'all',          // 'all' | 'range' | 'pick'
+        pageRange: '',
+        pageIds: [],
+        paperSize: 'A4',       // key of PAPER_SIZES, or 'custom'
+        customWidth: 210,
+        customHeight: 297,
+        orientation: 'portrait',
+        profile: 'screen',     // 'screen' | 'print' (bleed, crop marks, trim box)
+        bleed: 3,
+        contentsPage: false,
+        format: 'pdf',         // 'pdf' | 'png' | 'jpeg' (one image per page) | 'html' (offline web page)
+        imageSize: 'dpi',      // 'dpi' | 'width'
+        dpi: 150,
+        imageWidth: 1200,
+        webLayout: 'single',   // 'single' (one file, everything inlined) | 'folder' (page per file, assets alongside)
+        diagnostics: false     // keep the HTML before and after print optimisation next to the PDF
+    };
+
+    // Export choices are remembered per project, in the project file
+    static get(project) {
+        return { ...this.DEFAULTS, ...(project?.exportOptions || {}) };
+    }
+
+    static save(options) {
+        StateManager.updateProject({ exportOptions: this.getRemembered(options) });
+    }
+
+    // The watermark override is deliberately never remembered
+    static getRemembered(options) {
+        const { skipWatermark, ...remembered } = options;
+        return remembered;
+    }
+
+    static readForm(container) {
+        const value = (name) => container.querySelector(`[name="${name}"]`)?.value;
+
+        return {
+            pages: value('pages') || this.DEFAULTS.pages,
+            pageRange: (value('pageRange') || '').trim(),
+            pageIds: Array.from(container.querySelectorAll('[name="pageIds"]:checked')).map(input => input.value),
+            paperSize: value('paperSize') || this.DEFAULTS.paperSize,
+            customWidth: parseFloat(value('customWidth')) || this.DEFAULTS.customWidth,
+            customHeight: parseFloat(value('customHeight')) || this.DEFAULTS.customHeight,
+            orientation: value('orientation') === 'landscape' ? 'landscape' : 'portrait',
+            profile: value('profile') === 'print' ? 'print' : 'screen',
+            bleed: Math.min(Math.max(parseFloat(value('bleed')) || 0, 0), MAX_BLEED_MM),
+            contentsPage: !!container.querySelector('[name="contentsPage"]')?.checked,
+            skipWatermark: !!container.querySelector('[name="skipWatermark"]')?.checked,
+            format: ['png', 'jpeg', 'html'].includes(value('format')) ? value('format') : 'pdf',
+            imageSize: value('imageSize') === 'width' ? 'width' : 'dpi',
+            dpi: parseInt(value('dpi'), 10) || this.DEFAULTS.dpi,
+            imageWidth: parseInt(value('imageWidth'), 10) || this.DEFAULTS.imageWidth,
+            webLayout: value('webLayout') === 'folder' ? 'folder' : 'single',
+            diagnostics: !!container.querySelector('[name="diagnostics"]')?.checked
+        };
+    }
+
+    static isImageExport(options) {
+        return options.format === 'png' || options.format === 'jpeg';
+    }
+
+    static isWebExport(options) {
+        return options.format === 'html';
+    }
+
+    // Final page size in mm, orientation applied
+    static getPageSize(options) {
+        let width;
+        let height;
+
+        if (options.paperSize === 'custom') {
+            width = options.customWidth;
+            height = options.customHeight;
+            if (!(width >= MIN_CUSTOM_MM && width <= MAX_CUSTOM_MM && height >= MIN_CUSTOM_MM && height <= MAX_CUSTOM_MM)) {
+                throw new Error(`Custom paper size must be between ${MIN_CUSTOM_MM} and ${MAX_CUSTOM_MM} mm`);
+            }
+        } else {
+            ({ width, height } = PAPER_SIZES[options.paperSize] || PAPER_SIZES.A4);
+        }
+
+        const short = Math.min(width, height);
+        const long = Math.max(width, height);
+        return options.orientation === 'landscape'
+            ? { width: long, height: short }
+            : { width: short, height: long };
+    }
+
+    static selectPages(project, options) {
+        let pages = project.pages;
+
+        if (options.pages === 'range') {
+            const indexes = this.parsePageRange(options.pageRange, project.pages.length);
+            pages = project.pages.filter((page, index) => indexes.has(index));
+        } else if (options.pages === 'pick') {
+            pages = project.pages.filter(page => options.pageIds.includes(page.id));
+        }
+
+        if (pages.length === 0) {
+            throw new Error('No pages selected for export');
+        }
+
+        return pages;
+    }
+
+    // One entry per exported page, with its index in the PDF (after any contents page)
+    static getOutline(project, options) {
+        const offset = options.contentsPage ? 1 : 0;
+
+        return this.selectPages(project, options).map((page, index) => ({
+            pageId: page.id,
+            title: PageManager.getPageTemplateName(page.id),
+            pageIndex: index + offset
+        }));
+    }
+
+    // Document info and bookmarks for exportPDF to write into the finished PDF
+    static getDocumentInfo(project, options) {
+        const bookmarks = this.getOutline(project, options).map(({ title, pageIndex }) => ({ title, pageIndex }));
+        if (options.contentsPage) {
+            bookmarks.unshift({ title: 'Contents', pageIndex: 0 });
+        }
+
+        return {
+            title: project.metadata.title,
+            client: project.metadata.client || '',
+            status: project.metadata.status || '',
+            bookmarks
+        };
+    }
+
+    // What the main process export needs, with the paper size resolved
+    static getRequestOptions(project, options) {
+        const pageSize = this.getPageSize(options);
+
+        return {
+            paperSize: options.paperSize,
+            orientation: options.orientation,
+            width: pageSize.width,
+            height: pageSize.height,
+            profile: options.profile,
+            bleed: options.bleed,
+            document: this.getDocumentInfo(project, options),
+            format: options.format,
+            imageSize: options.imageSize,
+            dpi: options.dpi,
+            imageWidth: options.imageWidth,
+            webLayout: options.webLayout,
+            diagnostics: options.diagnostics,
+            pageNumbers: this.selectPages(project, options).map(page => project.pages.indexOf(page) + 1),
+            // Recorded in the project's export history so the export can be repeated
+            source: { projectId: project.id, exportOptions: this.getRemembered(options) }
+        };
+    }
+
+    // "1-3, 5, 8-" -> zero-based page indexes
+    static parsePageRange(range, pageCount) {
+        if (!range) {
+            throw new Error('Enter a page range, e.g. 1-3, 5');
+        }
+
+        const indexes = new Set();
+        range.split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+            const match = part.match(/^(\d+)?\s*(-)?\s*(\d+)?$/);
+            if (!match || (!match[1] && !match[3]) || (match[1] && match[3] && !match[2])) {
+                throw new Error(`Invalid page range "${part}"`);
+            }
+
+            const start = match[1] ? parseInt(match[1], 10) : 1;
+            const end = match[2] ? (match[3] ? parseInt(match[3], 10) : pageCount) : start;
+            if (start < 1 || end > pageCount || start > end) {
+                throw new Error(`Page range "${part}" is outside 1-${pageCount}`);
+            }
+
+            for (let number = start; number <= end; number++) {
+                indexes.add(number - 1);
+            }
+        });
+
+        return indexes;
+    }
+
+    static describe(options, pageCount) {
+        const size = this.getPageSize(options);
+        const paper = options.paperSize === 'custom'
+            ? `${size.width} × ${size.height} mm`
+            : (PAPER_SIZES[options.paperSize] || PAPER_SIZES.A4).label;
+
+        if (this.isImageExport(options)) {
+            const resolution = options.imageSize === 'width' ? `${options.imageWidth}px wide` : `${options.dpi} DPI`;
+            return `${pageCount} ${options.format.toUpperCase()} image${pageCount === 1 ? '' : 's'}, ${paper} ${options.orientation} at ${resolution}`;
+        }
+
+        if (this.isWebExport(options)) {
+            const layout = options.webLayout === 'folder' ? 'a folder with one HTML file per page' : 'a single HTML file';
+            return `${pageCount} page${pageCount === 1 ? '' : 's'}, ${paper} ${options.orientation}, as ${layout}`;
+        }
+
+        const profile = options.profile === 'print' ? `, print production with ${options.bleed} mm bleed and crop marks` : '';
+        const contents = options.contentsPage ? ', plus a contents page' : '';
+
+        return `${pageCount} page${pageCount === 1 ? '' : 's'}, ${paper} ${options.orientation}${profile}${contents}`;
+    }
+}
+
+export default ExportOptions;
@@ -0,0 +1,207 @@
+import StateManager from '../core/StateManager.js';
+
+// Classes/attributes the editor adds at runtime - never persisted into field values
+const EDITOR_CLASSES = ['selected', 'text-editing', 'text-limit-hit', 'highlight-content', 'highlight-container', 'highlight-header-footer', 'preflight-highlight'];
+const EDITOR_ATTRIBUTES = ['data-component-type'];
+
+class FieldManager {
+    // Follows the getPageData() contract from template-starter-kit.html:
+    // text fields store innerHTML, image fields store the image src.
+    // Non-editable data-field elements (page numbers etc.) stay template-owned.
+    static extractFields(html) {
+        const root = this.parse(html);
+        const fields = {};
+        const elementIds = {};
+
+        root.querySelectorAll('[data-field]').forEach(element => {
+            const name = element.dataset.field;
+            const type = element.dataset.editable;
+
+            if (type === 'text') {
+                fields[name] = this.cleanFieldHTML(element);
+                if (element.dataset.elementId) {
+                    elementIds[name] = element.dataset.elementId;
+                }
+            } else if (type === 'image') {
+                const img = element.tagName === 'IMG' ? element : element.querySelector('img');
+                if (img) {
+                    fields[name] = img.getAttribute('src') || '';
+                    // Transforms are keyed by element ID, which may sit on the container or the img
+                    const elementId = element.dataset.elementId || img.dataset.elementId;
+                    if (elementId) {
+                        elementIds[name] = elementId;
+                    }
+                }
+            }
+        });
+
+        return { fields, elementIds };
+    }
+
+    static mergeFields(html, fields = {}, elementIds = {}) {
+        const isDocument = html.includes('<!DOCTYPE html>');
+        const root = this.parse(html);
+
+        root.querySelectorAll('[data-field]').forEach(element => {
+            const name = element.dataset.field;
+            const type = element.dataset.editable;
+
+            if (type === 'text' && fields[name] !== undefined) {
+                element.innerHTML = fields[name];
+            } else if (type === 'image' && fields[name] !== undefined) {
+                const img = element.tagName === 'IMG' ? element : element.querySelector('img');
+                if (img) {
+                    img.setAttribute('src', fields[name]);
+                }
+            }
+
+            // Restore element IDs so saved transforms still find their targets
+            if (elementIds[name]) {
+                const target = type === 'image' && element.tagName !== 'IMG'
+                    ? element.querySelector('img') || element
+                    : element;
+                target.dataset.elementId = elementIds[name];
+            }
+        });
+
+        return this.serialize(root, isDocument);
+    }
+
+    static getPageSourceHTML(page, project) {
+        const templateCopy = project.templateCopies?.[page.id];
+
+        // Field values go into the current template, so template fixes reach existing projects.
+        // The page's own copy only lends its element IDs, which layout adjustments are keyed by
+        if (page.fields) {
+            const templates = StateManager.getState().templates || [];
+            const source = templates.find(t => t.id === page.templateId)?.content
+                || templateCopy?.modifiedHtml
+                || templateCopy?.originalSource;
+            if (source) {
+                const merged = this.mergeFields(source, page.fields, page.fieldElementIds);
+                return templateCopy?.modifiedHtml ? this.carryElementIds(templateCopy.modifiedHtml, merged) : merged;
+            }
+        }
+
+        return templateCopy ? templateCopy.modifiedHtml : null;
+    }
+
+    // Editable sections without a data-field are matched by type and position
+    static carryElementIds(fromHtml, toHtml) {
+        const from = this.parse(fromHtml || '');
+        const to = this.parse(toHtml);
+        const selector = '[data-editable]:not([data-field])';
+        const targets = Array.from(to.querySelectorAll(selector));
+        let carried = false;
+
+        ['section', 'image', 'text'].forEach(type => {
+            const sources = Array.from(from.querySelectorAll(selector)).filter(element => element.dataset.editable === type);
+            const matches = targets.filter(element => element.dataset.editable === type);
+
+            sources.forEach((source, index) => {
+                const target = matches[index];
+                if (source.dataset.elementId && target && target.tagName === source.tagName && !target.dataset.elementId) {
+                    target.dataset.elementId = source.dataset.elementId;
+                    carried = true;
+                }
+            });
+        });
+
+        return carried ? this.serialize(to, toHtml.includes('<!DOCTYPE html>')) : toHtml;
+    }
+
+    static syncPageFields(project, pageId, html) {
+        const page = project.pages.find(p => p.id === pageId);
+        if (!page) return null;
+
+        const { fields, elementIds } = this.extractFields(html);
+        if (Object.keys(fields).length === 0) {
+            return null;
+        }
+
+        page.fields = fields;
+        page.fieldElementIds = elementIds;
+        return page;
+    }
+
+    // Projects before 2.2 only have HTML blobs - pull field values out of them
+    static migratePageFields(project) {
+        if (!project || !Array.isArray(project.pages)) {
+            return false;
+        }
+
+        let migrated = false;
+        project.pages.forEach(page => {
+            const templateCopy = project.templateCopies?.[page.id];
+            if (page.fields || !templateCopy) return;
+
+            if (this.syncPageFields(project, page.id, templateCopy.modifiedHtml)) {
+                migrated = true;
+            }
+        });
+
+        if (migrated) {
+            project.version = '2.2';
+            console.log(`🧩 Extracted field data for "${project.metadata?.title}"`);
+        }
+
+        return migrated;
+    }
+
+    static cleanFieldHTML(element) {
+        const clone = element.cloneNode(true);
+
+        clone.querySelectorAll('*').forEach(child => {
+            child.classList.remove(...EDITOR_CLASSES);
+            if (child.classList.length === 0) {
+                child.removeAttribute('class');
+            }
+            EDITOR_ATTRIBUTES.forEach(attribute => child.removeAttribute(attribute));
+        });
+
+        return clone.innerHTML.trim();
+    }
+
+    // Published output (web export) must not be editable or run template scripts
+    static stripEditorMarkup(html) {
+        const isDocument = html.includes('<!DOCTYPE html>');
+        const root = this.parse(html);
+
+        root.querySelectorAll('script').forEach(script => script.remove());
+        root.querySelectorAll('*').forEach(element => {
+            element.classList.remove(...EDITOR_CLASSES);
+            if (element.classList.length === 0) {
+                element.removeAttribute('class');
+            }
+            [...EDITOR_ATTRIBUTES, 'contenteditable', 'spellcheck'].forEach(attribute => element.removeAttribute(attribute));
+            Array.from(element.attributes)
+                .filter(attribute => attribute.name.startsWith('on'))
+                .forEach(attribute => element.removeAttribute(attribute.name));
+        });
+
+        return this.serialize(root, isDocument);
+    }
+
+    static parse(html) {
+        if (html.includes('<!DOCTYPE html>')) {
+            return new DOMParser().parseFromString(html, 'text/html');
+        }
+
+        // Fragments go through <template> so leading <style> tags stay in place
+        const template = document.createElement('template');
+        template.innerHTML = html;
+        return template.content;
+    }
+
+    static serialize(root, isDocument) {
+        if (isDocument) {
+            return `<!DOCTYPE html>\n${root.documentElement.outerHTML}`;
+        }
+
+        const container = document.createElement('div');
+        container.appendChild(root.cloneNode(true));
+        return container.innerHTML;
+    }
+}
+
+export default FieldManager;
@@ -0,0 +1,52 @@
+import ErrorHandler from '../core/ErrorHandler.js';
+
+// Used only when the workspace has no fonts in Config/fonts
+const GOOGLE_FONTS_HEAD = `
+    <link rel="preconnect" href="https://fonts.googleapis.com">
+    <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
+    <link href="https://fonts.googleapis.com/css2?family=Lora:wght@400;500;600;700&family=Source+Sans+3:wght@300;400;500;600;700&display=swap" rel="stylesheet">
+`;
+
+class FontManager {
+    static fontCSS = '';
+    static families = [];
+
+    static async loadFonts() {
+        try {
+            const { css, families } = await window.electronAPI.loadFonts();
+            this.fontCSS = css;
+            this.families = families;
+            return families;
+        } catch (error) {
+            ErrorHandler.logError(error, 'FontManager.loadFonts', 'Failed to load workspace fonts');
+            this.fontCSS = '';
+            this.families = [];
+            return [];
+        }
+    }
+
+    static hasLocalFonts() {
+        return this.fontCSS.length > 0;
+    }
+
+    // Markup for a document <head>: the embedded brand fonts, or Google Fonts as a fallback
+    static getFontHead() {
+        return this.hasLocalFonts()
+            ? `<style data-brochure-fonts>\n${this.fontCSS}\n</style>`
+            : GOOGLE_FONTS_HEAD;
+    }
+
+    // Complete template documents bring their own <head> - add the fonts to it
+    static embedFonts(html) {
+        if (!this.hasLocalFonts() || html.includes('data-brochure-fonts')) {
+            return html;
+        }
+
+        const fontHead = this.getFontHead();
+        return html.includes('</head>')
+            ? html.replace('</head>', `${fontHead}\n</head>`)
+            : `${fontHead}\n${html}`;
+    }
+}
+
+export default FontManager;
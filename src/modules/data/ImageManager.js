@@ -1,7 +1,7 @@
 import StateManager from '../core/StateManager.js';
 import EventBus from '../core/EventBus.js';
 import ErrorHandler from '../core/ErrorHandler.js';
-import { EVENTS } from '../ui/constants.js';
+import { EVENTS, MODAL_IDS } from '../ui/constants.js';
 
 class ImageManager {
     static async loadImages() {
@@ -18,6 +18,60 @@ class ImageManager {
         }
     }
 
+    static getImagesBySource(source) {
+        return this.getImages().filter(image => image.source === source);
+    }
+
+    // Swap remote library URLs for their offline copies - used for previews and export,
+    // never for the HTML we save, so documents keep pointing at the original image
+    static localizeImageUrls(html) {
+        if (!html) return html;
+
+        return this.getImages()
+            .filter(image => image.cachedUrl && html.includes(image.url))
+            .reduce((result, image) => result.split(image.url).join(image.cachedUrl), html);
+    }
+
+    static async importImageFiles(files) {
+        const filePaths = Array.from(files).map(file => file.path).filter(Boolean);
+        if (filePaths.length === 0) return null;
+
+        try {
+            const result = await window.electronAPI.importImages(filePaths);
+
+            if (result.imported.length > 0) {
+                await this.loadImages();
+                ErrorHandler.showSuccess(`Imported ${result.imported.length} image${result.imported.length === 1 ? '' : 's'}`);
+            }
+            if (result.skipped.length > 0) {
+                ErrorHandler.showUserError(`Skipped ${result.skipped.join(', ')} - not a supported image`, 'warning');
+            }
+
+            return result;
+        } catch (error) {
+            ErrorHandler.logError(error, 'ImageManager.importImageFiles', 'Failed to import images');
+            throw error;
+        }
+    }
+
+    static setupImageDropZone() {
+        const hasFiles = (event) => Array.from(event.dataTransfer?.types || []).includes('Files');
+
+        // Image files dropped anywhere in the window go into the library.
+        // Drop zones that want files themselves (template upload) handle them first.
+        document.addEventListener('dragover', (event) => {
+            if (hasFiles(event)) {
+                event.preventDefault();
+            }
+        });
+
+        document.addEventListener('drop', (event) => {
+            if (!hasFiles(event) || event.defaultPrevented) return;
+            event.preventDefault();
+            this.importImageFiles(event.dataTransfer.files);
+        });
+    }
+
     static getImages() {
         return StateManager.getState().imageLibrary || [];
     }
@@ -39,7 +93,8 @@ class ImageManager {
         return images.filter(image =>
             image.filename?.toLowerCase().includes(term) ||
             image.description?.toLowerCase().includes(term) ||
-            image.suggestedUses?.toLowerCase().includes(term)
+            image.suggestedUses?.toLowerCase().includes(term) ||
+            image.tags?.some(tag => tag.toLowerCase().includes(term))
         );
     }
 
@@ -76,13 +131,36 @@ class ImageManager {
             return;
         }
 
-        // For now, just show a message about future functionality
-        // In the future, this would integrate with the page editor
-        ErrorHandler.showInfo('Image selected: ' + image.filename);
-
+        EventBus.emit(EVENTS.MODAL_OPENED, { modalId: MODAL_IDS.IMAGE_METADATA, data: { imageUrl } });
         EventBus.emit(EVENTS.UI_UPDATE, { type: 'image-selected', data: image });
     }
 
+    static async saveImageMetadata(image, updates) {
+        try {
+            const result = await window.electronAPI.updateImageMetadata(
+                { filename: image.filename, url: image.url },
+                updates
+            );
+
+            if (!result.success) {
+                ErrorHandler.showUserError(`Failed to save image details: ${result.error}`, 'error');
+                return null;
+            }
+
+            const images = this.getImages().map(img =>
+                img.filename === image.filename && img.url === image.url ? { ...img, ...result.image } : img
+            );
+            StateManager.setState({ imageLibrary: images });
+            EventBus.emit(EVENTS.UI_UPDATE, { type: 'images-loaded', data: images });
+
+            ErrorHandler.showSuccess(`Saved details for ${image.filename}`);
+            return result.image;
+        } catch (error) {
+            ErrorHandler.logError(error, 'ImageManager.saveImageMetadata', 'Failed to save image details');
+            throw error;
+        }
+    }
+
     static setupImageClickHandlers() {
         const imageGallery = document.getElementById('imageGallery');
         if (!imageGallery) return;
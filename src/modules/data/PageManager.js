@@ -1,12 +1,19 @@
 import StateManager from '../core/StateManager.js';
 import EventBus from '../core/EventBus.js';
 import ErrorHandler from '../core/ErrorHandler.js';
+import FieldManager from './FieldManager.js';
+import ProjectManager from './ProjectManager.js';
 import { EVENTS } from '../ui/constants.js';
 
 class PageManager {
+    static generatePageId() {
+        return `page-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    }
+
     static movePageUp(pageId) {
         const currentProject = StateManager.getState().currentProject;
         if (!currentProject) return;
+        if (ProjectManager.blockIfReadOnly()) return;
 
         const pageIndex = currentProject.pages.findIndex(p => p.id === pageId);
         if (pageIndex > 0) {
@@ -15,7 +22,7 @@ class PageManager {
             pages.splice(pageIndex - 1, 0, page);
 
             this.updatePagePositions(pages);
-            StateManager.updateProject({ pages });
+            StateManager.updateProject({ pages }, `Moved page ${pageIndex + 1} up`);
 
             EventBus.emit(EVENTS.PAGE_MOVED, { pageId, direction: 'up', newIndex: pageIndex - 1 });
         }
@@ -24,6 +31,7 @@ class PageManager {
     static movePageDown(pageId) {
         const currentProject = StateManager.getState().currentProject;
         if (!currentProject) return;
+        if (ProjectManager.blockIfReadOnly()) return;
 
         const pageIndex = currentProject.pages.findIndex(p => p.id === pageId);
         if (pageIndex < currentProject.pages.length - 1 && pageIndex >= 0) {
@@ -32,7 +40,7 @@ class PageManager {
             pages.splice(pageIndex + 1, 0, page);
 
             this.updatePagePositions(pages);
-            StateManager.updateProject({ pages });
+            StateManager.updateProject({ pages }, `Moved page ${pageIndex + 1} down`);
 
             EventBus.emit(EVENTS.PAGE_MOVED, { pageId, direction: 'down', newIndex: pageIndex + 1 });
         }
@@ -41,21 +49,38 @@ class PageManager {
     static duplicatePage(pageId) {
         const currentProject = StateManager.getState().currentProject;
         if (!currentProject) return;
+        if (ProjectManager.blockIfReadOnly()) return;
 
         const pageIndex = currentProject.pages.findIndex(p => p.id === pageId);
         if (pageIndex >= 0) {
             const originalPage = currentProject.pages[pageIndex];
             const duplicatedPage = {
                 ...originalPage,
-                id: `page-${Date.now()}`,
+                id: this.generatePageId(),
                 position: originalPage.position + 1
             };
 
+            if (originalPage.fields) {
+                duplicatedPage.fields = { ...originalPage.fields };
+                duplicatedPage.fieldElementIds = { ...originalPage.fieldElementIds };
+            }
+
+            // Give the duplicate its own content instance so edits don't leak back
+            const templateCopies = { ...currentProject.templateCopies };
+            if (templateCopies[originalPage.id]) {
+                templateCopies[duplicatedPage.id] = { ...templateCopies[originalPage.id] };
+            }
+
+            const elementTransforms = { ...(currentProject.elementTransforms || {}) };
+            if (elementTransforms[originalPage.id]) {
+                elementTransforms[duplicatedPage.id] = JSON.parse(JSON.stringify(elementTransforms[originalPage.id]));
+            }
+
             const pages = [...currentProject.pages];
             pages.splice(pageIndex + 1, 0, duplicatedPage);
 
             this.updatePagePositions(pages);
-            StateManager.updateProject({ pages });
+            StateManager.updateProject({ pages, templateCopies, elementTransforms }, `Duplicated page ${pageIndex + 1}`);
 
             EventBus.emit(EVENTS.PAGE_DUPLICATED, { originalPageId: pageId, newPage: duplicatedPage });
             ErrorHandler.showSuccess('Page duplicated');
@@ -67,6 +92,7 @@ class PageManager {
     static deletePage(pageId) {
         const currentProject = StateManager.getState().currentProject;
         if (!currentProject) return;
+        if (ProjectManager.blockIfReadOnly()) return;
 
         if (confirm('Are you sure you want to delete this page?')) {
             const pageIndex = currentProject.pages.findIndex(p => p.id === pageId);
@@ -74,8 +100,15 @@ class PageManager {
                 const pages = [...currentProject.pages];
                 const deletedPage = pages.splice(pageIndex, 1)[0];
 
+                // Drop the page's content instance and transforms along with it
+                const templateCopies = { ...currentProject.templateCopies };
+                delete templateCopies[pageId];
+
+                const elementTransforms = { ...(currentProject.elementTransforms || {}) };
+                delete elementTransforms[pageId];
+
                 this.updatePagePositions(pages);
-                StateManager.updateProject({ pages });
+                StateManager.updateProject({ pages, templateCopies, elementTransforms }, `Deleted page ${pageIndex + 1}`);
 
                 EventBus.emit(EVENTS.PAGE_REMOVED, { pageId, deletedPage });
                 ErrorHandler.showSuccess('Page deleted');
@@ -108,14 +141,16 @@ class PageManager {
     static updatePageContent(pageId, content) {
         const currentProject = StateManager.getState().currentProject;
         if (!currentProject) return;
+        if (ProjectManager.blockIfReadOnly()) return;
 
         const page = this.getPageById(pageId);
         if (!page) return;
 
-        // Update the template copy with new content
-        if (currentProject.templateCopies[page.templateId]) {
-            currentProject.templateCopies[page.templateId].modifiedHtml = content;
-            StateManager.updateProject({ templateCopies: currentProject.templateCopies });
+        // Update the page's own content instance
+        if (currentProject.templateCopies[pageId]) {
+            currentProject.templateCopies[pageId].modifiedHtml = content;
+            FieldManager.syncPageFields(currentProject, pageId, content);
+            StateManager.updateProject({ templateCopies: currentProject.templateCopies, pages: currentProject.pages }, `Edited page ${page.position}`);
 
             EventBus.emit(EVENTS.PAGE_UPDATED, { pageId, content });
         }
@@ -128,8 +163,7 @@ class PageManager {
         const page = this.getPageById(pageId);
         if (!page) return null;
 
-        const templateCopy = currentProject.templateCopies[page.templateId];
-        return templateCopy ? templateCopy.modifiedHtml : null;
+        return FieldManager.getPageSourceHTML(page, currentProject);
     }
 
     static addPage(page) {
@@ -140,6 +174,7 @@ class PageManager {
     static movePage(pageId, newPosition) {
         const currentProject = StateManager.getState().currentProject;
         if (!currentProject) return;
+        if (ProjectManager.blockIfReadOnly()) return;
 
         const pageIndex = currentProject.pages.findIndex(p => p.id === pageId);
         if (pageIndex === -1 || newPosition < 0 || newPosition >= currentProject.pages.length) {
@@ -151,7 +186,7 @@ class PageManager {
         pages.splice(newPosition, 0, page);
 
         this.updatePagePositions(pages);
-        StateManager.updateProject({ pages });
+        StateManager.updateProject({ pages }, `Moved page ${pageIndex + 1} to position ${newPosition + 1}`);
 
         EventBus.emit(EVENTS.PAGE_MOVED, { pageId, newPosition, oldPosition: pageIndex });
     }
@@ -197,13 +232,14 @@ class PageManager {
     static reorderPages(newOrder) {
         const currentProject = StateManager.getState().currentProject;
         if (!currentProject) return;
+        if (ProjectManager.blockIfReadOnly()) return;
 
         const reorderedPages = newOrder.map(pageId =>
             currentProject.pages.find(page => page.id === pageId)
         ).filter(Boolean);
 
         this.updatePagePositions(reorderedPages);
-        StateManager.updateProject({ pages: reorderedPages });
+        StateManager.updateProject({ pages: reorderedPages }, 'Reordered pages');
 
         EventBus.emit(EVENTS.PAGE_MOVED, { reorder: true, newOrder });
     }
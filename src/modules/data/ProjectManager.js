@@ -4,13 +4,20 @@ import ErrorHandler from '../core/ErrorHandler.js';
 import EventManager from '../ui/EventManager.js';
 import UnifiedPageRenderer from '../rendering/UnifiedPageRenderer.js';
 import TemplateManager from './TemplateManager.js';
+import PageManager from './PageManager.js';
+import FieldManager from './FieldManager.js';
+import FontManager from './FontManager.js';
+import ExportOptions from './ExportOptions.js';
+import WatermarkManager from './WatermarkManager.js';
 import { EVENTS } from '../ui/constants.js';
 
 class ProjectManager {
     static async createProject(metadata, templateManager) {
         try {
             const project = {
-                version: '2.0',
+                version: '2.3',
+                id: crypto.randomUUID(),
+                filename: null,
                 metadata: {
                     title: metadata.title,
                     client: metadata.client || '',
@@ -28,6 +35,9 @@ class ProjectManager {
                 await this.addAllTemplatePagesToProject(project, metadata.baseTemplate, templateManager);
             }
 
+            // A new project has no file yet - the lock is taken on first save
+            await this.releaseLock();
+
             StateManager.setState({ currentProject: project, isDirty: true });
             EventBus.emit(EVENTS.PROJECT_CREATED, project);
 
@@ -38,45 +48,121 @@ class ProjectManager {
         }
     }
 
-    static async addAllTemplatePagesToProject(project, templateName, templateManager) {
+    // baseTemplate is the template's folder, e.g. "brand/Core Pages"
+    static async addAllTemplatePagesToProject(project, folder, templateManager) {
         const templates = StateManager.getState().templates;
-        const templatePages = templates.filter(t => t.template === templateName);
+        const templatePages = templates.filter(t => t.folder === folder);
 
         for (const template of templatePages) {
-            const pageId = `page-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+            const pageId = PageManager.generatePageId();
             const page = {
                 id: pageId,
                 templateId: template.id,
+                templateUuid: template.templateUuid,
                 template: template.template,
                 filename: template.filename,
                 position: project.pages.length + 1,
                 edits: {}
             };
 
-            // Add template copy if not already exists
-            if (!project.templateCopies[template.id]) {
-                project.templateCopies[template.id] = {
-                    originalSource: template.content,
-                    modifiedHtml: template.content,
-                    metadata: template.metadata
-                };
-            }
+            // Each page owns its content instance
+            project.templateCopies[pageId] = {
+                originalSource: template.content,
+                modifiedHtml: template.content,
+                metadata: template.metadata
+            };
 
             project.pages.push(page);
         }
     }
 
-    static async saveProject(project = null) {
+    // Projects saved before 2.1 keyed templateCopies by templateId, so pages built
+    // from the same template shared one copy. Split them into per-page instances.
+    static migrateSharedTemplateCopies(project) {
+        if (!project || !project.templateCopies || !Array.isArray(project.pages)) {
+            return false;
+        }
+
+        const pageIds = new Set(project.pages.map(page => page.id));
+        const migratedCopies = {};
+        let migrated = false;
+
+        project.pages.forEach(page => {
+            if (project.templateCopies[page.id]) {
+                migratedCopies[page.id] = project.templateCopies[page.id];
+            } else if (project.templateCopies[page.templateId]) {
+                migratedCopies[page.id] = { ...project.templateCopies[page.templateId] };
+                migrated = true;
+            }
+        });
+
+        // Anything left that isn't keyed by a page is an old shared copy
+        Object.keys(project.templateCopies).forEach(key => {
+            if (!pageIds.has(key)) {
+                migrated = true;
+            }
+        });
+
+        if (migrated) {
+            project.templateCopies = migratedCopies;
+            project.version = '2.1';
+            console.log(`🔀 Migrated shared template copies to per-page instances for "${project.metadata?.title}"`);
+        }
+
+        return migrated;
+    }
+
+    // Projects before 2.3 were identified only by their title-derived filename
+    static migrateProjectIdentity(project, filename) {
+        let migrated = false;
+
+        if (!project.id) {
+            project.id = crypto.randomUUID();
+            project.version = '2.3';
+            migrated = true;
+        }
+
+        // The file it was loaded from is its home from now on, whatever the title says
+        if (project.filename !== filename) {
+            project.filename = filename;
+            migrated = true;
+        }
+
+        if (migrated) {
+            console.log(`🆔 Assigned stable identity ${project.id} (${filename}) to "${project.metadata?.title}"`);
+        }
+
+        return migrated;
+    }
+
+    static async saveProject(project = null, options = {}) {
         try {
             const currentProject = project || StateManager.getState().currentProject;
             if (!currentProject) {
                 throw new Error('No project to save');
             }
 
-            const result = await window.electronAPI.saveProject(currentProject);
+            if (this.isReadOnly()) {
+                const { holder } = StateManager.getState().projectLock;
+                ErrorHandler.showUserError(`Read-only: ${this.describeLockHolder(holder)} has this project open`, 'warning');
+                return { success: false, readOnly: true };
+            }
+
+            const result = await window.electronAPI.saveProject(currentProject, options);
 
             if (result.success) {
-                StateManager.setState({ isDirty: false });
+                const updates = {
+                    isDirty: false,
+                    projectLock: { filename: result.filename, readOnly: false, holder: null }
+                };
+
+                // First save assigns the identity and filename - keep them on the open project
+                const latest = StateManager.getState().currentProject;
+                if (latest && (latest.id !== result.id || latest.filename !== result.filename)) {
+                    updates.currentProject = { ...latest, id: result.id, filename: result.filename };
+                }
+
+                StateManager.setState(updates);
                 EventBus.emit(EVENTS.PROJECT_SAVED, { project: currentProject, result });
                 ErrorHandler.showSuccess(`Project saved as ${result.filename}`);
                 return result;
@@ -90,17 +176,38 @@ class ProjectManager {
     static async loadProject(filename) {
         try {
             const project = await window.electronAPI.loadProject(filename);
+            const migratedCopies = this.migrateSharedTemplateCopies(project);
+            const migratedFields = FieldManager.migratePageFields(project);
+            const migratedIdentity = this.migrateProjectIdentity(project, filename);
+            const migratedReferences = TemplateManager.migrateTemplateReferences(project);
+            const migrated = migratedCopies || migratedFields || migratedIdentity || migratedReferences;
+
+            const previousLock = StateManager.getState().projectLock;
+            if (previousLock && previousLock.filename !== filename) {
+                await this.releaseLock();
+            }
+
+            const lockResult = await window.electronAPI.acquireProjectLock(filename);
+            const readOnly = !lockResult.success && !!lockResult.locked;
 
             StateManager.setState({
                 currentProject: project,
-                isDirty: false
+                isDirty: migrated && !readOnly,
+                projectLock: { filename, readOnly, holder: readOnly ? lockResult.lock : null }
             });
 
             // Repair any missing template copies after loading
             TemplateManager.repairMissingTemplateCopies();
 
             EventBus.emit(EVENTS.PROJECT_LOADED, project);
-            ErrorHandler.showSuccess(`Project "${project.metadata.title}" loaded successfully`);
+
+            if (readOnly) {
+                ErrorHandler.showUserError(`"${project.metadata.title}" is open by ${this.describeLockHolder(lockResult.lock)} - opened read-only`, 'warning');
+            } else if (lockResult.previousLock) {
+                ErrorHandler.showInfo(`Took over an abandoned lock from ${this.describeLockHolder(lockResult.previousLock)}`);
+            } else {
+                ErrorHandler.showSuccess(`Project "${project.metadata.title}" loaded successfully`);
+            }
 
             return project;
         } catch (error) {
@@ -112,6 +219,10 @@ class ProjectManager {
     static async loadProjectForPreview(filename) {
         try {
             const project = await window.electronAPI.loadProject(filename);
+            this.migrateSharedTemplateCopies(project);
+            FieldManager.migratePageFields(project);
+            this.migrateProjectIdentity(project, filename);
+            TemplateManager.migrateTemplateReferences(project);
             return project;
         } catch (error) {
             ErrorHandler.logError(error, 'ProjectManager.loadProjectForPreview', 'Failed to load project for preview');
@@ -119,6 +230,222 @@ class ProjectManager {
         }
     }
 
+    // Command-line export: the HTML and options the export preview would send. The project
+    // is opened read-only without taking its lock, so someone can have it open meanwhile
+    static async prepareHeadlessExport(filename, overrides = {}) {
+        try {
+            const project = await this.loadProjectForPreview(filename);
+            StateManager.setState({
+                currentProject: project,
+                isDirty: false,
+                projectLock: { filename, readOnly: true, holder: null }
+            });
+            TemplateManager.repairMissingTemplateCopies();
+
+            const options = { ...ExportOptions.get(project), ...overrides };
+            return {
+                success: true,
+                html: this.generateConsolidatedHTML(options),
+                projectTitle: project.metadata.title,
+                options: ExportOptions.getRequestOptions(project, options)
+            };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    static async listProjectVersions(filename) {
+        try {
+            return await window.electronAPI.listProjectVersions(filename);
+        } catch (error) {
+            ErrorHandler.logError(error, 'ProjectManager.listProjectVersions', 'Failed to load version history');
+            throw error;
+        }
+    }
+
+    static async loadProjectVersion(filename, versionId) {
+        try {
+            const project = await window.electronAPI.loadProjectVersion(filename, versionId);
+            this.migrateSharedTemplateCopies(project);
+            FieldManager.migratePageFields(project);
+            TemplateManager.migrateTemplateReferences(project);
+            return project;
+        } catch (error) {
+            ErrorHandler.logError(error, 'ProjectManager.loadProjectVersion', 'Failed to load project version');
+            throw error;
+        }
+    }
+
+    static async restoreProjectVersion(filename, versionId, versionDate) {
+        // Restoring writes over the live file, so we need to hold its lock
+        if (StateManager.getState().projectLock?.filename !== filename) {
+            await this.loadProject(filename);
+        }
+
+        if (this.isReadOnly()) {
+            ErrorHandler.showUserError('Cannot restore while another user has this project open', 'warning');
+            return null;
+        }
+
+        const version = await this.loadProjectVersion(filename, versionId);
+
+        // Older snapshots may predate project IDs - it's still the same project
+        const { currentProject } = StateManager.getState();
+        version.id = currentProject.id;
+        version.filename = currentProject.filename;
+
+        // Labelled so the restore itself can be undone
+        StateManager.setState({ currentProject: version, isDirty: true }, { historyLabel: `Restored version from ${versionDate}` });
+        TemplateManager.repairMissingTemplateCopies();
+
+        EventBus.emit(EVENTS.PROJECT_DIRTY, true);
+        EventBus.emit(EVENTS.MODAL_CLOSED, { modalId: 'openProjectModal' });
+
+        await this.saveProject();
+        ErrorHandler.showSuccess(`Restored version from ${versionDate}`);
+
+        return version;
+    }
+
+    static async forkProjectVersion(filename, versionId, versionDate) {
+        const version = await this.loadProjectVersion(filename, versionId);
+        const created = new Date().toISOString();
+
+        // A fork is a separate project with its own identity and file
+        version.id = crypto.randomUUID();
+        version.filename = null;
+        version.metadata = {
+            ...version.metadata,
+            title: `${version.metadata.title} (from ${versionDate})`,
+            created,
+            modified: created
+        };
+
+        // The fork is a new project - it takes its own lock when saved
+        await this.releaseLock();
+
+        StateManager.setState({ currentProject: version, isDirty: true });
+        TemplateManager.repairMissingTemplateCopies();
+
+        EventBus.emit(EVENTS.PROJECT_CREATED, version);
+        EventBus.emit(EVENTS.MODAL_CLOSED, { modalId: 'openProjectModal' });
+
+        await this.saveProject();
+        return version;
+    }
+
+    // Live title edits while the user types - the file only moves once the field is committed
+    static setProjectTitle(newTitle) {
+        const { currentProject, isDirty } = StateManager.getState();
+        if (!currentProject || !newTitle || this.isReadOnly()) return;
+
+        // The first keystroke takes the undo checkpoint for the whole rename
+        if (!this.pendingTitleEdit) {
+            this.pendingTitleEdit = { wasDirty: isDirty };
+            this.updateProjectMetadata({ title: newTitle }, 'Renamed project');
+        } else {
+            this.updateProjectMetadata({ title: newTitle });
+        }
+    }
+
+    static async renameProject(newTitle) {
+        const title = newTitle.trim();
+        const { currentProject } = StateManager.getState();
+        const pendingEdit = this.pendingTitleEdit;
+        this.pendingTitleEdit = null;
+        if (!currentProject || !title) return;
+
+        if (this.isReadOnly()) {
+            ErrorHandler.showUserError('Cannot rename while another user has this project open', 'warning');
+            return;
+        }
+
+        if (title !== currentProject.metadata.title) {
+            this.updateProjectMetadata({ title }, pendingEdit ? null : 'Renamed project');
+        } else if (!pendingEdit) {
+            return;
+        }
+
+        // Unsaved projects just take the new title; saved ones move their file along with it
+        if (!currentProject.filename) return;
+
+        try {
+            const result = await window.electronAPI.renameProject(StateManager.getState().currentProject, title);
+            if (!result.success) {
+                ErrorHandler.showUserError(`Renamed, but the file could not be moved: ${result.error}`, 'warning');
+                return;
+            }
+
+            // The title is now on disk; anything else the user changed is still unsaved
+            const latest = StateManager.getState().currentProject;
+            const updates = {
+                currentProject: { ...latest, filename: result.filename },
+                projectLock: { filename: result.filename, readOnly: false, holder: null }
+            };
+            if (pendingEdit && !pendingEdit.wasDirty) {
+                updates.isDirty = false;
+            }
+            StateManager.setState(updates);
+            ErrorHandler.showSuccess(`Project renamed to "${title}"`);
+        } catch (error) {
+            ErrorHandler.logError(error, 'ProjectManager.renameProject', 'Failed to rename project file');
+        }
+    }
+
+    static isReadOnly() {
+        const lock = StateManager.getState().projectLock;
+        return !!(lock && lock.readOnly);
+    }
+
+    // The one guard for edits while someone else holds the project - warns and returns true to stop them
+    static blockIfReadOnly() {
+        if (!this.isReadOnly()) return false;
+
+        ErrorHandler.showUserError('This project is read-only while another user has it open', 'warning');
+        return true;
+    }
+
+    static describeLockHolder(lock) {
+        if (!lock) return 'another user';
+        const since = lock.acquired ? ` since ${new Date(lock.acquired).toLocaleTimeString()}` : '';
+        return `${lock.user} on ${lock.machine}${since}`;
+    }
+
+    static async releaseLock() {
+        const lock = StateManager.getState().projectLock;
+        if (!lock) return;
+
+        StateManager.setState({ projectLock: null });
+        if (!lock.readOnly) {
+            await window.electronAPI.releaseProjectLock(lock.filename);
+        }
+    }
+
+    static async takeOverLock() {
+        const lock = StateManager.getState().projectLock;
+        if (!lock || !lock.readOnly) return;
+
+        const confirmed = confirm(`${this.describeLockHolder(lock.holder)} has this project open.\n\nTaking over will stop their changes from being saved. Continue?`);
+        if (!confirmed) return;
+
+        const result = await window.electronAPI.acquireProjectLock(lock.filename, true);
+        if (!result.success) {
+            ErrorHandler.showUserError(`Failed to take over project: ${result.error}`, 'error');
+            return;
+        }
+
+        // Reload so we edit whatever the previous holder last saved
+        await this.loadProject(lock.filename);
+    }
+
+    static handleLockLost({ filename, lock }) {
+        const current = StateManager.getState().projectLock;
+        if (!current || current.filename !== filename) return;
+
+        StateManager.setState({ projectLock: { filename, readOnly: true, holder: lock } });
+        ErrorHandler.showUserError(`${this.describeLockHolder(lock)} took over this project - it is now read-only`, 'warning');
+    }
+
     static async listProjects() {
         try {
             return await window.electronAPI.listProjects();
@@ -136,10 +463,10 @@ class ProjectManager {
     }
 
     static generateSinglePageHTMLForProject(page, project) {
-        const templateCopy = project.templateCopies[page.templateId];
-        if (!templateCopy) return '<p>Page not found</p>';
+        const sourceHtml = FieldManager.getPageSourceHTML(page, project);
+        if (!sourceHtml) return '<p>Page not found</p>';
 
-        let fullHTML = templateCopy.modifiedHtml;
+        let fullHTML = sourceHtml;
 
         // If it's not a complete HTML document, wrap it
         if (!fullHTML.includes('<!DOCTYPE html>')) {
@@ -154,9 +481,7 @@ class ProjectManager {
                     <meta charset="UTF-8">
                     <meta name="viewport" content="width=device-width, initial-scale=1.0">
                     <title>Page Preview</title>
-                    <link rel="preconnect" href="https://fonts.googleapis.com">
-                    <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
-                    <link href="https://fonts.googleapis.com/css2?family=Lora:wght@400;500;600;700&family=Source+Sans+3:wght@300;400;500;600;700&display=swap" rel="stylesheet">
+                    ${FontManager.getFontHead()}
                     <style>
                         body {
                             margin: 0;
@@ -173,6 +498,9 @@ class ProjectManager {
             `;
         }
 
+        // Brand fonts travel with the page, including complete template documents
+        fullHTML = FontManager.embedFonts(fullHTML);
+
         // Apply element transforms if they exist for this page
         fullHTML = this.applyElementTransformsToHTML(fullHTML, page.id, project);
 
@@ -447,7 +775,7 @@ class ProjectManager {
         return enhancedCSS;
     }
 
-    static generateConsolidatedHTML() {
+    static generateConsolidatedHTML(exportOptions = null) {
         console.log('🎨 ProjectManager: Using UnifiedPageRenderer for export generation');
 
         const currentProject = StateManager.getState().currentProject;
@@ -455,16 +783,55 @@ class ProjectManager {
             throw new Error('No pages to export');
         }
 
+        const options = exportOptions || ExportOptions.get(currentProject);
+
         // Use UnifiedPageRenderer for consistent, self-contained export
         return UnifiedPageRenderer.generateCombinedDocument(currentProject, {
             includePageNumber: true,
             applyTransforms: true,
-            isExport: true
+            isExport: true,
+            pages: ExportOptions.selectPages(currentProject, options),
+            pageSize: ExportOptions.getPageSize(options),
+            // A contents page only makes sense inside a PDF
+            contents: options.contentsPage && options.format === 'pdf'
+                ? ExportOptions.getOutline(currentProject, options)
+                : null,
+            watermark: WatermarkManager.resolveWatermark(currentProject, options.skipWatermark)
         });
     }
 
-    static updateProjectMetadata(updates) {
-        StateManager.updateProjectMetadata(updates);
+    // Offline web export - the same pages and watermark as the PDF, one file or one per page
+    static generateWebDocuments(exportOptions = null) {
+        const currentProject = StateManager.getState().currentProject;
+        if (!currentProject || !currentProject.pages.length) {
+            throw new Error('No pages to export');
+        }
+
+        const options = exportOptions || ExportOptions.get(currentProject);
+
+        return UnifiedPageRenderer.generateWebDocuments(currentProject, {
+            pages: ExportOptions.selectPages(currentProject, options),
+            pageSize: ExportOptions.getPageSize(options),
+            layout: options.webLayout,
+            watermark: WatermarkManager.resolveWatermark(currentProject, options.skipWatermark)
+        });
+    }
+
+    static setProjectStatus(status) {
+        const currentProject = StateManager.getState().currentProject;
+        if (!currentProject) return;
+
+        // Each trip into review is a new revision - review watermarks show it as v{revision}
+        const updates = { status };
+        if (status === 'review' && currentProject.metadata.status !== 'review') {
+            updates.revision = (currentProject.metadata.revision || 0) + 1;
+        }
+
+        this.updateProjectMetadata(updates, 'Changed status');
+    }
+
+    static updateProjectMetadata(updates, historyLabel = null) {
+        StateManager.updateProjectMetadata(updates, historyLabel);
         EventBus.emit(EVENTS.PROJECT_DIRTY, true);
     }
 
@@ -477,9 +844,11 @@ class ProjectManager {
             return null; // No pages to preview
         }
 
+        this.migrateSharedTemplateCopies(project);
+
         // Get the first page
         const firstPage = project.pages[0];
-        const templateCopy = project.templateCopies[firstPage.templateId];
+        const templateCopy = project.templateCopies[firstPage.id];
 
         if (!templateCopy) {
             return null;
@@ -491,6 +860,7 @@ class ProjectManager {
 
 
     static resetCurrentProject() {
+        this.releaseLock();
         StateManager.setState({ currentProject: null, isDirty: false });
     }
 }
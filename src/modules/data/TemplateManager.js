@@ -1,7 +1,13 @@
 import StateManager from '../core/StateManager.js';
 import EventBus from '../core/EventBus.js';
 import ErrorHandler from '../core/ErrorHandler.js';
-import { EVENTS } from '../ui/constants.js';
+import PageManager from './PageManager.js';
+import ProjectManager from './ProjectManager.js';
+import TemplateUpdater from './TemplateUpdater.js';
+import FontManager from './FontManager.js';
+import UnifiedPageRenderer from '../rendering/UnifiedPageRenderer.js';
+import UploadValidator from '../upload/UploadValidator.js';
+import { EVENTS, TEMPLATE_PAGE_SIZE } from '../ui/constants.js';
 
 class TemplateManager {
     static async loadTemplates() {
@@ -13,7 +19,7 @@ class TemplateManager {
 
             return templates;
         } catch (error) {
-            ErrorHandler.logError(error, 'TemplateManager.loadTemplates', 'Failed to load templates. Please check OneDrive connection.');
+            ErrorHandler.logError(error, 'TemplateManager.loadTemplates', 'Failed to load templates. Please check the workspace folder is available.');
             throw error;
         }
     }
@@ -102,31 +108,28 @@ class TemplateManager {
             return null;
         }
 
-        const pageId = `page-${Date.now()}`;
+        if (ProjectManager.blockIfReadOnly()) {
+            return null;
+        }
+
+        const pageId = PageManager.generatePageId();
         const page = {
             id: pageId,
             templateId: templateId,
+            templateUuid: template.templateUuid,
             template: template.template,
             filename: template.filename,
             position: currentProject.pages.length + 1,
             edits: {}
         };
 
-        // Add template copy if not already exists
-        console.log(`🔍 Checking template copy for templateId: "${templateId}"`);
-        console.log(`🔍 Current template copies keys:`, Object.keys(currentProject.templateCopies));
-        console.log(`🔍 Template data:`, { id: template.id, name: template.name, template: template.template });
-
-        if (!currentProject.templateCopies[templateId]) {
-            currentProject.templateCopies[templateId] = {
-                originalSource: template.content,
-                modifiedHtml: template.content,
-                metadata: template.metadata
-            };
-            console.log(`✅ Created template copy for "${templateId}" (${template.name})`);
-        } else {
-            console.log(`♻️ Template copy already exists for "${templateId}"`);
-        }
+        // Every page gets its own content instance, keyed by page ID
+        currentProject.templateCopies[pageId] = {
+            originalSource: template.content,
+            modifiedHtml: template.content,
+            metadata: template.metadata
+        };
+        console.log(`✅ Created content instance for page "${pageId}" (${template.name})`);
 
         // Add the page to the project's pages array
         currentProject.pages.push(page);
@@ -136,7 +139,7 @@ class TemplateManager {
         StateManager.setState({
             currentProject: currentProject, // Use the modified project object
             isDirty: true
-        });
+        }, { historyLabel: `Added "${template.name}"` });
 
         EventBus.emit(EVENTS.PAGE_ADDED, { page, template });
         ErrorHandler.showSuccess(`Added "${template.name}" to project`);
@@ -192,6 +195,264 @@ class TemplateManager {
         return Object.keys(this.getTemplateCategories()).length;
     }
 
+    // Pages follow their template to its current ID - after it was moved, renamed or reordered,
+    // and from IDs saved before they included the category - and record the template's UUID
+    static migrateTemplateReferences(project) {
+        if (!project || !Array.isArray(project.pages)) {
+            return false;
+        }
+
+        let migrated = false;
+
+        project.pages.forEach(page => {
+            const template = this.resolveTemplate(page, project);
+            if (!template || (template.id === page.templateId && (template.templateUuid || null) === (page.templateUuid || null))) return;
+
+            if (template.id !== page.templateId) {
+                console.log(`🔗 Page ${page.id}: template "${page.templateId}" is now "${template.id}"`);
+            }
+            page.templateId = template.id;
+            page.templateUuid = template.templateUuid;
+            page.template = template.template;
+            page.filename = template.filename;
+            migrated = true;
+        });
+
+        return migrated;
+    }
+
+    // The library page a project page was built from, or null - never a guess. Tried in order:
+    // its ID now or before a rename, its template's UUID with the same page, then an ID from
+    // before IDs included the category, where the page's own copy picks between same-named templates
+    static resolveTemplate(page, project = null) {
+        const templates = StateManager.getState().templates || [];
+
+        const byId = templates.find(t => t.id === page.templateId) ||
+            templates.find(t => t.previousIds?.includes(page.templateId));
+        if (byId) return byId;
+
+        if (page.templateUuid) {
+            const slug = (filename) => (filename || '').replace(/\.html$/, '').replace(/^page-\d+-/, '');
+            const sameTemplate = templates.filter(t => t.templateUuid === page.templateUuid);
+            const samePage = sameTemplate.filter(t => slug(t.filename) === slug(page.filename));
+            const match = sameTemplate.find(t => t.filename === page.filename) || (samePage.length === 1 ? samePage[0] : null);
+            if (match) return match;
+        }
+
+        const templateCopy = project?.templateCopies?.[page.id];
+        const narrow = (candidates, test) => {
+            const matching = candidates.filter(test);
+            return matching.length > 0 ? matching : candidates;
+        };
+
+        let candidates = templates.filter(t => t.legacyId === page.templateId);
+        if (candidates.length > 1 && templateCopy?.metadata?.category) {
+            candidates = narrow(candidates, t => t.category === templateCopy.metadata.category);
+        }
+        if (candidates.length > 1 && templateCopy?.originalSource) {
+            const source = TemplateUpdater.normalize(templateCopy.originalSource);
+            candidates = narrow(candidates, t => TemplateUpdater.normalize(t.content) === source);
+        }
+
+        return candidates.length === 1 ? candidates[0] : null;
+    }
+
+    // Every ID projects may still use for this template's pages, including ones not opened since it changed
+    static getReferenceIds(entry) {
+        return entry.pages.flatMap(page => [page.id, page.legacyId, ...(page.previousIds || [])]);
+    }
+
+    // Pages whose template is no longer in the library (archived or deleted)
+    static getMissingTemplatePages(project) {
+        if (!project || !Array.isArray(project.pages)) return [];
+        return project.pages.filter(page => !this.getTemplateById(page.templateId));
+    }
+
+    // Template management works per template folder, with its pages in file order
+    static getLibrary() {
+        const library = {};
+
+        (StateManager.getState().templates || []).forEach(template => {
+            if (!library[template.folder]) {
+                library[template.folder] = {
+                    folder: template.folder,
+                    name: template.template,
+                    category: template.category,
+                    metadata: template.metadata,
+                    pages: []
+                };
+            }
+            library[template.folder].pages.push(template);
+        });
+
+        return Object.values(library)
+            .map(entry => ({ ...entry, pages: entry.pages.sort((a, b) => a.filename.localeCompare(b.filename)) }))
+            .sort((a, b) => a.category.localeCompare(b.category) || a.name.localeCompare(b.name));
+    }
+
+    static getLibraryEntry(folder) {
+        return this.getLibrary().find(entry => entry.folder === folder) || null;
+    }
+
+    // Metadata, then name/category, then page order - each step on the folder the last one left
+    static async saveTemplateChanges(folder, changes) {
+        const entry = this.getLibraryEntry(folder);
+        if (!entry) {
+            throw new Error('Template not found - it may have been changed by someone else');
+        }
+
+        const check = (result) => {
+            if (!result.success) throw new Error(result.error || 'Failed to update template');
+            return result;
+        };
+
+        check(await window.electronAPI.updateTemplateMetadata(folder, {
+            description: changes.description,
+            version: changes.version
+        }));
+
+        let currentFolder = folder;
+        let idMap = {};
+
+        // A failed reorder still leaves the template moved - reload with whatever already happened,
+        // and tell the caller where the template is now
+        try {
+            if (changes.name !== entry.name || changes.category !== entry.category) {
+                const result = check(await window.electronAPI.moveTemplate(folder, { name: changes.name, category: changes.category }));
+                currentFolder = result.folder;
+                idMap = result.idMap;
+            }
+
+            const currentOrder = entry.pages.map(page => page.filename);
+            if (changes.pageOrder.join('\n') !== currentOrder.join('\n')) {
+                const result = check(await window.electronAPI.reorderTemplatePages(currentFolder, changes.pageOrder));
+                idMap = this.chainIdMaps(idMap, result.idMap);
+            }
+        } catch (error) {
+            error.folder = currentFolder;
+            throw error;
+        } finally {
+            await this.reloadAfterManagement(idMap);
+        }
+
+        return currentFolder;
+    }
+
+    static chainIdMaps(first, second) {
+        const chained = {};
+        Object.entries(first).forEach(([oldId, newId]) => {
+            chained[oldId] = second[newId] || newId;
+        });
+        return { ...second, ...chained };
+    }
+
+    static async replaceTemplatePage(folder, filename, htmlContent) {
+        const result = await window.electronAPI.replaceTemplatePage(folder, filename, htmlContent);
+        if (!result.success) {
+            throw new Error(result.error || 'Failed to replace page');
+        }
+        await this.reloadAfterManagement();
+    }
+
+    // archive: true moves the folder to Templates/.archive, otherwise it is deleted for good
+    static async removeTemplate(folder, archive = true) {
+        const result = archive
+            ? await window.electronAPI.archiveTemplate(folder)
+            : await window.electronAPI.deleteTemplate(folder);
+        if (!result.success) {
+            throw new Error(result.error || `Failed to ${archive ? 'archive' : 'delete'} template`);
+        }
+        await this.reloadAfterManagement();
+        return result;
+    }
+
+    static async exportPackage(folder) {
+        const entry = this.getLibraryEntry(folder);
+        if (!entry) {
+            throw new Error('Template not found - it may have been changed by someone else');
+        }
+
+        const result = await window.electronAPI.exportTemplatePackage(folder, this.getPackagePreview(entry));
+        if (!result.success) {
+            throw new Error(result.error || 'Failed to export template package');
+        }
+        return result;
+    }
+
+    // Every page with its template defaults, rendered as an export would be, for the package thumbnails
+    static getPackagePreview(entry) {
+        const project = {
+            metadata: { title: entry.name },
+            pages: entry.pages.map(page => ({ id: page.id, templateId: page.id, fields: {}, fieldElementIds: {} })),
+            templateCopies: {}
+        };
+
+        return {
+            html: UnifiedPageRenderer.generateCombinedDocument(project, {
+                includePageNumber: false,
+                applyTransforms: false,
+                isExport: true
+            }),
+            files: entry.pages.map(page => page.filename),
+            pageSize: TEMPLATE_PAGE_SIZE
+        };
+    }
+
+    // Pages from a package get the same checks as an upload; null when the user cancels
+    static async openPackage() {
+        const result = await window.electronAPI.openTemplatePackage();
+        if (result.canceled) return null;
+        if (!result.success) {
+            throw new Error(result.error || 'Failed to read template package');
+        }
+
+        const pages = await Promise.all(result.pages.map(async page => ({
+            ...page,
+            validation: await UploadValidator.validateUploadedFile(
+                new File([page.htmlContent], page.fileName, { type: 'text/html' }),
+                page.htmlContent
+            )
+        })));
+
+        return { ...result, pages };
+    }
+
+    static async installPackage(packagePath, options) {
+        const result = await window.electronAPI.installTemplatePackage(packagePath, options);
+        if (!result.success) {
+            throw new Error(result.error || 'Failed to install template package');
+        }
+
+        if (result.fonts > 0) {
+            await FontManager.loadFonts();
+        }
+        await this.reloadAfterManagement(result.idMap);
+        return result;
+    }
+
+    // "Brand Pages (2)", "Brand Pages (3)"... whichever is free in the category
+    static suggestCopyName(category, name) {
+        const folders = new Set(this.getLibrary().map(entry => entry.folder));
+        let copyName = name;
+        for (let copy = 2; folders.has(`${category}/${copyName}`); copy++) {
+            copyName = `${name} (${copy})`;
+        }
+        return copyName;
+    }
+
+    static async reloadAfterManagement(idMap = {}) {
+        await this.loadTemplates();
+
+        // The open project follows renames straight away; others do when next opened
+        const currentProject = StateManager.getState().currentProject;
+        if (currentProject && Object.keys(idMap).length > 0) {
+            const project = { ...currentProject, pages: currentProject.pages.map(page => ({ ...page })) };
+            if (this.migrateTemplateReferences(project)) {
+                StateManager.updateProject({ pages: project.pages });
+            }
+        }
+    }
+
     static repairMissingTemplateCopies() {
         const currentProject = StateManager.getState().currentProject;
         if (!currentProject) {
@@ -205,29 +466,19 @@ class TemplateManager {
 
         let repairCount = 0;
         currentProject.pages.forEach(page => {
-            if (!currentProject.templateCopies[page.templateId]) {
+            if (!currentProject.templateCopies[page.id]) {
                 console.log(`🔍 Missing template copy for page ${page.id} with templateId: "${page.templateId}"`);
 
-                // Try to find the template by exact ID match
-                let template = this.getTemplateById(page.templateId);
-
-                if (!template) {
-                    // If not found, try to find by filename (older format)
-                    const templates = StateManager.getState().templates;
-                    template = templates.find(t =>
-                        t.filename === page.filename ||
-                        t.id.includes(page.templateId) ||
-                        page.templateId.includes(t.id)
-                    );
-                }
+                // Same lookup as migrateTemplateReferences - a partial ID match could attach the wrong template
+                const template = this.resolveTemplate(page, currentProject);
 
                 if (template) {
-                    currentProject.templateCopies[page.templateId] = {
+                    currentProject.templateCopies[page.id] = {
                         originalSource: template.content,
                         modifiedHtml: template.content,
                         metadata: template.metadata
                     };
-                    console.log(`✅ Repaired template copy for "${page.templateId}" using template "${template.name}"`);
+                    console.log(`✅ Repaired template copy for page "${page.id}" using template "${template.name}"`);
                     repairCount++;
                 } else {
                     console.warn(`❌ Could not find matching template for page ${page.id} with templateId: "${page.templateId}"`);
@@ -0,0 +1,177 @@
+import StateManager from '../core/StateManager.js';
+import EventBus from '../core/EventBus.js';
+import ErrorHandler from '../core/ErrorHandler.js';
+import FieldManager from './FieldManager.js';
+import ProjectManager from './ProjectManager.js';
+import { EVENTS } from '../ui/constants.js';
+
+// Each page's content instance keeps the template HTML it was built from (originalSource).
+// Pages with field data already render from the current template; upgrading records the new
+// revision, flags removed fields and moves pages that only have an HTML blob across
+class TemplateUpdater {
+    static getTemplate(page) {
+        const templates = StateManager.getState().templates || [];
+        return templates.find(t => t.id === page.templateId) || null;
+    }
+
+    // Line endings change when the workspace syncs between Mac and Windows
+    static normalize(html) {
+        return (html || '').replace(/\r\n/g, '\n').trim();
+    }
+
+    static isOutdated(page, project) {
+        const templateCopy = project?.templateCopies?.[page.id];
+        const template = this.getTemplate(page);
+        if (!templateCopy?.originalSource || !template) return false;
+
+        return this.normalize(templateCopy.originalSource) !== this.normalize(template.content);
+    }
+
+    static getOutdatedPages(project) {
+        if (!project || !Array.isArray(project.pages)) return [];
+        return project.pages.filter(page => this.isOutdated(page, project));
+    }
+
+    // Field, layout and styling differences between two versions of a template page
+    static compareTemplates(oldHtml, newHtml) {
+        const oldFields = this.getFieldTypes(oldHtml);
+        const newFields = this.getFieldTypes(newHtml);
+
+        return {
+            addedFields: Object.keys(newFields).filter(name => !(name in oldFields)),
+            removedFields: Object.keys(oldFields).filter(name => !(name in newFields)),
+            retypedFields: Object.keys(oldFields).filter(name => name in newFields && oldFields[name] !== newFields[name]),
+            stylesChanged: this.getStyles(oldHtml) !== this.getStyles(newHtml),
+            markupChanged: this.getMarkup(oldHtml) !== this.getMarkup(newHtml)
+        };
+    }
+
+    // What upgrading the page would change, and what it would lose
+    static describeUpdate(page, project) {
+        const template = this.getTemplate(page);
+        const templateCopy = project.templateCopies[page.id];
+        const changes = this.compareTemplates(templateCopy.originalSource, template.content);
+        const { removedFields, retypedFields } = changes;
+        const oldDefaults = FieldManager.extractFields(templateCopy.originalSource).fields;
+        const values = this.getFieldValues(page, templateCopy);
+
+        // Removed fields the user never touched lose nothing worth warning about
+        const droppedContent = [...removedFields, ...retypedFields]
+            .filter(name => values.fields[name] !== undefined && values.fields[name] !== oldDefaults[name]);
+
+        const upgradedHtml = this.buildUpgradedHtml(page, project, template);
+        const lostAdjustments = this.getLostTransformIds(project.elementTransforms?.[page.id], upgradedHtml);
+
+        return {
+            pageId: page.id,
+            pageNumber: project.pages.indexOf(page) + 1,
+            templateName: template.name,
+            ...changes,
+            droppedContent,
+            lostAdjustments: lostAdjustments.length,
+            // Edits made before field data existed can't be carried over
+            unmappedEdits: !page.fields && Object.keys(values.fields).length === 0 &&
+                this.normalize(templateCopy.modifiedHtml) !== this.normalize(templateCopy.originalSource),
+            flagged: removedFields.length > 0 || retypedFields.length > 0
+        };
+    }
+
+    static upgradePages(pageIds) {
+        const currentProject = StateManager.getState().currentProject;
+        if (!currentProject) return 0;
+
+        if (ProjectManager.blockIfReadOnly()) {
+            return 0;
+        }
+
+        const templateCopies = { ...currentProject.templateCopies };
+        const upgraded = [];
+
+        const pages = currentProject.pages.map(page => {
+            if (!pageIds.includes(page.id) || !this.isOutdated(page, currentProject)) {
+                return page;
+            }
+
+            const template = this.getTemplate(page);
+            const html = this.buildUpgradedHtml(page, currentProject, template);
+            const { fields, elementIds } = FieldManager.extractFields(html);
+
+            templateCopies[page.id] = {
+                ...templateCopies[page.id],
+                originalSource: template.content,
+                modifiedHtml: html,
+                metadata: template.metadata
+            };
+            upgraded.push(page.id);
+
+            return page.fields || Object.keys(fields).length > 0
+                ? { ...page, fields, fieldElementIds: elementIds }
+                : page;
+        });
+
+        if (upgraded.length === 0) return 0;
+
+        const label = upgraded.length === 1
+            ? `Updated page ${currentProject.pages.findIndex(page => page.id === upgraded[0]) + 1} to the latest template`
+            : `Updated ${upgraded.length} pages to the latest templates`;
+        StateManager.updateProject({ pages, templateCopies }, label);
+
+        upgraded.forEach(pageId => EventBus.emit(EVENTS.PAGE_UPDATED, { pageId, content: templateCopies[pageId].modifiedHtml }));
+        console.log(`⬆️ Upgraded ${upgraded.length} page(s) to the latest template revision`);
+        ErrorHandler.showSuccess(upgraded.length === 1 ? 'Page updated to the latest template' : `${upgraded.length} pages updated to the latest templates`);
+
+        return upgraded.length;
+    }
+
+    // The new template with the page's field content, element IDs and editor-assigned IDs carried over.
+    // Element transforms are keyed by those IDs, so keeping them is what keeps the adjustments
+    static buildUpgradedHtml(page, project, template) {
+        const templateCopy = project.templateCopies[page.id];
+        const { fields, elementIds } = this.getFieldValues(page, templateCopy);
+        const merged = FieldManager.mergeFields(template.content, fields, elementIds);
+
+        return FieldManager.carryElementIds(templateCopy.modifiedHtml, merged);
+    }
+
+    // Pages that were never synced to field data only have their HTML to go on
+    static getFieldValues(page, templateCopy) {
+        if (page.fields) {
+            return { fields: page.fields, elementIds: page.fieldElementIds || {} };
+        }
+        return FieldManager.extractFields(templateCopy.modifiedHtml || '');
+    }
+
+    static getLostTransformIds(pageTransforms, html) {
+        if (!pageTransforms) return [];
+
+        const root = FieldManager.parse(html);
+        const ids = [...Object.keys(pageTransforms.images || {}), ...Object.keys(pageTransforms.sections || {})];
+        return ids.filter(id => !root.querySelector(`[data-element-id="${CSS.escape(id)}"]`));
+    }
+
+    static getFieldTypes(html) {
+        const types = {};
+        FieldManager.parse(html || '').querySelectorAll('[data-field]').forEach(element => {
+            types[element.dataset.field] = element.dataset.editable || 'fixed';
+        });
+        return types;
+    }
+
+    static getStyles(html) {
+        return Array.from(FieldManager.parse(html || '').querySelectorAll('style'))
+            .map(style => this.normalize(style.textContent))
+            .join('\n');
+    }
+
+    // Structure without styles or field content, so only layout changes count
+    static getMarkup(html) {
+        const root = FieldManager.parse(html || '');
+        root.querySelectorAll('style, script').forEach(element => element.remove());
+        root.querySelectorAll('[data-field]').forEach(element => { element.innerHTML = ''; });
+
+        const markup = root.body ? root.body.innerHTML : FieldManager.serialize(root, false);
+        return this.normalize(markup).replace(/\s+/g, ' ');
+    }
+}
+
+export default TemplateUpdater;
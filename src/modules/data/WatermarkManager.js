@@ -0,0 +1,69 @@
+import ErrorHandler from '../core/ErrorHandler.js';
+
+// Used when Config/watermarks.json is missing, broken or has no usable rule for a status -
+// anything but "final" must never export clean by accident
+const DEFAULT_RULES = {
+    draft: { watermark: 'DRAFT', stamp: 'DRAFT – {title} – {date}' },
+    review: { watermark: 'FOR REVIEW', stamp: 'FOR REVIEW – v{revision} – {date}' }
+};
+
+class WatermarkManager {
+    static statuses = {};
+    static canOverride = false;
+
+    static async loadConfig() {
+        try {
+            const { statuses, canOverride } = await window.electronAPI.loadWatermarkConfig();
+            this.statuses = statuses || {};
+            this.canOverride = !!canOverride;
+        } catch (error) {
+            ErrorHandler.logError(error, 'WatermarkManager.loadConfig', 'Failed to load watermark settings');
+            this.statuses = {};
+            this.canOverride = false;
+        }
+    }
+
+    // { watermark, stamp } for the project's status with tokens filled in, or null for a clean export
+    static getWatermark(project) {
+        const status = project.metadata.status || 'draft';
+        if (status === 'final') {
+            return null;
+        }
+
+        const configured = this.statuses[status];
+        const rule = configured && (configured.watermark || configured.stamp)
+            ? configured
+            : DEFAULT_RULES[status] || DEFAULT_RULES.draft;
+
+        return {
+            watermark: this.formatText(rule.watermark, project),
+            stamp: this.formatText(rule.stamp, project)
+        };
+    }
+
+    // Only admins listed in Config/watermarks.json may export a non-final project clean
+    static resolveWatermark(project, skipWatermark = false) {
+        if (skipWatermark && this.canOverride) {
+            console.log(`🔓 Watermark override used for "${project.metadata.title}"`);
+            return null;
+        }
+
+        return this.getWatermark(project);
+    }
+
+    static formatText(text, project) {
+        if (!text) return '';
+
+        const tokens = {
+            title: project.metadata.title || '',
+            client: project.metadata.client || '',
+            status: project.metadata.status || 'draft',
+            revision: project.metadata.revision || 1,
+            date: new Date().toISOString().split('T')[0]
+        };
+
+        return text.replace(/\{(\w+)\}/g, (match, token) => (token in tokens ? tokens[token] : match));
+    }
+}
+
+export default WatermarkManager;
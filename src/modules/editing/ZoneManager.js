@@ -1,7 +1,7 @@
 import StateManager from '../core/StateManager.js';
 import EventBus from '../core/EventBus.js';
 import ErrorHandler from '../core/ErrorHandler.js';
-import { EVENTS } from '../ui/constants.js';
+import { EVENTS, TEMPLATE_PAGE_SIZE } from '../ui/constants.js';
 
 class ZoneManager {
     static ZONE_TYPES = {
@@ -36,8 +36,9 @@ class ZoneManager {
         }
     };
 
-    static PAGE_HEIGHT = 297; // mm (A4)
-    static PAGE_WIDTH = 210; // mm (A4)
+    // Templates are laid out at A4; other paper sizes are scaled at export
+    static PAGE_HEIGHT = TEMPLATE_PAGE_SIZE.height; // mm
+    static PAGE_WIDTH = TEMPLATE_PAGE_SIZE.width; // mm
 
     static initializeZones(pageElement) {
         try {
@@ -452,7 +453,7 @@ class ZoneManager {
         // Check total height
         const totalHeight = this.calculateTotalPageHeight(pageElement);
         if (totalHeight > this.PAGE_HEIGHT) {
-            warnings.push(`Page content exceeds A4 height (${Math.round(totalHeight)}mm > ${this.PAGE_HEIGHT}mm)`);
+            warnings.push(`Page content exceeds page height (${Math.round(totalHeight)}mm > ${this.PAGE_HEIGHT}mm)`);
         }
 
         // Check zone overlaps
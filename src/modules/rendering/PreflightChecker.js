@@ -0,0 +1,210 @@
+import StateManager from '../core/StateManager.js';
+import ProjectManager from '../data/ProjectManager.js';
+import FieldManager from '../data/FieldManager.js';
+import ExportOptions from '../data/ExportOptions.js';
+import ImageManager from '../data/ImageManager.js';
+import UploadValidator from '../upload/UploadValidator.js';
+import ElementEditor from '../ui/ElementEditor.js';
+
+// Text that was obviously never replaced, even when it doesn't match the template default
+const PLACEHOLDER_PATTERNS = [
+    /lorem ipsum/i,
+    /^click to (edit|add|replace)/i,
+    /^(your|enter) .{0,40} here\.?$/i,
+    /^\[[^\]]+\]$/
+];
+
+const PLACEHOLDER_IMAGE_ALT = 'Placeholder Image';
+const PAGE_LOAD_TIMEOUT = 10000;
+
+/**
+ * Preflight Checker
+ *
+ * Renders every page of a project off-screen and reports problems that would
+ * spoil the exported PDF. Critical issues are the ones that break the page
+ * outright (overflow, broken images, missing templates, forbidden CSS);
+ * warnings are content that is probably unfinished.
+ */
+class PreflightChecker {
+    static BLOCK_EXPORT_KEY = 'brochure_preflight_block_export';
+
+    /**
+     * Check the pages of a project that an export would include
+     * @param {Object} project - Project to check
+     * @param {Object} [options] - Export options; without them every page is checked
+     * @returns {Promise<Object>} Report with issues, critical and warning counts
+     */
+    static async run(project, options = null) {
+        const issues = [];
+        const pages = options ? this.selectPages(project, options) : project.pages;
+
+        for (const page of pages) {
+            // Numbered by position in the project, so the report matches the page list
+            const pageIssues = await this.checkPage(page, project, project.pages.indexOf(page) + 1);
+            issues.push(...pageIssues);
+        }
+
+        return {
+            issues,
+            critical: issues.filter(issue => issue.severity === 'critical').length,
+            warnings: issues.filter(issue => issue.severity === 'warning').length,
+            checkedAt: new Date().toISOString()
+        };
+    }
+
+    // A range that selects nothing is reported by the export options form - check every page meanwhile
+    static selectPages(project, options) {
+        try {
+            return ExportOptions.selectPages(project, options);
+        } catch (error) {
+            return project.pages;
+        }
+    }
+
+    static async checkPage(page, project, pageNumber) {
+        const issues = [];
+        const addIssue = (severity, type, message, field = null) => {
+            issues.push({ pageId: page.id, pageNumber, severity, type, message, field });
+        };
+
+        const sourceHtml = FieldManager.getPageSourceHTML(page, project);
+        if (!sourceHtml) {
+            addIssue('critical', 'missing-template', 'Template is missing - this page will export as an error page');
+            return issues;
+        }
+
+        UploadValidator.FORBIDDEN_CSS.forEach(pattern => {
+            const match = sourceHtml.match(new RegExp(pattern, 'i'));
+            if (match) {
+                addIssue('critical', 'forbidden-css', `Forbidden CSS "${match[0]}" will break PDF export`);
+            }
+        });
+
+        const html = ImageManager.localizeImageUrls(ProjectManager.generateSinglePageHTMLForProject(page, project));
+        const defaults = this.getTemplateDefaults(page, project);
+
+        let frame;
+        try {
+            frame = await this.renderOffscreen(html);
+            const doc = frame.contentDocument;
+
+            this.checkZones(doc, addIssue);
+            this.checkText(doc, defaults, addIssue);
+            this.checkImages(doc, defaults, addIssue);
+        } catch (error) {
+            console.error(`❌ Preflight could not render page ${page.id}:`, error);
+            addIssue('critical', 'render-failed', `Page could not be rendered: ${error.message}`);
+        } finally {
+            frame?.remove();
+        }
+
+        return issues;
+    }
+
+    // Field values as they ship in the page's template revision, so untouched fields can be spotted
+    static getTemplateDefaults(page, project) {
+        const templates = StateManager.getState().templates || [];
+        const template = templates.find(t => t.id === page.templateId);
+        const source = project.templateCopies?.[page.id]?.originalSource || template?.content;
+
+        return source ? FieldManager.extractFields(source).fields : {};
+    }
+
+    static renderOffscreen(html) {
+        return new Promise((resolve, reject) => {
+            const frame = document.createElement('iframe');
+            frame.className = 'preflight-frame';
+            // Same origin so we can measure it, but template scripts never run
+            frame.setAttribute('sandbox', 'allow-same-origin');
+
+            const timeout = setTimeout(() => {
+                frame.remove();
+                reject(new Error('Timed out waiting for the page to load'));
+            }, PAGE_LOAD_TIMEOUT);
+
+            frame.addEventListener('load', async () => {
+                try {
+                    await frame.contentDocument.fonts.ready;
+                } catch (error) {
+                    console.warn('⚠️ Preflight font wait failed:', error);
+                }
+                clearTimeout(timeout);
+                resolve(frame);
+            }, { once: true });
+
+            frame.srcdoc = html;
+            document.body.appendChild(frame);
+        });
+    }
+
+    static checkZones(doc, addIssue) {
+        doc.querySelectorAll('[data-zone]').forEach(zone => {
+            const overflowsDown = zone.scrollHeight > zone.clientHeight + 1;
+            const overflowsAcross = zone.scrollWidth > zone.clientWidth + 1;
+            if (overflowsDown || overflowsAcross) {
+                addIssue('critical', 'zone-overflow', `Content overflows the ${zone.dataset.zone} zone`);
+            }
+        });
+    }
+
+    static checkText(doc, defaults, addIssue) {
+        doc.querySelectorAll('[data-editable="text"]').forEach(element => {
+            const field = element.dataset.field || null;
+            const label = field ? `"${field}"` : 'A text field';
+            const text = element.textContent.trim();
+            const { maxChars, maxLines } = ElementEditor.getTextLimits(element);
+
+            if (maxChars && text.length > maxChars) {
+                addIssue('warning', 'max-chars', `${label} has ${text.length} characters (limit ${maxChars})`, field);
+            }
+
+            if (maxLines) {
+                const lines = ElementEditor.countTextLines(element);
+                if (lines > maxLines) {
+                    addIssue('warning', 'max-lines', `${label} runs to ${lines} lines (limit ${maxLines})`, field);
+                }
+            }
+
+            if (text && this.isPlaceholderText(text, field ? defaults[field] : null)) {
+                addIssue('warning', 'placeholder-text', `${label} still has placeholder text`, field);
+            }
+        });
+    }
+
+    static isPlaceholderText(text, defaultHtml) {
+        if (defaultHtml) {
+            const defaultText = FieldManager.parse(defaultHtml).textContent.trim();
+            if (defaultText && defaultText === text) return true;
+        }
+
+        return PLACEHOLDER_PATTERNS.some(pattern => pattern.test(text));
+    }
+
+    static checkImages(doc, defaults, addIssue) {
+        doc.querySelectorAll('img').forEach(img => {
+            const field = img.closest('[data-field]')?.dataset.field || null;
+            const label = field ? `"${field}"` : (img.getAttribute('alt') || 'An image');
+
+            if (!img.complete || img.naturalWidth === 0) {
+                addIssue('critical', 'image-failed', `${label} failed to load`, field);
+                return;
+            }
+
+            const src = img.getAttribute('src');
+            const isDefault = field && defaults[field] && defaults[field] === src;
+            if (isDefault || img.getAttribute('alt') === PLACEHOLDER_IMAGE_ALT) {
+                addIssue('warning', 'placeholder-image', `${label} is still a placeholder image`, field);
+            }
+        });
+    }
+
+    static isExportBlockingEnabled() {
+        return localStorage.getItem(this.BLOCK_EXPORT_KEY) === 'true';
+    }
+
+    static setExportBlocking(enabled) {
+        localStorage.setItem(this.BLOCK_EXPORT_KEY, String(enabled));
+    }
+}
+
+export default PreflightChecker;
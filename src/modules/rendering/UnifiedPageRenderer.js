@@ -1,3 +1,9 @@
+import FieldManager from '../data/FieldManager.js';
+import ImageManager from '../data/ImageManager.js';
+import FontManager from '../data/FontManager.js';
+import Validator from '../core/Validator.js';
+import { TEMPLATE_PAGE_SIZE } from '../ui/constants.js';
+
 /**
  * Unified Page Renderer
  *
@@ -14,7 +20,7 @@ class UnifiedPageRenderer {
     /**
      * Generate a completely self-contained page
      * @param {Object} page - Page object with id, templateId
-     * @param {Object} project - Current project with templateCopies and elementTransforms
+     * @param {Object} project - Current project with templateCopies, page fields and elementTransforms
      * @param {number} pageNumber - Page number for print/reference
      * @param {Object} options - Rendering options
      * @returns {string} Complete self-contained HTML
@@ -27,14 +33,14 @@ class UnifiedPageRenderer {
         } = options;
 
 
-        // Get template copy
-        const templateCopy = project.templateCopies[page.templateId];
-        if (!templateCopy) {
+        // Field data merged into the current template, or the stored copy for older pages
+        const sourceHtml = FieldManager.getPageSourceHTML(page, project);
+        if (!sourceHtml) {
             console.error(`❌ Template copy not found for page ${page.id}`);
             return this.generateErrorPage(page.id, pageNumber);
         }
 
-        let html = templateCopy.modifiedHtml.trim();
+        let html = sourceHtml.trim();
 
         // Clean any nested HTML document structures that may have been saved
         html = this.cleanNestedHTML(html);
@@ -44,6 +50,9 @@ class UnifiedPageRenderer {
             html = this.applyElementTransforms(html, page.id, project);
         }
 
+        // Prefer offline copies of library images so previews and export work without a connection
+        html = ImageManager.localizeImageUrls(html);
+
         // Process HTML based on type
         if (html.includes('<!DOCTYPE html>')) {
             return this.processCompleteHTMLDocument(html, page, pageNumber, options);
@@ -104,7 +113,7 @@ class UnifiedPageRenderer {
      * Wrap content in completely self-contained div
      */
     static wrapInSelfContainedDiv(content, originalStyles, page, pageNumber, options) {
-        const { includePageBreak, includePageNumber, isExport = false } = options;
+        const { includePageBreak, includePageNumber, isExport = false, pageSize = TEMPLATE_PAGE_SIZE, watermark = null } = options;
 
         // Generate comprehensive self-contained styles
         const allStyles = [
@@ -122,13 +131,13 @@ class UnifiedPageRenderer {
 
         // Different styling for export vs preview
         const exportStyles = isExport ? `
-            width: 210mm;
-            height: 297mm;
+            width: ${pageSize.width}mm;
+            height: ${pageSize.height}mm;
             margin: 0;
             ${pageBreakStyle}
             position: relative;
             background: white;
-            overflow: visible;
+            overflow: ${this.isTemplatePageSize(pageSize) ? 'visible' : 'hidden'};
         ` : `
             width: 210mm;
             min-height: 297mm;
@@ -141,12 +150,98 @@ class UnifiedPageRenderer {
         `;
 
         return `
-            <div class="unified-page page-${page.id}" data-page-id="${page.id}" style="${exportStyles}">
+            <div class="unified-page page-${page.id}" id="page-${page.id}" data-page-id="${page.id}" style="${exportStyles}">
                 <style>
                     ${allStyles}
                 </style>
-                ${content}
+                ${isExport ? this.fitToPageSize(content, pageSize) : content}
                 ${pageNumberElement}
+                ${isExport ? this.generateWatermarkOverlay(watermark) : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Status watermark and footer stamp laid over an exported page
+     * @param {Object|null} watermark - { watermark, stamp } text from WatermarkManager, or null for a clean page
+     * @returns {string} Overlay HTML (empty for a clean page)
+     */
+    static generateWatermarkOverlay(watermark) {
+        if (!watermark) return '';
+
+        return `
+            ${watermark.watermark ? `<div class="export-watermark">${Validator.escapeHtml(watermark.watermark)}</div>` : ''}
+            ${watermark.stamp ? `<div class="export-stamp">${Validator.escapeHtml(watermark.stamp)}</div>` : ''}
+        `;
+    }
+
+    static generateWatermarkStyles() {
+        return `
+        .export-watermark {
+            position: absolute;
+            top: 50%;
+            left: 50%;
+            transform: translate(-50%, -50%) rotate(-45deg);
+            font-family: 'Source Sans 3', Arial, sans-serif;
+            font-size: 96pt;
+            font-weight: 700;
+            letter-spacing: 0.1em;
+            white-space: nowrap;
+            color: rgba(217, 109, 74, 0.18);
+            z-index: 2147483646;
+            pointer-events: none;
+        }
+
+        .export-stamp {
+            position: absolute;
+            left: 0;
+            right: 0;
+            bottom: 3mm;
+            font-family: 'Source Sans 3', Arial, sans-serif;
+            font-size: 8pt;
+            font-weight: 600;
+            letter-spacing: 0.05em;
+            text-align: center;
+            color: #D96D4A;
+            z-index: 2147483646;
+            pointer-events: none;
+        }
+        `;
+    }
+
+    static isTemplatePageSize(pageSize) {
+        return pageSize.width === TEMPLATE_PAGE_SIZE.width && pageSize.height === TEMPLATE_PAGE_SIZE.height;
+    }
+
+    /**
+     * Scale an A4 template onto another paper size, centred, so templates don't need rebuilding
+     * @param {string} content - Page body HTML laid out at A4
+     * @param {Object} pageSize - Target size in mm ({ width, height })
+     * @returns {string} Content wrapped in a scaling container, or unchanged for A4 portrait
+     */
+    static fitToPageSize(content, pageSize) {
+        if (this.isTemplatePageSize(pageSize)) {
+            return content;
+        }
+
+        const scale = Math.min(
+            pageSize.width / TEMPLATE_PAGE_SIZE.width,
+            pageSize.height / TEMPLATE_PAGE_SIZE.height
+        );
+        const left = (pageSize.width - TEMPLATE_PAGE_SIZE.width * scale) / 2;
+        const top = (pageSize.height - TEMPLATE_PAGE_SIZE.height * scale) / 2;
+
+        return `
+            <div class="unified-page-fit" style="
+                position: absolute;
+                left: ${left.toFixed(2)}mm;
+                top: ${top.toFixed(2)}mm;
+                width: ${TEMPLATE_PAGE_SIZE.width}mm;
+                height: ${TEMPLATE_PAGE_SIZE.height}mm;
+                transform: scale(${scale.toFixed(4)});
+                transform-origin: top left;
+            ">
+                ${content}
             </div>
         `;
     }
@@ -329,24 +424,36 @@ class UnifiedPageRenderer {
 
     /**
      * Generate combined document from multiple pages
+     * @param {Object} project - Project to render
+     * @param {Object} options - Rendering options; `pages` limits output to a subset, `pageSize` sets the paper in mm,
+     *                           `watermark` stamps every page ({ watermark, stamp }, null for a clean export)
+     * @returns {string} Complete HTML document
      */
     static generateCombinedDocument(project, options = {}) {
-        if (!project || !project.pages.length) {
+        const pages = options.pages || project?.pages;
+        if (!project || !pages || !pages.length) {
             throw new Error('No pages to export');
         }
 
+        const pageSize = options.pageSize || TEMPLATE_PAGE_SIZE;
         const allPages = [];
 
-        project.pages.forEach((page, index) => {
+        if (options.contents) {
+            allPages.push(this.generateContentsPage(options.contents, pageSize, options.watermark));
+        }
+
+        pages.forEach((page, index) => {
             const pageOptions = {
                 ...options,
-                includePageBreak: index < project.pages.length - 1 // No break on last page
+                pageSize,
+                includePageBreak: index < pages.length - 1 // No break on last page
             };
 
+            // Keep the page's number in the full document, even when exporting a subset
             const selfContainedPage = this.generateSelfContainedPage(
                 page,
                 project,
-                index + 1,
+                project.pages.indexOf(page) + 1,
                 pageOptions
             );
 
@@ -361,10 +468,8 @@ class UnifiedPageRenderer {
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
     <title>${project.metadata.title} - Document</title>
 
-    <!-- Google Fonts -->
-    <link rel="preconnect" href="https://fonts.googleapis.com">
-    <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
-    <link href="https://fonts.googleapis.com/css2?family=Lora:wght@400;500;600;700&family=Source+Sans+3:wght@300;400;500;600;700&display=swap" rel="stylesheet">
+    <!-- Brand fonts from Config/fonts (Google Fonts if none are installed) -->
+    ${FontManager.getFontHead()}
 
     <style>
         /* MINIMAL global styles - no conflicts with page styles */
@@ -375,6 +480,12 @@ class UnifiedPageRenderer {
             font-family: 'Source Sans 3', Arial, sans-serif;
         }
 
+        @page {
+            size: ${pageSize.width}mm ${pageSize.height}mm;
+            margin: 0;
+        }
+        ${options.watermark ? this.generateWatermarkStyles() : ''}
+
         @media print {
             body {
                 background: white !important;
@@ -388,6 +499,208 @@ ${allPages.join('\n')}
 </html>`;
     }
 
+    /**
+     * Generate an offline web version of the project, each page rendered exactly as for the PDF
+     * @param {Object} project - Project to render
+     * @param {Object} options - `pages`, `pageSize` and `watermark` as for generateCombinedDocument;
+     *                           `layout` is 'single' (one document) or 'folder' (one document per page)
+     * @returns {Array} Documents to write ({ file, html }); the first is the entry point
+     */
+    static generateWebDocuments(project, options = {}) {
+        const pages = options.pages || project?.pages;
+        if (!project || !pages || !pages.length) {
+            throw new Error('No pages to export');
+        }
+
+        const pageSize = options.pageSize || TEMPLATE_PAGE_SIZE;
+        const entries = pages.map((page, index) => {
+            const pageNumber = project.pages.indexOf(page) + 1;
+            const html = this.generateSelfContainedPage(page, project, pageNumber, {
+                includePageBreak: false,
+                applyTransforms: true,
+                isExport: true,
+                pageSize,
+                watermark: options.watermark
+            });
+
+            return {
+                pageId: page.id,
+                file: index === 0 ? 'index.html' : `page-${String(pageNumber).padStart(2, '0')}.html`,
+                html: FieldManager.stripEditorMarkup(html)
+            };
+        });
+
+        if (options.layout === 'folder') {
+            return entries.map((entry, index) => ({
+                file: entry.file,
+                html: this.generateWebDocument(project, [this.wrapWebPage(entries, index, 'folder')], options.watermark)
+            }));
+        }
+
+        const sections = entries.map((entry, index) => this.wrapWebPage(entries, index, 'single'));
+        return [{ file: 'index.html', html: this.generateWebDocument(project, sections, options.watermark) }];
+    }
+
+    // Previous/next links point at anchors in a single file, or at sibling files in a folder
+    static wrapWebPage(entries, index, layout) {
+        const href = (entry) => (layout === 'folder' ? entry.file : `#web-page-${entry.pageId}`);
+        const previous = entries[index - 1];
+        const next = entries[index + 1];
+
+        return `
+            <section class="web-page" id="web-page-${entries[index].pageId}">
+                ${entries[index].html}
+                <nav class="web-nav">
+                    ${previous ? `<a class="web-nav-link" href="${href(previous)}">&lsaquo; Previous</a>` : '<span></span>'}
+                    <span class="web-nav-position">${index + 1} / ${entries.length}</span>
+                    ${next ? `<a class="web-nav-link" href="${href(next)}">Next &rsaquo;</a>` : '<span></span>'}
+                </nav>
+            </section>
+        `;
+    }
+
+    static generateWebDocument(project, sections, watermark = null) {
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${Validator.escapeHtml(project.metadata.title)}</title>
+
+    ${FontManager.getFontHead()}
+
+    <style>
+        body {
+            margin: 0;
+            padding: 24px 0;
+            background: #f5f5f5;
+            font-family: 'Source Sans 3', Arial, sans-serif;
+        }
+
+        .web-page {
+            width: max-content;
+            margin: 0 auto 32px;
+        }
+
+        .web-page .unified-page {
+            box-shadow: 0 2px 12px rgba(0, 0, 0, 0.12);
+        }
+
+        .web-nav {
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            padding: 12px 0;
+            font-size: 14px;
+            color: #5F6B6D;
+        }
+
+        .web-nav-link {
+            color: #0A6B7C;
+            font-weight: 600;
+            text-decoration: none;
+        }
+
+        /* Templates outline editable fields on hover - not wanted once published */
+        [data-editable]:hover {
+            outline: none !important;
+            cursor: auto !important;
+        }
+        ${watermark ? this.generateWatermarkStyles() : ''}
+
+        @media print {
+            body {
+                padding: 0;
+                background: white;
+            }
+
+            .web-page {
+                margin: 0;
+            }
+
+            .web-page .unified-page {
+                box-shadow: none;
+                page-break-after: always;
+            }
+
+            .web-nav {
+                display: none;
+            }
+        }
+    </style>
+</head>
+<body>
+${sections.join('\n')}
+</body>
+</html>`;
+    }
+
+    /**
+     * Generate a contents page linking to each page; Chromium keeps the links in the PDF
+     * @param {Array} entries - Outline entries ({ pageId, title, pageIndex })
+     * @param {Object} pageSize - Page size in mm ({ width, height })
+     * @param {Object|null} watermark - Status watermark, as for the other pages
+     * @returns {string} Contents page HTML
+     */
+    static generateContentsPage(entries, pageSize, watermark = null) {
+        const rows = entries.map(entry => `
+            <li class="contents-entry">
+                <a href="#page-${entry.pageId}">
+                    <span class="contents-title">${entry.title}</span>
+                    <span class="contents-number">${entry.pageIndex + 1}</span>
+                </a>
+            </li>
+        `).join('');
+
+        return `
+            <div class="unified-page contents-page" id="page-contents" style="
+                width: ${pageSize.width}mm;
+                height: ${pageSize.height}mm;
+                margin: 0;
+                page-break-after: always;
+                position: relative;
+                background: white;
+                overflow: hidden;
+            ">
+                <style>
+                    .contents-page {
+                        box-sizing: border-box;
+                        padding: 25mm 20mm;
+                        font-family: 'Source Sans 3', Arial, sans-serif;
+                        color: #2E2E2E;
+                    }
+                    .contents-page h1 {
+                        margin: 0 0 12mm;
+                        font-family: 'Lora', Georgia, serif;
+                        font-size: 28pt;
+                        font-weight: 600;
+                        color: #0A6B7C;
+                    }
+                    .contents-page ol {
+                        list-style: none;
+                        margin: 0;
+                        padding: 0;
+                    }
+                    .contents-entry a {
+                        display: flex;
+                        gap: 4mm;
+                        padding: 2.5mm 0;
+                        border-bottom: 0.3mm dotted #8C9A9E;
+                        color: inherit;
+                        text-decoration: none;
+                        font-size: 12pt;
+                    }
+                    .contents-title {
+                        flex: 1;
+                    }
+                </style>
+                <h1>Contents</h1>
+                <ol>${rows}</ol>
+                ${this.generateWatermarkOverlay(watermark)}
+            </div>
+        `;
+    }
+
     /**
      * Clean nested HTML document structures from stored template HTML
      * This handles cases where complete HTML documents were saved in modifiedHtml
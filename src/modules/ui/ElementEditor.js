@@ -2,6 +2,9 @@ import StateManager from '../core/StateManager.js';
 import EventBus from '../core/EventBus.js';
 import ErrorHandler from '../core/ErrorHandler.js';
 import ImageManager from '../data/ImageManager.js';
+import FieldManager from '../data/FieldManager.js';
+import ProjectManager from '../data/ProjectManager.js';
+import { Templates } from './templates.js';
 // import ModalManager from './ModalManager.js'; // Temporarily remove to avoid circular import
 import { EVENTS } from './constants.js';
 
@@ -14,6 +17,12 @@ class ElementEditor {
     static currentElement = null;
     static currentElementType = null;
     static currentPageId = null;
+    static editingElement = null;
+    static textEditHandlers = null;
+    static textEditStartHtml = '';
+    static lastValidTextHtml = '';
+    static originalContentEditable = null;
+    static savedTextRange = null;
     // Removed mode system - now uses simple component detection
 
     static init() {
@@ -179,6 +188,16 @@ class ElementEditor {
                     content: "FOOTER";
                     background: #7C0A6B;
                 }
+
+                /* Inline text editing */
+                [data-editable="text"].text-editing {
+                    outline: 2px solid #0A6B7C !important;
+                    cursor: text !important;
+                }
+
+                [data-editable="text"].text-limit-hit {
+                    outline-color: #C0392B !important;
+                }
             `;
 
             pageContainer.appendChild(style);
@@ -209,6 +228,13 @@ class ElementEditor {
             }
         });
 
+        // Keep focus in the field being edited when using the text toolbar
+        document.addEventListener('mousedown', (event) => {
+            if (this.editingElement && event.target.closest('#textControls .control-btn')) {
+                event.preventDefault();
+            }
+        });
+
         // Listen for page zoom modal events
         EventBus.on(EVENTS.MODAL_OPENED, (data) => {
             if (data.modalId === 'pageZoomModal') {
@@ -221,6 +247,11 @@ class ElementEditor {
                 this.onZoomModalClosed();
             }
         });
+
+        // Undo/redo swapped the project underneath an open zoom modal
+        EventBus.on(EVENTS.HISTORY_RESTORED, (project) => {
+            this.onHistoryRestored(project);
+        });
     }
 
     static onZoomModalOpened() {
@@ -247,6 +278,24 @@ class ElementEditor {
         }
     }
 
+    static onHistoryRestored(project) {
+        const zoomPage = window.ModalManager?.currentZoomPage;
+        if (window.ModalManager?.activeModal !== 'pageZoomModal' || !zoomPage) return;
+
+        // Drop references into the old DOM before it's re-rendered
+        this.currentElement = null;
+        this.currentElementType = null;
+        this.hideAllControls();
+
+        if (!project.pages.some(page => page.id === zoomPage.id)) {
+            EventBus.emit(EVENTS.MODAL_CLOSED, { modalId: 'pageZoomModal' });
+            return;
+        }
+
+        window.ModalManager.preparePageZoomModal({ pageId: zoomPage.id });
+        this.setupPageClickDetection();
+    }
+
     static setupPageClickDetection() {
         const pageContainer = document.querySelector('#zoomFrame .direct-page-content');
         if (!pageContainer) return;
@@ -278,6 +327,16 @@ class ElementEditor {
 
         const target = event.target;
 
+        // Pages can be looked at but not edited while someone else holds the project
+        if (ProjectManager.blockIfReadOnly()) {
+            return;
+        }
+
+        // Clicks inside the field being edited just move the caret
+        if (this.editingElement && this.editingElement.contains(target)) {
+            return;
+        }
+
         // Simple component detection - no modes, just identify what was clicked
         const { element, elementType } = this.detectComponent(target);
 
@@ -298,20 +357,19 @@ class ElementEditor {
     static detectComponent(target) {
         let element = null;
         let elementType = null;
+        const textField = target.closest('[data-editable="text"]');
 
-        // 1. IMAGE CONTENT - Direct image manipulation
-        if (target.tagName === 'IMG') {
-            element = target;
-            elementType = 'image';
+        // 1. TEXT FIELDS - Only marked fields edit inline; clicks on inline markup select the whole field.
+        // Other template text has no data-field or limits, so it falls through to its container
+        if (textField) {
+            element = textField;
+            elementType = 'text';
         }
 
-        // 2. TEXT CONTENT - Editable text elements
-        else if (target.hasAttribute('contenteditable') ||
-                 target.hasAttribute('data-editable') && target.getAttribute('data-editable') === 'text' ||
-                 target.tagName.match(/^H[1-6]$/) ||
-                 target.tagName === 'P' && target.textContent.trim()) {
+        // 2. IMAGE CONTENT - Direct image manipulation
+        else if (target.tagName === 'IMG') {
             element = target;
-            elementType = 'text';
+            elementType = 'image';
         }
 
         // 3. HEADER/FOOTER SECTIONS - Page structure elements
@@ -331,10 +389,10 @@ class ElementEditor {
 
         // 5. FALLBACK - Look for closest editable element
         else {
-            const editableElement = target.closest('[data-editable], [contenteditable="true"]');
+            const editableElement = target.closest('[data-editable]');
             if (editableElement) {
                 element = editableElement;
-                elementType = editableElement.getAttribute('data-editable') || 'text';
+                elementType = editableElement.getAttribute('data-editable');
             }
         }
 
@@ -436,6 +494,7 @@ class ElementEditor {
         if (this.currentElement) {
             this.currentElement.classList.remove('selected');
         }
+        this.stopTextEditing();
         this.currentElement = null;
         this.currentElementType = null;
 
@@ -454,7 +513,8 @@ class ElementEditor {
         // Update title
         const title = document.getElementById('elementEditorTitle');
         if (title) {
-            title.textContent = elementType === 'image' ? 'Image Editor' : 'Section Editor';
+            const titles = { image: 'Image Editor', text: 'Text Editor' };
+            title.textContent = titles[elementType] || 'Section Editor';
         }
 
         // Adjust zoom container to make room for the sidebar
@@ -488,6 +548,9 @@ class ElementEditor {
         } else if (elementType === 'container') {
             console.log(`🎯 Showing container controls`);
             this.showContainerControls(element);
+        } else if (elementType === 'text') {
+            console.log(`🎯 Showing text controls`);
+            this.showTextControls(element);
         } else {
             console.log(`🎯 Unknown elementType: ${elementType}`);
         }
@@ -498,6 +561,7 @@ class ElementEditor {
         document.getElementById('imageControls').style.display = 'none';
         document.getElementById('sectionControls').style.display = 'none';
         document.getElementById('containerControls').style.display = 'none';
+        document.getElementById('textControls').style.display = 'none';
     }
 
     static showImageControls(imageElement) {
@@ -525,6 +589,308 @@ class ElementEditor {
         document.getElementById('sectionControls').style.display = 'block';
     }
 
+    static showTextControls(textElement) {
+        document.getElementById('noElementSelected').style.display = 'none';
+        document.getElementById('textControls').style.display = 'block';
+
+        const fieldName = document.getElementById('textFieldName');
+        if (fieldName) {
+            fieldName.textContent = textElement.dataset.field || textElement.tagName.toLowerCase();
+        }
+
+        this.startTextEditing(textElement);
+        this.updateTextStats();
+    }
+
+    static startTextEditing(element) {
+        if (this.editingElement === element) return;
+        this.stopTextEditing();
+
+        this.editingElement = element;
+        this.textEditStartHtml = element.innerHTML;
+        this.lastValidTextHtml = element.innerHTML;
+        this.originalContentEditable = element.getAttribute('contenteditable');
+
+        element.setAttribute('contenteditable', 'true');
+        element.classList.add('text-editing');
+
+        this.textEditHandlers = {
+            beforeinput: (event) => this.handleTextBeforeInput(event),
+            input: () => this.handleTextInput(),
+            paste: (event) => this.handleTextPaste(event),
+            keydown: (event) => this.handleTextKeydown(event)
+        };
+        Object.entries(this.textEditHandlers).forEach(([type, handler]) => {
+            element.addEventListener(type, handler);
+        });
+
+        this.textEditHandlers.selectionchange = () => this.rememberTextSelection();
+        document.addEventListener('selectionchange', this.textEditHandlers.selectionchange);
+
+        element.focus();
+        console.log(`✏️ Editing text field: ${element.dataset.field || element.tagName}`);
+    }
+
+    static stopTextEditing(save = true) {
+        const element = this.editingElement;
+        if (!element) return;
+
+        Object.entries(this.textEditHandlers).forEach(([type, handler]) => {
+            if (type === 'selectionchange') {
+                document.removeEventListener(type, handler);
+            } else {
+                element.removeEventListener(type, handler);
+            }
+        });
+
+        // Put contenteditable back the way the template had it
+        if (this.originalContentEditable === null) {
+            element.removeAttribute('contenteditable');
+        } else {
+            element.setAttribute('contenteditable', this.originalContentEditable);
+        }
+        element.classList.remove('text-editing', 'text-limit-hit');
+
+        const changed = element.innerHTML !== this.textEditStartHtml;
+
+        this.editingElement = null;
+        this.textEditHandlers = null;
+        this.savedTextRange = null;
+
+        // The page may already have been torn down (e.g. zoom modal re-rendered)
+        if (save && changed && element.isConnected) {
+            this.triggerSave('Edited text');
+            console.log('💾 Saved text edits');
+        }
+    }
+
+    static getTextLimits(element) {
+        return {
+            maxChars: parseInt(element.dataset.maxChars, 10) || null,
+            maxLines: parseInt(element.dataset.maxLines, 10) || null,
+            minLines: parseInt(element.dataset.minLines, 10) || null,
+            singleLine: element.dataset.singleLine === 'true'
+        };
+    }
+
+    static handleTextBeforeInput(event) {
+        const { maxChars, singleLine } = this.getTextLimits(this.editingElement);
+
+        if (singleLine && (event.inputType === 'insertParagraph' || event.inputType === 'insertLineBreak')) {
+            event.preventDefault();
+            this.flashTextLimit('This field is a single line');
+            return;
+        }
+
+        if (maxChars && event.inputType.startsWith('insert')) {
+            const incoming = event.data || event.dataTransfer?.getData('text/plain') || '';
+            const selectedLength = window.getSelection().toString().length;
+            const newLength = this.editingElement.textContent.length - selectedLength + incoming.length;
+
+            if (incoming && newLength > maxChars) {
+                event.preventDefault();
+                this.flashTextLimit(`Limit is ${maxChars} characters`);
+            }
+        }
+    }
+
+    static handleTextInput() {
+        const element = this.editingElement;
+        if (!element) return;
+
+        const { maxChars, maxLines } = this.getTextLimits(element);
+
+        // Safety net for input that slipped past beforeinput (IME, execCommand)
+        if (maxChars && element.textContent.length > maxChars) {
+            this.trimTextToLength(element, maxChars);
+            this.flashTextLimit(`Limit is ${maxChars} characters`);
+        }
+
+        if (maxLines && this.countTextLines(element) > maxLines) {
+            element.innerHTML = this.lastValidTextHtml;
+            this.placeCaretAtEnd(element);
+            this.flashTextLimit(`Limit is ${maxLines} lines`);
+        }
+
+        this.lastValidTextHtml = element.innerHTML;
+        this.updateTextStats();
+    }
+
+    static handleTextPaste(event) {
+        // Paste as plain text so template typography is preserved
+        event.preventDefault();
+
+        const { maxChars, singleLine } = this.getTextLimits(this.editingElement);
+        let text = event.clipboardData.getData('text/plain');
+
+        if (singleLine) {
+            text = text.replace(/\s*\n\s*/g, ' ');
+        }
+
+        if (maxChars) {
+            const selectedLength = window.getSelection().toString().length;
+            const remaining = maxChars - (this.editingElement.textContent.length - selectedLength);
+            if (text.length > remaining) {
+                text = text.substring(0, Math.max(remaining, 0));
+                this.flashTextLimit(`Pasted text trimmed to ${maxChars} characters`);
+            }
+        }
+
+        document.execCommand('insertText', false, text);
+    }
+
+    static handleTextKeydown(event) {
+        // Escape finishes editing instead of closing the zoom modal
+        if (event.key === 'Escape') {
+            event.preventDefault();
+            event.stopPropagation();
+            this.finishTextEditing();
+        }
+    }
+
+    static finishTextEditing() {
+        this.clearSelection();
+        this.hideAllControls();
+    }
+
+    static trimTextToLength(element, maxChars) {
+        // Trim text nodes from the end so inline formatting survives
+        const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+        let remaining = maxChars;
+        let node;
+
+        while ((node = walker.nextNode())) {
+            if (remaining <= 0) {
+                node.data = '';
+            } else if (node.data.length > remaining) {
+                node.data = node.data.substring(0, remaining);
+                remaining = 0;
+            } else {
+                remaining -= node.data.length;
+            }
+        }
+
+        this.placeCaretAtEnd(element);
+    }
+
+    static countTextLines(element) {
+        if (!element.textContent.trim()) return 0;
+
+        // The element may live in another document, e.g. a preflight frame
+        const doc = element.ownerDocument;
+        const style = doc.defaultView.getComputedStyle(element);
+        let lineHeight = parseFloat(style.lineHeight);
+        if (isNaN(lineHeight)) {
+            lineHeight = parseFloat(style.fontSize) * 1.2;
+        }
+
+        // Measure the text itself rather than the box, which may have a min-height
+        const range = doc.createRange();
+        range.selectNodeContents(element);
+        const textHeight = range.getBoundingClientRect().height;
+
+        // Account for the zoom modal scaling the page
+        const scale = element.offsetHeight ? element.getBoundingClientRect().height / element.offsetHeight : 1;
+
+        return Math.max(1, Math.round(textHeight / (lineHeight * (scale || 1))));
+    }
+
+    static placeCaretAtEnd(element) {
+        const range = document.createRange();
+        range.selectNodeContents(element);
+        range.collapse(false);
+
+        const selection = window.getSelection();
+        selection.removeAllRanges();
+        selection.addRange(range);
+    }
+
+    static rememberTextSelection() {
+        const selection = window.getSelection();
+        if (!this.editingElement || selection.rangeCount === 0) return;
+
+        const range = selection.getRangeAt(0);
+        if (this.editingElement.contains(range.commonAncestorContainer)) {
+            this.savedTextRange = range.cloneRange();
+        }
+    }
+
+    static restoreTextSelection() {
+        if (!this.editingElement) return;
+
+        this.editingElement.focus();
+        if (this.savedTextRange) {
+            const selection = window.getSelection();
+            selection.removeAllRanges();
+            selection.addRange(this.savedTextRange);
+        }
+    }
+
+    static applyTextFormat(command) {
+        if (!this.editingElement) return;
+
+        this.restoreTextSelection();
+        document.execCommand(command, false, null);
+        this.updateTextStats();
+    }
+
+    static applyTextLink() {
+        if (!this.editingElement) return;
+
+        const input = document.getElementById('textLinkUrl');
+        const url = input?.value.trim();
+
+        if (!url) {
+            ErrorHandler.showUserError('Enter a link address first', 'warning');
+            return;
+        }
+
+        if (!/^(https?:\/\/|mailto:|tel:)/i.test(url)) {
+            ErrorHandler.showUserError('Links must start with http://, https://, mailto: or tel:', 'error');
+            return;
+        }
+
+        this.restoreTextSelection();
+        if (window.getSelection().isCollapsed) {
+            ErrorHandler.showUserError('Select the text you want to link', 'warning');
+            return;
+        }
+
+        document.execCommand('createLink', false, url);
+        input.value = '';
+        this.updateTextStats();
+    }
+
+    static updateTextStats() {
+        const stats = document.getElementById('textEditorStats');
+        const element = this.editingElement;
+        if (!stats || !element) return;
+
+        const { maxChars, maxLines, minLines } = this.getTextLimits(element);
+        const chars = element.textContent.length;
+        const lines = this.countTextLines(element);
+
+        const parts = [
+            `${chars}${maxChars ? ` / ${maxChars}` : ''} characters`,
+            `${lines}${maxLines ? ` / ${maxLines}` : ''} lines`
+        ];
+        if (minLines && lines < minLines) {
+            parts.push(`needs at least ${minLines} lines`);
+        }
+
+        stats.textContent = parts.join(' · ');
+        stats.classList.toggle('warning', !!(minLines && lines < minLines));
+    }
+
+    static flashTextLimit(message) {
+        const element = this.editingElement;
+        if (!element) return;
+
+        element.classList.add('text-limit-hit');
+        setTimeout(() => element.classList.remove('text-limit-hit'), 600);
+        ErrorHandler.showUserError(message, 'warning');
+    }
+
     static populateImageLibrary() {
         const imageLibraryGrid = document.getElementById('elementImageLibrary');
         if (!imageLibraryGrid) return;
@@ -536,11 +902,15 @@ class ElementEditor {
             return;
         }
 
-        imageLibraryGrid.innerHTML = images.map(image => `
-            <div class="image-thumb" data-image-url="${image.url}">
-                <img src="${image.url}" alt="${image.filename}" />
-            </div>
-        `).join('');
+        const localImages = images.filter(image => image.source === 'local');
+        const libraryImages = images.filter(image => image.source !== 'local');
+
+        imageLibraryGrid.innerHTML = [
+            localImages.length > 0 ? Templates.imageGroupTitle('Imported', localImages.length) : '',
+            ...localImages.map(image => Templates.imageThumb(image)),
+            localImages.length > 0 && libraryImages.length > 0 ? Templates.imageGroupTitle('Library', libraryImages.length) : '',
+            ...libraryImages.map(image => Templates.imageThumb(image))
+        ].join('');
 
         // Add click handlers for image selection
         imageLibraryGrid.querySelectorAll('.image-thumb').forEach(thumb => {
@@ -580,7 +950,7 @@ class ElementEditor {
             console.log('🖼️ DEBUG: Element ID:', img.closest('[data-element-id]')?.dataset.elementId || 'NO ID');
 
             ErrorHandler.showSuccess('Image replaced successfully');
-            this.triggerSave();
+            this.triggerSave('Replaced image');
         }
     }
 
@@ -624,6 +994,21 @@ class ElementEditor {
             case 'move-section-down':
                 this.moveSectionDown();
                 break;
+            case 'text-bold':
+                this.applyTextFormat('bold');
+                break;
+            case 'text-italic':
+                this.applyTextFormat('italic');
+                break;
+            case 'text-link':
+                this.applyTextLink();
+                break;
+            case 'text-unlink':
+                this.applyTextFormat('unlink');
+                break;
+            case 'finish-text-editing':
+                this.finishTextEditing();
+                break;
             case 'close-element-editor':
                 this.hidePanel();
                 break;
@@ -668,7 +1053,7 @@ class ElementEditor {
         img.style.setProperty('--img-x', `${newX}px`);
         img.style.setProperty('--img-y', `${newY}px`);
 
-        this.triggerSave();
+        this.triggerSave('Moved image');
     }
 
     static resizeImage(direction) {
@@ -699,7 +1084,7 @@ class ElementEditor {
         }
 
         img.style.setProperty('--img-scale', newScale);
-        this.triggerSave();
+        this.triggerSave('Resized image');
     }
 
     static resetImage() {
@@ -719,7 +1104,7 @@ class ElementEditor {
         img.style.removeProperty('--img-y');
         img.style.removeProperty('--img-scale');
 
-        this.triggerSave();
+        this.triggerSave('Reset image');
         ErrorHandler.showSuccess('Image reset to original position');
     }
 
@@ -761,7 +1146,7 @@ class ElementEditor {
                 return;
         }
 
-        this.triggerSave();
+        this.triggerSave('Moved container');
     }
 
     static resizeContainer(direction) {
@@ -790,7 +1175,7 @@ class ElementEditor {
                 return;
         }
 
-        this.triggerSave();
+        this.triggerSave('Resized container');
         ErrorHandler.showSuccess(`Container resized ${direction}`);
     }
 
@@ -804,7 +1189,7 @@ class ElementEditor {
         this.currentElement.style.removeProperty('width');
         this.currentElement.style.removeProperty('height');
 
-        this.triggerSave();
+        this.triggerSave('Reset container');
         ErrorHandler.showSuccess('Container reset to original state');
     }
 
@@ -817,7 +1202,7 @@ class ElementEditor {
         this.currentElement.style.setProperty('height', `${newHeight}px`, 'important');
         this.currentElement.classList.add('height-adjustable');
 
-        this.triggerSave();
+        this.triggerSave('Resized section');
         ErrorHandler.showSuccess(`Section height adjusted to ${newHeight}px`);
     }
 
@@ -827,7 +1212,7 @@ class ElementEditor {
         this.currentElement.style.removeProperty('height');
         this.currentElement.classList.remove('height-adjustable');
 
-        this.triggerSave();
+        this.triggerSave('Reset section height');
         ErrorHandler.showSuccess('Section height reset');
     }
 
@@ -855,7 +1240,7 @@ class ElementEditor {
             parent.style.flexDirection = 'column';
         }
 
-        this.triggerSave();
+        this.triggerSave(`Moved section ${direction > 0 ? 'down' : 'up'}`);
         ErrorHandler.showSuccess(`Section moved ${direction > 0 ? 'down' : 'up'}`);
     }
 
@@ -1066,7 +1451,7 @@ class ElementEditor {
         console.log(`✅ Highlighted ${iframeDoc.querySelectorAll('.highlight-header-footer').length} header/footer elements`);
     }
 
-    static triggerSave() {
+    static triggerSave(historyLabel = 'Edited page') {
         // Save element transforms without closing the modal
         try {
             // Get the direct DOM page container
@@ -1077,16 +1462,21 @@ class ElementEditor {
                 return;
             }
 
+            if (ProjectManager.isReadOnly()) {
+                console.log('🔒 Project is read-only - edit not saved');
+                return;
+            }
+
             // Get the current project first
             const currentProject = window.StateManager.getState().currentProject;
-            if (!currentProject || !currentProject.templateCopies[window.ModalManager.currentZoomPage.templateId]) {
+            if (!currentProject || !currentProject.templateCopies[window.ModalManager.currentZoomPage.id]) {
                 console.error(`❌ No project or template copy found for save`);
                 return;
             }
 
             // Extract the modified HTML from the direct DOM - preserve original format
             let modifiedHTML;
-            const originalHTML = currentProject.templateCopies[window.ModalManager.currentZoomPage.templateId].modifiedHtml;
+            const originalHTML = currentProject.templateCopies[window.ModalManager.currentZoomPage.id].modifiedHtml;
 
             // For direct DOM, we always save the container's innerHTML
             modifiedHTML = pageContainer.innerHTML;
@@ -1104,7 +1494,10 @@ class ElementEditor {
             console.log(`💾 triggerSave() captured transforms for page ${window.ModalManager.currentZoomPage.id}:`, elementTransforms);
 
             // Update the project with the modified content
-            currentProject.templateCopies[window.ModalManager.currentZoomPage.templateId].modifiedHtml = modifiedHTML;
+            currentProject.templateCopies[window.ModalManager.currentZoomPage.id].modifiedHtml = modifiedHTML;
+
+            // Keep the structured field data in step with the edited HTML
+            FieldManager.syncPageFields(currentProject, window.ModalManager.currentZoomPage.id, modifiedHTML);
 
             // Initialize elementTransforms if it doesn't exist
             if (!currentProject.elementTransforms) {
@@ -1123,7 +1516,7 @@ class ElementEditor {
             window.StateManager.setState({
                 currentProject: currentProject,
                 isDirty: true
-            });
+            }, { historyLabel });
 
             // Emit events to update UI
             window.EventBus.emit('project-dirty', true);
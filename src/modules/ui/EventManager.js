@@ -1,14 +1,28 @@
 import EventBus from '../core/EventBus.js';
 import ErrorHandler from '../core/ErrorHandler.js';
 import StateManager from '../core/StateManager.js';
+import HistoryManager from '../core/HistoryManager.js';
 import PageManager from '../data/PageManager.js';
 import TemplateManager from '../data/TemplateManager.js';
 import ProjectManager from '../data/ProjectManager.js';
+import FieldManager from '../data/FieldManager.js';
+import ImageManager from '../data/ImageManager.js';
+import ExportOptions from '../data/ExportOptions.js';
+import WatermarkManager from '../data/WatermarkManager.js';
+import TemplateUpdater from '../data/TemplateUpdater.js';
+import PreflightChecker from '../rendering/PreflightChecker.js';
 import ModalManager from './ModalManager.js';
+import UIManager from './UIManager.js';
+import SidebarManager from './SidebarManager.js';
 import UploadModalManager from '../upload/UploadModalManager.js';
-import { ACTIONS, EVENTS } from './constants.js';
+import UploadValidator from '../upload/UploadValidator.js';
+import { Templates } from './templates.js';
+import { ACTIONS, EVENTS, MODAL_IDS } from './constants.js';
 
 class EventManager {
+    // Export history for the current project, as last listed by the main process
+    static exportHistory = [];
+
     static init() {
         console.log('EventManager.init() called');
         this.setupEventDelegation();
@@ -108,7 +122,37 @@ class EventManager {
             [ACTIONS.START_UPLOAD]: () => this.handleStartUpload(event, element),
             'toggle-sidebar-section': () => this.handleToggleSidebarSection(event, element),
             'set-selection-mode': () => this.handleSetSelectionMode(event, element),
-            'close-element-editor': () => this.handleCloseElementEditor(event, element)
+            'close-element-editor': () => this.handleCloseElementEditor(event, element),
+            [ACTIONS.UNDO]: () => HistoryManager.undo(),
+            [ACTIONS.REDO]: () => HistoryManager.redo(),
+            [ACTIONS.HISTORY_JUMP]: () => this.handleHistoryJump(event, element),
+            [ACTIONS.CHANGE_WORKSPACE]: () => this.handleChangeWorkspace(event, element),
+            [ACTIONS.TAKE_OVER_LOCK]: () => ProjectManager.takeOverLock(),
+            [ACTIONS.SHOW_PROJECT_VERSIONS]: () => this.handleShowProjectVersions(event, element),
+            [ACTIONS.PREVIEW_PROJECT_VERSION]: () => this.handlePreviewProjectVersion(event, element),
+            [ACTIONS.RESTORE_PROJECT_VERSION]: () => this.handleRestoreProjectVersion(event, element),
+            [ACTIONS.FORK_PROJECT_VERSION]: () => this.handleForkProjectVersion(event, element),
+            [ACTIONS.BACK_TO_PROJECTS]: () => this.handleBackToProjects(event, element),
+            [ACTIONS.SAVE_IMAGE_METADATA]: () => this.handleSaveImageMetadata(event, element),
+            [ACTIONS.RUN_PREFLIGHT]: () => this.handleRunPreflight(event, element),
+            [ACTIONS.PREFLIGHT_JUMP]: () => this.handlePreflightJump(event, element),
+            [ACTIONS.COPY_PAGE_IMAGE]: () => this.handleCopyPageImage(event, element),
+            [ACTIONS.CANCEL_EXPORT]: () => this.handleCancelExport(event, element),
+            [ACTIONS.REEXPORT]: () => this.handleReexport(event, element),
+            [ACTIONS.OPEN_EXPORT]: () => this.handleOpenExport(event, element),
+            [ACTIONS.REVEAL_EXPORT]: () => this.handleRevealExport(event, element),
+            [ACTIONS.SHOW_TEMPLATE_UPDATES]: () => this.handleShowTemplateUpdates(event, element),
+            [ACTIONS.UPGRADE_PAGE]: () => this.handleUpgradePage(event, element),
+            [ACTIONS.UPGRADE_ALL_PAGES]: () => this.handleUpgradeAllPages(event, element),
+            [ACTIONS.OPEN_TEMPLATE_MANAGER]: () => ModalManager.show(MODAL_IDS.TEMPLATE_MANAGER),
+            [ACTIONS.SELECT_MANAGED_TEMPLATE]: () => UIManager.renderTemplateManager(element.dataset.folder),
+            [ACTIONS.MOVE_TEMPLATE_PAGE]: () => this.handleMoveTemplatePage(event, element),
+            [ACTIONS.SAVE_TEMPLATE_CHANGES]: () => this.handleSaveTemplateChanges(event, element),
+            [ACTIONS.ARCHIVE_TEMPLATE]: () => this.handleRemoveTemplate(element, true),
+            [ACTIONS.DELETE_TEMPLATE]: () => this.handleRemoveTemplate(element, false),
+            [ACTIONS.EXPORT_TEMPLATE_PACKAGE]: () => this.handleExportTemplatePackage(event, element),
+            [ACTIONS.IMPORT_TEMPLATE_PACKAGE]: () => this.handleImportTemplatePackage(event, element),
+            [ACTIONS.INSTALL_TEMPLATE_PACKAGE]: () => this.handleInstallTemplatePackage(event, element)
         };
 
         console.log('Available handlers:', Object.keys(handlers));
@@ -135,11 +179,18 @@ class EventManager {
 
         // Handle project metadata changes
         if (element.id === 'projectName') {
-            ProjectManager.updateProjectMetadata({ title: element.value });
+            clearTimeout(this.inputTimeout);
+            ProjectManager.renameProject(element.value);
         } else if (element.id === 'projectClient') {
-            ProjectManager.updateProjectMetadata({ client: element.value });
+            ProjectManager.updateProjectMetadata({ client: element.value }, 'Changed client');
         } else if (element.id === 'projectStatus') {
-            ProjectManager.updateProjectMetadata({ status: element.value });
+            ProjectManager.setProjectStatus(element.value);
+        } else if (element.id === 'preflightBlockExport') {
+            PreflightChecker.setExportBlocking(element.checked);
+        } else if (element.closest('#exportOptions')) {
+            this.handleExportOptionsChange();
+        } else if (element.name === 'replaceTemplatePage') {
+            this.handleReplaceTemplatePage(element);
         }
     }
 
@@ -147,11 +198,22 @@ class EventManager {
         // Debounced input handling for real-time updates
         const element = event.target;
 
-        if (element.id === 'projectName' || element.id === 'projectClient') {
+        if (element.id === 'projectName') {
+            // Only the in-memory title follows typing; the file is renamed on change
+            clearTimeout(this.inputTimeout);
+            this.inputTimeout = setTimeout(() => {
+                ProjectManager.setProjectTitle(element.value.trim());
+            }, 300);
+        } else if (element.id === 'projectClient') {
             clearTimeout(this.inputTimeout);
             this.inputTimeout = setTimeout(() => {
                 this.handleChange(event);
             }, 300);
+        } else if (element.name === 'pageRange' && element.closest('#exportOptions')) {
+            clearTimeout(this.inputTimeout);
+            this.inputTimeout = setTimeout(() => {
+                this.refreshExportPreview();
+            }, 300);
         }
     }
 
@@ -234,6 +296,63 @@ class EventManager {
         }
     }
 
+    static async handleShowProjectVersions(event, element) {
+        const filename = element.dataset.filename;
+        if (!filename) return;
+
+        const modalManager = await import('./ModalManager.js');
+        modalManager.default.showProjectVersions(filename);
+    }
+
+    static async handlePreviewProjectVersion(event, element) {
+        const { filename, versionId } = element.dataset;
+        if (!filename || !versionId) return;
+
+        const modalManager = await import('./ModalManager.js');
+        modalManager.default.previewProjectVersion(filename, versionId);
+    }
+
+    static async handleRestoreProjectVersion(event, element) {
+        const { filename, versionId, versionDate } = element.dataset;
+        if (!filename || !versionId) return;
+
+        const confirmed = confirm(`Restore the version from ${versionDate}?\n\nThe current version stays in the history, so this can be reversed.`);
+        if (!confirmed) return;
+
+        await ProjectManager.restoreProjectVersion(filename, versionId, versionDate);
+    }
+
+    static async handleForkProjectVersion(event, element) {
+        const { filename, versionId, versionDate } = element.dataset;
+        if (!filename || !versionId) return;
+
+        await ProjectManager.forkProjectVersion(filename, versionId, versionDate);
+    }
+
+    static async handleBackToProjects(event, element) {
+        const modalManager = await import('./ModalManager.js');
+        modalManager.default.prepareOpenProjectModal();
+    }
+
+    static async handleSaveImageMetadata(event, element) {
+        const form = document.getElementById('imageMetadataForm');
+        if (!form || !form.dataset.url) return;
+
+        const formData = new FormData(form);
+        const saved = await ImageManager.saveImageMetadata(
+            { filename: form.dataset.filename, url: form.dataset.url },
+            {
+                description: formData.get('description'),
+                suggestedUses: formData.get('suggestedUses'),
+                tags: formData.get('tags').split(',').map(tag => tag.trim()).filter(Boolean)
+            }
+        );
+
+        if (saved) {
+            EventBus.emit(EVENTS.MODAL_CLOSED, { modalId: MODAL_IDS.IMAGE_METADATA });
+        }
+    }
+
     static async handleDeleteCurrentProject(event, element) {
         const currentProject = StateManager.getState().currentProject;
         if (!currentProject) {
@@ -247,7 +366,13 @@ class EventManager {
 
         try {
             // Get the filename from the current project
-            const filename = currentProject.filename || `${projectTitle.replace(/[^a-zA-Z0-9-_\s]/g, '')}.3bt`;
+            const filename = currentProject.filename;
+            if (!filename) {
+                // Never saved - nothing on disk to delete
+                ProjectManager.resetCurrentProject();
+                return;
+            }
+
             const result = await window.electronAPI.deleteProject(filename);
 
             if (result.success) {
@@ -295,8 +420,8 @@ class EventManager {
     }
 
     static handleAddFullTemplate(event, element) {
-        const templateName = element ? element.dataset.template : event.target.dataset.template;
-        if (templateName) {
+        const folder = element ? element.dataset.folder : event.target.dataset.folder;
+        if (folder) {
             const currentProject = StateManager.getState().currentProject;
             if (!currentProject) {
                 ErrorHandler.showUserError('Please create or open a project first', 'error');
@@ -304,7 +429,7 @@ class EventManager {
             }
 
             const templates = StateManager.getState().templates;
-            const templatePages = templates.filter(t => t.template === templateName);
+            const templatePages = templates.filter(t => t.folder === folder);
 
             if (templatePages.length === 0) {
                 ErrorHandler.showUserError('No pages found for this template', 'error');
@@ -315,7 +440,7 @@ class EventManager {
                 TemplateManager.addPageToProject(template.id);
             });
 
-            ErrorHandler.showSuccess(`Added all ${templatePages.length} pages from "${templateName}" template`);
+            ErrorHandler.showSuccess(`Added all ${templatePages.length} pages from "${templatePages[0].template}" template`);
         }
     }
 
@@ -489,12 +614,8 @@ class EventManager {
                 return;
             }
 
-            console.log('📄 Generating consolidated HTML for preview...');
-            const consolidatedHTML = ProjectManager.generateConsolidatedHTML();
-            console.log('📄 HTML generated, length:', consolidatedHTML.length);
-
-            // Show export preview modal
-            this.showExportPreview(consolidatedHTML, currentProject.metadata.title);
+            // Show export preview modal with the project's remembered export options
+            this.showExportPreview(currentProject);
 
         } catch (error) {
             console.error('💥 Export preview error:', error);
@@ -503,7 +624,82 @@ class EventManager {
         }
     }
 
-    static showExportPreview(html, projectTitle) {
+    // Runs before every export, on the pages it will include; false when blocking is on and there are critical issues
+    static async passesPreflight(project, options) {
+        const report = await this.runPreflight(project, options);
+        if (report.critical > 0 && PreflightChecker.isExportBlockingEnabled()) {
+            ErrorHandler.showUserError(`Export blocked: ${report.critical} critical preflight issue${report.critical === 1 ? '' : 's'}. See the Preflight panel.`, 'error');
+            return false;
+        }
+        if (report.issues.length > 0) {
+            ErrorHandler.showUserError(`Preflight found ${report.critical} critical issue${report.critical === 1 ? '' : 's'} and ${report.warnings} warning${report.warnings === 1 ? '' : 's'}. See the Preflight panel.`, 'warning');
+        }
+
+        return true;
+    }
+
+    static async runPreflight(project, options = null) {
+        console.log('🛫 Running preflight...');
+        const report = await PreflightChecker.run(project, options);
+        console.log(`🛫 Preflight: ${report.critical} critical, ${report.warnings} warnings`);
+
+        UIManager.renderPreflightReport(report);
+        if (report.issues.length > 0) {
+            SidebarManager.expandSection('preflight');
+        }
+
+        return report;
+    }
+
+    static async handleRunPreflight(event, element) {
+        const currentProject = StateManager.getState().currentProject;
+        if (!currentProject) {
+            ErrorHandler.showUserError('No project to check', 'error');
+            return;
+        }
+
+        try {
+            const report = await this.runPreflight(currentProject);
+            if (report.issues.length === 0) {
+                ErrorHandler.showSuccess('Preflight passed - no issues found');
+            }
+        } catch (error) {
+            ErrorHandler.logError(error, 'EventManager.handleRunPreflight', 'Preflight failed');
+        }
+    }
+
+    static handlePreflightJump(event, element) {
+        const { pageId, field } = element.dataset;
+        EventBus.emit(EVENTS.MODAL_OPENED, {
+            modalId: MODAL_IDS.PAGE_ZOOM,
+            data: { pageId, focusField: field || null }
+        });
+    }
+
+    static async handleCopyPageImage(event, element) {
+        const pageId = element.dataset.pageId;
+        const currentProject = StateManager.getState().currentProject;
+        if (!currentProject || !pageId) return;
+
+        try {
+            // Same rendering as an export of just this page, at the project's paper size
+            const options = { ...ExportOptions.get(currentProject), pages: 'pick', pageIds: [pageId], contentsPage: false };
+            const html = ProjectManager.generateConsolidatedHTML(options);
+            const pageSize = ExportOptions.getPageSize(options);
+
+            ErrorHandler.showInfo('🔄 Rendering page image...');
+            const result = await window.electronAPI.copyPageImage(html, pageSize);
+            if (!result.success) {
+                throw new Error(result.error || 'Failed to copy page image');
+            }
+
+            ErrorHandler.showSuccess('Page image copied to clipboard');
+        } catch (error) {
+            ErrorHandler.logError(error, 'EventManager.handleCopyPageImage', 'Failed to copy page image');
+        }
+    }
+
+    static showExportPreview(project) {
         const modal = document.getElementById('pageZoomModal');
         const modalContent = modal.querySelector('.modal-content');
 
@@ -512,8 +708,12 @@ class EventManager {
             window.originalModalContent = modalContent.innerHTML;
         }
 
-        // Store HTML for later export
-        window.exportPreviewData = { html, projectTitle };
+        const projectTitle = project.metadata.title;
+        const pageChoices = project.pages.map((page, index) => ({
+            id: page.id,
+            number: index + 1,
+            name: PageManager.getPageTemplateName(page.id)
+        }));
 
         modalContent.innerHTML = `
             <div class="export-preview-modal">
@@ -542,6 +742,11 @@ class EventManager {
                         </div>
                     </div>
 
+                    ${Templates.exportOptions(ExportOptions.get(project), pageChoices, {
+                        watermark: WatermarkManager.getWatermark(project),
+                        canOverride: WatermarkManager.canOverride
+                    })}
+
                     <div class="preview-document">
                         <iframe id="exportPreviewFrame"
                                 src="about:blank"
@@ -556,62 +761,163 @@ class EventManager {
         modal.classList.add('active');
 
         // Load HTML into iframe after modal is visible
-        setTimeout(() => {
-            try {
-                const iframe = document.getElementById('exportPreviewFrame');
-                if (!iframe) {
-                    console.error('❌ Preview iframe not found');
-                    return;
-                }
+        setTimeout(() => this.refreshExportPreview(), 100);
+
+        // Initialize Feather icons
+        if (typeof feather !== 'undefined') {
+            feather.replace();
+        }
+    }
 
-                console.log('📄 Loading HTML into preview iframe...');
-                const iframeDoc = iframe.contentDocument || iframe.contentWindow.document;
+    static handleExportOptionsChange() {
+        const form = document.getElementById('exportOptions');
+        if (!form) return;
 
-                if (!iframeDoc) {
-                    console.error('❌ Cannot access iframe document');
-                    return;
-                }
+        // Remember the choice for next time, unless someone else holds the project
+        if (!ProjectManager.isReadOnly()) {
+            ExportOptions.save(ExportOptions.readForm(form));
+        }
 
-                iframeDoc.open();
-                iframeDoc.write(html);
-                iframeDoc.close();
-                console.log('✅ Export preview loaded successfully');
+        this.refreshExportPreview();
+    }
 
-            } catch (error) {
-                console.error('❌ Failed to load preview:', error);
-                ErrorHandler.showUserError('Failed to load preview: ' + error.message, 'error');
+    static refreshExportPreview() {
+        const form = document.getElementById('exportOptions');
+        const currentProject = StateManager.getState().currentProject;
+        if (!form || !currentProject) return;
+
+        const options = ExportOptions.readForm(form);
+        form.dataset.pages = options.pages;
+        form.dataset.paperSize = options.paperSize;
+        form.dataset.profile = options.profile;
+        form.dataset.format = options.format;
+        form.dataset.imageSize = options.imageSize;
+
+        const summary = form.querySelector('.export-options-summary');
+        const exportBtn = document.querySelector('[data-action="confirm-export"]');
+
+        try {
+            const pages = ExportOptions.selectPages(currentProject, options);
+
+            console.log('📄 Generating consolidated HTML for preview...');
+            const html = ProjectManager.generateConsolidatedHTML(options);
+            console.log('📄 HTML generated, length:', html.length);
+
+            // Web exports preview their entry page - the whole document for a single file
+            const documents = ExportOptions.isWebExport(options) ? ProjectManager.generateWebDocuments(options) : null;
+
+            // Store HTML and the resolved paper size for the export itself
+            window.exportPreviewData = {
+                html,
+                documents,
+                projectTitle: currentProject.metadata.title,
+                options: ExportOptions.getRequestOptions(currentProject, options)
+            };
+
+            const watermark = WatermarkManager.resolveWatermark(currentProject, options.skipWatermark);
+            summary.textContent = ExportOptions.describe(options, pages.length) +
+                (watermark ? ` - stamped "${watermark.watermark || watermark.stamp}" (${currentProject.metadata.status})` : '');
+            summary.classList.remove('error');
+            if (exportBtn) {
+                exportBtn.disabled = false;
+                exportBtn.innerHTML = ExportOptions.isImageExport(options)
+                    ? '<i data-feather="image"></i> Export Images'
+                    : ExportOptions.isWebExport(options)
+                        ? '<i data-feather="globe"></i> Export Web Page'
+                        : '<i data-feather="download"></i> Export to PDF';
+                feather.replace();
             }
-        }, 100);
 
-        // Initialize Feather icons
-        if (typeof feather !== 'undefined') {
-            feather.replace();
+            this.writeExportPreview(documents ? documents[0].html : html);
+        } catch (error) {
+            delete window.exportPreviewData;
+            summary.textContent = error.message;
+            summary.classList.add('error');
+            if (exportBtn) exportBtn.disabled = true;
         }
     }
 
-    static async confirmExport() {
+    static writeExportPreview(html) {
         try {
-            if (!window.exportPreviewData) {
-                throw new Error('No export data available');
+            const iframe = document.getElementById('exportPreviewFrame');
+            if (!iframe) {
+                console.error('❌ Preview iframe not found');
+                return;
             }
 
-            const { html, projectTitle } = window.exportPreviewData;
+            console.log('📄 Loading HTML into preview iframe...');
+            const iframeDoc = iframe.contentDocument || iframe.contentWindow.document;
 
-            // Close modal first and restore original content
-            this.restoreOriginalModalContent();
-            EventBus.emit(EVENTS.MODAL_CLOSED, { modalId: 'pageZoomModal' });
+            if (!iframeDoc) {
+                console.error('❌ Cannot access iframe document');
+                return;
+            }
 
-            // Show loading state
-            ErrorHandler.showInfo('🔄 Generating PDF...');
+            iframeDoc.open();
+            iframeDoc.write(html);
+            iframeDoc.close();
+            console.log('✅ Export preview loaded successfully');
 
-            console.log('🔄 Calling exportPDF after preview confirmation...');
-            const result = await window.electronAPI.exportPDF(html, projectTitle);
+        } catch (error) {
+            console.error('❌ Failed to load preview:', error);
+            ErrorHandler.showUserError('Failed to load preview: ' + error.message, 'error');
+        }
+    }
+
+    static async confirmExport() {
+        if (!window.exportPreviewData) {
+            ErrorHandler.showUserError('No export data available', 'error');
+            return;
+        }
+
+        // Preflight the pages chosen in the dialog - the blocking rule applies to what is exported
+        const form = document.getElementById('exportOptions');
+        const currentProject = StateManager.getState().currentProject;
+        if (form && currentProject && !(await this.passesPreflight(currentProject, ExportOptions.readForm(form)))) {
+            return;
+        }
+
+        const exportData = window.exportPreviewData;
+        delete window.exportPreviewData;
+
+        // Close modal first and restore original content
+        this.restoreOriginalModalContent();
+        EventBus.emit(EVENTS.MODAL_CLOSED, { modalId: 'pageZoomModal' });
+
+        await this.runExport(exportData);
+    }
+
+    static async runExport({ html, documents, projectTitle, options }) {
+        const isImageExport = ExportOptions.isImageExport(options);
+        const isWebExport = ExportOptions.isWebExport(options);
+
+        try {
+            // The main process reports each stage through onExportProgress
+            UIManager.showExportProgress();
+
+            console.log('🔄 Starting export...');
+            let result;
+            if (isImageExport) {
+                result = await window.electronAPI.exportImages(html, projectTitle, options);
+            } else if (isWebExport) {
+                result = await window.electronAPI.exportWebsite(documents, projectTitle, options);
+            } else {
+                result = await window.electronAPI.exportPDF(html, projectTitle, options);
+            }
 
+            if (result.cancelled) {
+                ErrorHandler.showInfo('Export cancelled');
+                return;
+            }
             if (!result.success) {
-                throw new Error(result.error || 'Failed to export PDF');
+                throw new Error(result.error || 'Failed to export');
+            }
+
+            console.log('✅ Export successful');
+            if (result.warnings && result.warnings.length > 0) {
+                ErrorHandler.showUserError(result.warnings.join('\n'), 'warning');
             }
 
-            console.log('✅ Export successful after preview');
             const filename = result.filename || result.path.split('/').pop();
             const directory = result.directory || result.path.replace(/\/[^\/]+$/, '');
 
@@ -635,15 +941,286 @@ class EventManager {
                 </button>
             `;
 
-            ErrorHandler.showSuccessModal('PDF Export Complete', message, actionButton);
+            const title = isImageExport ? 'Image Export Complete' : isWebExport ? 'Web Export Complete' : 'PDF Export Complete';
+            ErrorHandler.showSuccessModal(title, message, actionButton);
 
-            // Clear stored data
-            delete window.exportPreviewData;
+            await this.refreshExportHistory();
 
         } catch (error) {
-            console.error('💥 Export confirmation error:', error);
-            ErrorHandler.logError(error, 'EventManager.confirmExport', 'Export failed');
+            console.error('💥 Export error:', error);
+            ErrorHandler.logError(error, 'EventManager.runExport', 'Export failed');
             ErrorHandler.showUserError('Failed to export project: ' + error.message, 'error');
+        } finally {
+            UIManager.hideExportProgress();
+        }
+    }
+
+    static async handleCancelExport(event, element) {
+        const result = await window.electronAPI.cancelExport();
+        if (!result.success) {
+            UIManager.hideExportProgress();
+        }
+    }
+
+    static async refreshExportHistory() {
+        const currentProject = StateManager.getState().currentProject;
+
+        try {
+            this.exportHistory = currentProject?.id
+                ? await window.electronAPI.listExportHistory(currentProject.id)
+                : [];
+            UIManager.renderExportHistory(this.exportHistory);
+        } catch (error) {
+            ErrorHandler.logError(error, 'EventManager.refreshExportHistory', 'Failed to load export history');
+        }
+    }
+
+    static getExportHistoryEntry(element) {
+        return this.exportHistory.find(entry => entry.id === element.dataset.entryId);
+    }
+
+    // Same options as the original export, applied to the project as it is now
+    static async handleReexport(event, element) {
+        const entry = this.getExportHistoryEntry(element);
+        const currentProject = StateManager.getState().currentProject;
+        if (!entry?.exportOptions || !currentProject) return;
+
+        try {
+            const options = { ...ExportOptions.DEFAULTS, ...entry.exportOptions };
+            if (!(await this.passesPreflight(currentProject, options))) {
+                return;
+            }
+
+            await this.runExport({
+                html: ProjectManager.generateConsolidatedHTML(options),
+                documents: ExportOptions.isWebExport(options) ? ProjectManager.generateWebDocuments(options) : null,
+                projectTitle: currentProject.metadata.title,
+                options: ExportOptions.getRequestOptions(currentProject, options)
+            });
+        } catch (error) {
+            ErrorHandler.logError(error, 'EventManager.handleReexport', `Could not export again: ${error.message}`);
+        }
+    }
+
+    static async handleOpenExport(event, element) {
+        const entry = this.getExportHistoryEntry(element);
+        const currentProject = StateManager.getState().currentProject;
+        if (!entry || !currentProject) return;
+
+        const result = await window.electronAPI.openExport(currentProject.id, entry.id);
+        if (!result.success) {
+            ErrorHandler.showUserError(`Could not open ${entry.filename}: ${result.error}`, 'error');
+        }
+    }
+
+    static async handleRevealExport(event, element) {
+        const entry = this.getExportHistoryEntry(element);
+        const currentProject = StateManager.getState().currentProject;
+        if (!entry || !currentProject) return;
+
+        const result = await window.electronAPI.revealExport(currentProject.id, entry.id);
+        if (!result.success) {
+            ErrorHandler.showUserError(`Could not show ${entry.filename}: ${result.error}`, 'error');
+        }
+    }
+
+    static handleShowTemplateUpdates(event, element) {
+        ModalManager.show(MODAL_IDS.TEMPLATE_UPDATES, { pageId: element.dataset.pageId || null });
+    }
+
+    static handleUpgradePage(event, element) {
+        const currentProject = StateManager.getState().currentProject;
+        const page = currentProject?.pages.find(p => p.id === element.dataset.pageId);
+        if (!page || !TemplateUpdater.isOutdated(page, currentProject)) return;
+
+        const update = TemplateUpdater.describeUpdate(page, currentProject);
+        if (update.droppedContent.length > 0 || update.unmappedEdits) {
+            const confirmed = confirm(`Updating page ${update.pageNumber} will drop content the new template no longer has room for.\n\nUpdate it anyway?`);
+            if (!confirmed) return;
+        }
+
+        TemplateUpdater.upgradePages([page.id]);
+        this.refreshTemplateUpdates();
+    }
+
+    static handleUpgradeAllPages(event, element) {
+        const currentProject = StateManager.getState().currentProject;
+        const updates = TemplateUpdater.getOutdatedPages(currentProject)
+            .map(page => TemplateUpdater.describeUpdate(page, currentProject));
+        if (updates.length === 0) return;
+
+        const losing = updates.filter(update => update.droppedContent.length > 0 || update.unmappedEdits);
+        if (losing.length > 0) {
+            const pageList = losing.map(update => update.pageNumber).join(', ');
+            const confirmed = confirm(`Updating will drop content on page${losing.length === 1 ? '' : 's'} ${pageList}, where the new template no longer has room for it.\n\nUpdate all ${updates.length} pages anyway?`);
+            if (!confirmed) return;
+        }
+
+        TemplateUpdater.upgradePages(updates.map(update => update.pageId));
+        this.refreshTemplateUpdates();
+    }
+
+    static refreshTemplateUpdates() {
+        if (TemplateUpdater.getOutdatedPages(StateManager.getState().currentProject).length === 0) {
+            ModalManager.hide(MODAL_IDS.TEMPLATE_UPDATES);
+        } else {
+            UIManager.renderTemplateUpdates();
+        }
+    }
+
+    static handleMoveTemplatePage(event, element) {
+        const item = element.closest('.template-manager-page');
+        const sibling = element.dataset.direction === 'up' ? item?.previousElementSibling : item?.nextElementSibling;
+        if (!sibling) return;
+
+        if (element.dataset.direction === 'up') {
+            sibling.before(item);
+        } else {
+            sibling.after(item);
+        }
+
+        item.parentElement.querySelectorAll('.template-manager-page-number').forEach((number, index) => {
+            number.textContent = index + 1;
+        });
+    }
+
+    static async handleSaveTemplateChanges(event, element) {
+        const form = element.closest('form');
+        const value = (name) => form.querySelector(`[name="${name}"]`).value.trim();
+
+        const changes = {
+            name: value('name'),
+            category: value('category'),
+            description: value('description'),
+            version: value('version'),
+            pageOrder: Array.from(form.querySelectorAll('[name="pageOrder"]')).map(input => input.value)
+        };
+
+        if (!changes.name || !changes.category) {
+            ErrorHandler.showUserError('A template needs a name and a category', 'error');
+            return;
+        }
+
+        try {
+            const folder = await TemplateManager.saveTemplateChanges(form.dataset.folder, changes);
+            ErrorHandler.showSuccess(`Template "${changes.name}" saved`);
+            UIManager.renderTemplateManager(folder);
+            if (StateManager.getState().currentProject) UIManager.renderPageList();
+        } catch (error) {
+            ErrorHandler.logError(error, 'EventManager.handleSaveTemplateChanges', `Failed to save template: ${error.message}`);
+            UIManager.renderTemplateManager(error.folder || form.dataset.folder);
+            if (StateManager.getState().currentProject) UIManager.renderPageList();
+        }
+    }
+
+    static async handleReplaceTemplatePage(element) {
+        const file = element.files[0];
+        const folder = element.closest('form').dataset.folder;
+        const filename = element.dataset.filename;
+        element.value = '';
+        if (!file) return;
+
+        try {
+            const htmlContent = await file.text();
+            const validation = await UploadValidator.validateUploadedFile(file, htmlContent);
+            if (!validation.valid) {
+                ErrorHandler.showUserError(`"${file.name}" can't be used: ${validation.critical[0]}`, 'error');
+                return;
+            }
+
+            const confirmed = confirm(`Replace "${filename}" with "${file.name}"?\n\nProjects using this page will be offered the new version.`);
+            if (!confirmed) return;
+
+            await TemplateManager.replaceTemplatePage(folder, filename, htmlContent);
+            ErrorHandler.showSuccess(`Replaced "${filename}"`);
+            UIManager.renderTemplateManager(folder);
+            if (StateManager.getState().currentProject) UIManager.renderPageList();
+        } catch (error) {
+            ErrorHandler.logError(error, 'EventManager.handleReplaceTemplatePage', `Failed to replace page: ${error.message}`);
+        }
+    }
+
+    static async handleRemoveTemplate(element, archive) {
+        const folder = element.closest('form').dataset.folder;
+        const entry = TemplateManager.getLibraryEntry(folder);
+        if (!entry) return;
+
+        const usage = await window.electronAPI.findTemplateUsage(TemplateManager.getReferenceIds(entry));
+        const usedBy = usage.length > 0
+            ? `\n\nIt is used by ${usage.map(project => `"${project.title}"`).join(', ')}. Those pages keep their content but will be flagged as using a removed template.`
+            : '';
+        const confirmed = confirm(archive
+            ? `Archive "${entry.name}"? It moves to Templates/.archive and no longer appears in the library.${usedBy}`
+            : `Delete "${entry.name}" permanently?${usedBy}\n\nThis action cannot be undone.`);
+        if (!confirmed) return;
+
+        try {
+            await TemplateManager.removeTemplate(folder, archive);
+            ErrorHandler.showSuccess(`Template "${entry.name}" ${archive ? 'archived' : 'deleted'}`);
+            UIManager.renderTemplateManager();
+            if (StateManager.getState().currentProject) UIManager.renderPageList();
+        } catch (error) {
+            ErrorHandler.logError(error, 'EventManager.handleRemoveTemplate', error.message);
+        }
+    }
+
+    static async handleExportTemplatePackage(event, element) {
+        const folder = element.closest('form').dataset.folder;
+
+        try {
+            element.disabled = true;
+            ErrorHandler.showInfo('🔄 Packaging template...');
+            const result = await TemplateManager.exportPackage(folder);
+
+            ErrorHandler.showSuccess(`Template package saved to ${result.path}`);
+            if (result.warnings.length > 0) {
+                ErrorHandler.showUserError(result.warnings.join('\n'), 'warning');
+            }
+            window.electronAPI.showInFinder(result.path);
+        } catch (error) {
+            ErrorHandler.logError(error, 'EventManager.handleExportTemplatePackage', `Failed to export template package: ${error.message}`);
+        } finally {
+            element.disabled = false;
+        }
+    }
+
+    static async handleImportTemplatePackage(event, element) {
+        try {
+            const pkg = await TemplateManager.openPackage();
+            if (pkg) {
+                ModalManager.show(MODAL_IDS.TEMPLATE_PACKAGE, pkg);
+            }
+        } catch (error) {
+            ErrorHandler.logError(error, 'EventManager.handleImportTemplatePackage', error.message);
+        }
+    }
+
+    static async handleInstallTemplatePackage(event, element) {
+        const form = element.closest('form');
+        const mode = form.querySelector('[name="installMode"]:checked')?.value || 'new';
+        const name = form.querySelector('[name="copyName"]')?.value.trim();
+
+        if (mode === 'copy' && !name) {
+            ErrorHandler.showUserError('Enter a name for the copy', 'error');
+            return;
+        }
+
+        try {
+            element.disabled = true;
+            const result = await TemplateManager.installPackage(form.dataset.packagePath, { mode, name });
+
+            const assets = [
+                result.images > 0 ? `${result.images} image${result.images === 1 ? '' : 's'}` : '',
+                result.fonts > 0 ? `${result.fonts} font${result.fonts === 1 ? '' : 's'}` : ''
+            ].filter(Boolean).join(' and ');
+            ErrorHandler.showSuccess(assets ? `${result.message}, with ${assets} added to the workspace` : result.message);
+
+            ModalManager.hide(MODAL_IDS.TEMPLATE_PACKAGE);
+            UIManager.renderTemplateManager(result.folder);
+            if (StateManager.getState().currentProject) UIManager.renderPageList();
+        } catch (error) {
+            ErrorHandler.logError(error, 'EventManager.handleInstallTemplatePackage', error.message);
+            element.disabled = false;
         }
     }
 
@@ -657,19 +1234,26 @@ class EventManager {
                 throw new Error('No page content to save');
             }
 
+            // Close any open text edit so contenteditable doesn't end up in the saved HTML
+            if (window.ElementEditor) {
+                window.ElementEditor.stopTextEditing(false);
+            }
+
             // Extract the modified HTML from the direct DOM, handling nested HTML documents
             const modifiedHTML = this.extractCleanHTML(pageContainer);
             console.log('💾 DEBUG: Extracted modified HTML length:', modifiedHTML.length);
-            console.log('💾 DEBUG: Template ID:', ModalManager.currentZoomPage.templateId);
+            console.log('💾 DEBUG: Page ID:', ModalManager.currentZoomPage.id);
 
             // Capture element transforms from the direct DOM
             const elementTransforms = this.captureElementTransforms(pageContainer, ModalManager.currentZoomPage.id);
 
             // Update the project with the modified content
             const currentProject = StateManager.getState().currentProject;
-            if (currentProject && currentProject.templateCopies[ModalManager.currentZoomPage.templateId]) {
+            if (currentProject && currentProject.templateCopies[ModalManager.currentZoomPage.id]) {
                 console.log('💾 DEBUG: Saving template content (clean HTML only, no wrapper)');
-                currentProject.templateCopies[ModalManager.currentZoomPage.templateId].modifiedHtml = modifiedHTML;
+                const contentChanged = currentProject.templateCopies[ModalManager.currentZoomPage.id].modifiedHtml !== modifiedHTML;
+                currentProject.templateCopies[ModalManager.currentZoomPage.id].modifiedHtml = modifiedHTML;
+                FieldManager.syncPageFields(currentProject, ModalManager.currentZoomPage.id, modifiedHTML);
 
                 // Initialize elementTransforms if it doesn't exist
                 if (!currentProject.elementTransforms) {
@@ -686,7 +1270,7 @@ class EventManager {
                 StateManager.setState({
                     currentProject: currentProject,
                     isDirty: true
-                });
+                }, { historyLabel: contentChanged ? 'Edited page' : null });
 
                 // Emit events to update UI
                 EventBus.emit(EVENTS.PROJECT_DIRTY, true);
@@ -756,7 +1340,7 @@ class EventManager {
                 <div style="text-align: left;">
                     <p style="margin: 0 0 var(--space-2) 0;"><strong>Template:</strong> ${metadata.name}</p>
                     <p style="margin: 0; color: var(--color-warm-gray-text);">
-                        <strong>Location:</strong> ~/OneDrive/Exports/Templates/${pageName}/
+                        <strong>Location:</strong> ${result.path}
                     </p>
                 </div>
             `;
@@ -990,6 +1574,28 @@ class EventManager {
         return completeHTML;
     }
 
+    static handleHistoryJump(event, element) {
+        const { stack, index } = element.dataset;
+        HistoryManager.jumpTo(stack, parseInt(index, 10));
+    }
+
+    static async handleChangeWorkspace(event, element) {
+        // Don't strand unsaved work in the old workspace
+        const state = StateManager.getState();
+        if (state.isDirty && state.currentProject) {
+            await ProjectManager.saveProject();
+        }
+
+        const result = await window.electronAPI.chooseWorkspace();
+        if (result.canceled || result.unchanged) return;
+
+        if (!result.success) {
+            throw new Error(result.error || 'Failed to switch workspace');
+        }
+
+        EventBus.emit(EVENTS.WORKSPACE_CHANGED, result.basePath);
+    }
+
     static handleCloseElementEditor(event, element) {
         if (window.ElementEditor) {
             window.ElementEditor.hidePanel();
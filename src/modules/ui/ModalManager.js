@@ -68,6 +68,18 @@ class ModalManager {
             case MODAL_IDS.PAGE_ZOOM:
                 this.preparePageZoomModal(data);
                 break;
+            case MODAL_IDS.IMAGE_METADATA:
+                this.prepareImageMetadataModal(data);
+                break;
+            case MODAL_IDS.TEMPLATE_UPDATES:
+                UIManager.renderTemplateUpdates(data.pageId);
+                break;
+            case MODAL_IDS.TEMPLATE_MANAGER:
+                UIManager.renderTemplateManager(data.folder);
+                break;
+            case MODAL_IDS.TEMPLATE_PACKAGE:
+                UIManager.renderTemplatePackage(data);
+                break;
         }
     }
 
@@ -134,8 +146,66 @@ class ModalManager {
     }
 
 
+    static prepareImageMetadataModal(data) {
+        const form = document.getElementById('imageMetadataForm');
+        const image = (StateManager.getState().imageLibrary || []).find(img => img.url === data.imageUrl);
+        if (!form || !image) return;
+
+        form.dataset.filename = image.filename;
+        form.dataset.url = image.url;
+
+        document.getElementById('imageMetadataPreview').src = image.url;
+        document.getElementById('imageMetadataFilename').textContent = image.filename;
+        document.getElementById('imageDescription').value = image.description || '';
+        document.getElementById('imageSuggestedUses').value = image.suggestedUses || '';
+        document.getElementById('imageTags').value = (image.tags || []).join(', ');
+    }
+
+    static async showProjectVersions(filename) {
+        const projectGrid = document.getElementById('projectGrid');
+        if (!projectGrid) return;
+
+        projectGrid.innerHTML = '<div class="loading"><div class="loading-spinner"></div><p>Loading versions...</p></div>';
+
+        try {
+            const [versions, projects] = await Promise.all([
+                ProjectManager.listProjectVersions(filename),
+                ProjectManager.listProjects()
+            ]);
+            const projectMeta = projects.find(project => project.filename === filename);
+
+            projectGrid.innerHTML = Templates.versionBrowser(filename, projectMeta ? projectMeta.title : filename, versions);
+
+            if (typeof feather !== 'undefined') {
+                feather.replace();
+            }
+        } catch (error) {
+            projectGrid.innerHTML = '<div style="grid-column: 1/-1; text-align: center; color: var(--color-cool-gray); padding: 40px;">Failed to load version history</div>';
+        }
+    }
+
+    static async previewProjectVersion(filename, versionId) {
+        const previewEl = document.getElementById('versionPreview');
+        if (!previewEl) return;
+
+        document.querySelectorAll('.version-item').forEach(item => {
+            item.classList.toggle('active', item.dataset.versionId === versionId);
+        });
+
+        try {
+            const project = await ProjectManager.loadProjectVersion(filename, versionId);
+            const previewHtml = ProjectManager.generateProjectPreview(project);
+
+            previewEl.innerHTML = previewHtml
+                ? `<iframe class="project-preview-iframe" src="data:text/html;charset=utf-8,${encodeURIComponent(previewHtml)}"></iframe>`
+                : '<div class="project-no-preview">No Pages</div>';
+        } catch (error) {
+            previewEl.innerHTML = '<div class="project-no-preview">Preview unavailable</div>';
+        }
+    }
+
     static preparePageZoomModal(data) {
-        const { pageId } = data;
+        const { pageId, focusField } = data;
         const currentProject = ProjectManager.getCurrentProject();
 
         if (!currentProject) {
@@ -167,6 +237,11 @@ class ModalManager {
         const zoomFrame = document.getElementById('zoomFrame');
         if (zoomFrame) {
 
+            // Commit any text edit still open on the previous page before it's replaced
+            if (window.ElementEditor) {
+                window.ElementEditor.stopTextEditing();
+            }
+
             // Clear existing content
             zoomFrame.innerHTML = '';
 
@@ -188,6 +263,9 @@ class ModalManager {
             // Apply saved element transforms immediately (no iframe delay needed)
             setTimeout(() => {
                 this.applyElementTransformsDirect(pageContainer, pageId, currentProject);
+                if (focusField) {
+                    this.highlightField(pageContainer, focusField);
+                }
             }, 100);
         }
 
@@ -195,6 +273,16 @@ class ModalManager {
         this.currentZoomPage = page;
     }
 
+    // Bring a field flagged by preflight into view
+    static highlightField(pageContainer, fieldName) {
+        const field = pageContainer.querySelector(`[data-field="${CSS.escape(fieldName)}"]`);
+        if (!field) return;
+
+        field.scrollIntoView({ block: 'center' });
+        field.classList.add('preflight-highlight');
+        setTimeout(() => field.classList.remove('preflight-highlight'), 2500);
+    }
+
     /**
      * Sanitize HTML for direct DOM insertion (security)
      */
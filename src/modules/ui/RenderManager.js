@@ -2,6 +2,7 @@ import EventBus from '../core/EventBus.js';
 import StateManager from '../core/StateManager.js';
 import ErrorHandler from '../core/ErrorHandler.js';
 import UIManager from './UIManager.js';
+import ImageManager from '../data/ImageManager.js';
 import { EVENTS } from './constants.js';
 
 class RenderManager {
@@ -202,6 +203,8 @@ class RenderManager {
 
             case 'image-library':
                 UIManager.renderImageLibrary(data);
+                // Thumbnails are new elements - rebind their click handlers
+                ImageManager.setupImageClickHandlers();
                 break;
 
             case 'connection-status':
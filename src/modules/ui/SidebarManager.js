@@ -8,6 +8,9 @@ class SidebarManager {
         projectSettings: true,
         templateLibrary: true,
         images: false,
+        history: false,
+        preflight: false,
+        exports: false,
         connectionStatus: false
     };
 
@@ -128,11 +131,11 @@ class SidebarManager {
 
         // Define which sections should be visible based on project state
         const sectionsToShow = hasProject
-            ? ['projectSettings', 'templateLibrary', 'images', 'connectionStatus']
+            ? ['projectSettings', 'templateLibrary', 'images', 'history', 'preflight', 'exports', 'connectionStatus']
             : ['connectionStatus'];
 
         // Hide/show sections based on project state
-        ['projectSettings', 'templateLibrary', 'images', 'connectionStatus'].forEach(sectionId => {
+        ['projectSettings', 'templateLibrary', 'images', 'history', 'preflight', 'exports', 'connectionStatus'].forEach(sectionId => {
             const section = document.querySelector(`[data-section="${sectionId}"]`);
             if (section) {
                 if (sectionsToShow.includes(sectionId)) {
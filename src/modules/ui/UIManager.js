@@ -1,7 +1,12 @@
 import StateManager from '../core/StateManager.js';
 import EventBus from '../core/EventBus.js';
 import ErrorHandler from '../core/ErrorHandler.js';
+import Validator from '../core/Validator.js';
 import UnifiedPageRenderer from '../rendering/UnifiedPageRenderer.js';
+import PreflightChecker from '../rendering/PreflightChecker.js';
+import TemplateUpdater from '../data/TemplateUpdater.js';
+import TemplateManager from '../data/TemplateManager.js';
+import LoadingManager from './LoadingManager.js';
 import { Templates } from './templates.js';
 import { CSS_CLASSES, SELECTORS, EVENTS } from './constants.js';
 
@@ -17,16 +22,17 @@ class UIManager {
 
         const pagesHTML = currentProject.pages.map((page, index) => {
             const template = templates.find(t => t.id === page.templateId);
-            const templateName = template ? template.name : 'Unknown Template';
+            const templateName = template ? template.name : 'Removed template';
 
             // Generate HTML for this page
             const pageHTML = this.generatePagePreviewHTML(page);
             const pageWithHTML = { ...page, html: pageHTML };
 
-            return Templates.pageCard(pageWithHTML, index, templateName);
+            return Templates.pageCard(pageWithHTML, index, templateName, TemplateUpdater.isOutdated(page, currentProject));
         });
 
         pageListEl.innerHTML = pagesHTML.join('');
+        this.updateTemplateUpdateBanner();
 
         // Preview iframes are now set directly in template HTML
 
@@ -37,7 +43,7 @@ class UIManager {
         const currentProject = StateManager.getState().currentProject;
         if (!currentProject) return '<p>No project loaded</p>';
 
-        const templateCopy = currentProject.templateCopies[page.templateId];
+        const templateCopy = currentProject.templateCopies[page.id];
         if (!templateCopy) {
             console.warn(`Template copy not found for page ${page.id} with templateId ${page.templateId}`);
             console.log('Available template copies:', Object.keys(currentProject.templateCopies));
@@ -119,7 +125,7 @@ class UIManager {
     static buildTemplateHierarchy(templates) {
         const hierarchy = {};
 
-        // Group templates by category and template name
+        // Group templates by category and template folder - names only have to be unique within a category
         templates.forEach(template => {
             const category = template.category || 'general';
             const templateName = template.template || 'Untitled Template';
@@ -129,10 +135,11 @@ class UIManager {
             }
 
             // Find existing template group or create new one
-            let templateGroup = hierarchy[category].find(group => group.name === templateName);
+            let templateGroup = hierarchy[category].find(group => group.folder === template.folder);
             if (!templateGroup) {
                 templateGroup = {
                     name: templateName,
+                    folder: template.folder,
                     pages: []
                 };
                 hierarchy[category].push(templateGroup);
@@ -198,13 +205,18 @@ class UIManager {
 
     static enableProjectControls(enabled = true) {
         const controls = [
-            SELECTORS.SAVE_PROJECT_BTN,
             '#previewBtn',
-            '#exportBtn',
+            '#exportBtn'
+        ];
+
+        // Editing controls stay off while someone else holds the project lock
+        const editControls = [
+            SELECTORS.SAVE_PROJECT_BTN,
             SELECTORS.PROJECT_NAME,
             SELECTORS.PROJECT_CLIENT,
             SELECTORS.PROJECT_STATUS
         ];
+        const readOnly = !!StateManager.getState().projectLock?.readOnly;
 
         controls.forEach(selector => {
             const element = document.querySelector(selector);
@@ -213,6 +225,13 @@ class UIManager {
             }
         });
 
+        editControls.forEach(selector => {
+            const element = document.querySelector(selector);
+            if (element) {
+                element.disabled = !enabled || readOnly;
+            }
+        });
+
         // Show/hide the delete project button
         const deleteBtn = document.querySelector('#deleteProjectBtn');
         if (deleteBtn) {
@@ -246,6 +265,101 @@ class UIManager {
         feather.replace();
     }
 
+    static updateLockBanner(lock) {
+        const bannerEl = document.querySelector(SELECTORS.LOCK_BANNER);
+        const readOnly = !!(lock && lock.readOnly);
+
+        document.body.classList.toggle('read-only-mode', readOnly);
+
+        if (bannerEl) {
+            bannerEl.innerHTML = readOnly ? Templates.lockBanner(lock.holder) : '';
+            bannerEl.style.display = readOnly ? 'flex' : 'none';
+            feather.replace();
+        }
+
+        this.enableProjectControls(!!StateManager.getState().currentProject);
+    }
+
+    static updateTemplateUpdateBanner() {
+        const bannerEl = document.querySelector(SELECTORS.TEMPLATE_UPDATE_BANNER);
+        if (!bannerEl) return;
+
+        const currentProject = StateManager.getState().currentProject;
+        const count = TemplateUpdater.getOutdatedPages(currentProject).length;
+        const missingCount = TemplateManager.getMissingTemplatePages(currentProject).length;
+        const show = count > 0 || missingCount > 0;
+
+        bannerEl.innerHTML = show ? Templates.templateUpdateBanner(count, missingCount) : '';
+        bannerEl.style.display = show ? 'flex' : 'none';
+        feather.replace();
+    }
+
+    static renderTemplateManager(selectedFolder = null) {
+        const listEl = document.querySelector(SELECTORS.TEMPLATE_MANAGER_LIST);
+        const detailEl = document.querySelector(SELECTORS.TEMPLATE_MANAGER_DETAIL);
+        if (!listEl || !detailEl) return;
+
+        const library = TemplateManager.getLibrary();
+        const selected = library.find(entry => entry.folder === selectedFolder) || library[0];
+
+        listEl.innerHTML = library.map(entry => Templates.templateManagerItem(entry, entry === selected)).join('');
+
+        if (!selected) {
+            detailEl.innerHTML = '<p class="template-manager-empty">No templates in this workspace yet</p>';
+            return;
+        }
+
+        detailEl.innerHTML = Templates.templateManagerDetail(selected, Object.keys(TemplateManager.getTemplateCategories()).sort());
+        feather.replace();
+        this.renderTemplateUsage(selected);
+    }
+
+    static async renderTemplateUsage(entry) {
+        try {
+            const usage = await window.electronAPI.findTemplateUsage(TemplateManager.getReferenceIds(entry));
+
+            // The user may have picked another template while projects were being read
+            const form = document.getElementById('templateManagerForm');
+            const usageEl = document.querySelector(SELECTORS.TEMPLATE_MANAGER_USAGE);
+            if (usageEl && form?.dataset.folder === entry.folder) {
+                usageEl.innerHTML = Templates.templateUsage(usage);
+            }
+        } catch (error) {
+            ErrorHandler.logError(error, 'UIManager.renderTemplateUsage', 'Failed to check which projects use this template');
+        }
+    }
+
+    static renderTemplatePackage(pkg) {
+        const reviewEl = document.querySelector(SELECTORS.TEMPLATE_PACKAGE_REVIEW);
+        if (!reviewEl || !pkg) return;
+
+        reviewEl.innerHTML = Templates.templatePackageReview(pkg, TemplateManager.suggestCopyName(pkg.category, pkg.name));
+    }
+
+    static renderTemplateUpdates(focusPageId = null) {
+        const updateList = document.querySelector(SELECTORS.TEMPLATE_UPDATE_LIST);
+        if (!updateList) return;
+
+        const currentProject = StateManager.getState().currentProject;
+        const updates = TemplateUpdater.getOutdatedPages(currentProject)
+            .map(page => TemplateUpdater.describeUpdate(page, currentProject));
+
+        updateList.innerHTML = updates.length > 0
+            ? updates.map(update => Templates.templateUpdateItem(update, update.pageId === focusPageId)).join('')
+            : '<p class="template-updates-empty">All pages use the latest version of their template</p>';
+        feather.replace();
+
+        updateList.querySelector('.template-update-item.focused')?.scrollIntoView({ block: 'nearest' });
+    }
+
+    static updateWorkspacePath(basePath) {
+        const pathEl = document.querySelector(SELECTORS.WORKSPACE_PATH);
+        if (!pathEl) return;
+
+        pathEl.textContent = basePath || 'No workspace selected';
+        pathEl.title = basePath || '';
+    }
+
     static showLoading(element, message = 'Loading...') {
         if (typeof element === 'string') {
             element = document.querySelector(element);
@@ -296,9 +410,87 @@ class UIManager {
             return;
         }
 
-        imageGallery.innerHTML = images.slice(0, 20).map(image =>
-            Templates.imageThumb(image)
-        ).join('');
+        // Imported files and the CSV library side by side
+        const localImages = images.filter(image => image.source === 'local');
+        const libraryImages = images.filter(image => image.source !== 'local');
+
+        imageGallery.innerHTML = [
+            localImages.length > 0 ? Templates.imageGroupTitle('Imported', localImages.length) : '',
+            ...localImages.slice(0, 20).map(image => Templates.imageThumb(image)),
+            localImages.length > 0 && libraryImages.length > 0 ? Templates.imageGroupTitle('Library', libraryImages.length) : '',
+            ...libraryImages.slice(0, 20).map(image => Templates.imageThumb(image))
+        ].join('');
+    }
+
+    static renderHistoryPanel(history) {
+        const undoBtn = document.querySelector(SELECTORS.UNDO_BTN);
+        const redoBtn = document.querySelector(SELECTORS.REDO_BTN);
+        if (undoBtn) undoBtn.disabled = history.undo.length === 0;
+        if (redoBtn) redoBtn.disabled = history.redo.length === 0;
+
+        const historyList = document.querySelector(SELECTORS.HISTORY_LIST);
+        if (!historyList) return;
+
+        if (history.undo.length === 0 && history.redo.length === 0) {
+            historyList.innerHTML = '<p class="history-empty">No changes yet</p>';
+            return;
+        }
+
+        // Newest at the top: undone changes first, then applied ones
+        const redoItems = history.redo.map((entry, index) => Templates.historyItem(entry, 'redo', index));
+        const undoItems = history.undo
+            .map((entry, index) => Templates.historyItem(entry, 'undo', index))
+            .reverse();
+
+        historyList.innerHTML = [...redoItems, ...undoItems].join('');
+    }
+
+    static renderPreflightReport(report) {
+        const blockExport = document.querySelector(SELECTORS.PREFLIGHT_BLOCK_EXPORT);
+        if (blockExport) blockExport.checked = PreflightChecker.isExportBlockingEnabled();
+
+        const preflightList = document.querySelector(SELECTORS.PREFLIGHT_LIST);
+        if (!preflightList) return;
+
+        if (!report) {
+            preflightList.innerHTML = '<p class="preflight-empty">Preflight runs before every export</p>';
+            return;
+        }
+
+        // Critical issues first, then in page order
+        const issues = [...report.issues].sort((a, b) =>
+            (a.severity === b.severity ? 0 : a.severity === 'critical' ? -1 : 1) || a.pageNumber - b.pageNumber
+        );
+
+        preflightList.innerHTML = Templates.preflightSummary(report) + issues.map(Templates.preflightItem).join('');
+    }
+
+    static renderExportHistory(entries) {
+        const historyList = document.querySelector(SELECTORS.EXPORT_HISTORY_LIST);
+        if (!historyList) return;
+
+        historyList.innerHTML = entries.length > 0
+            ? entries.map(Templates.exportHistoryItem).join('')
+            : '<p class="history-empty">Not exported yet</p>';
+        feather.replace();
+    }
+
+    static showExportProgress() {
+        const panel = document.querySelector(SELECTORS.EXPORT_PROGRESS);
+        if (!panel) return;
+
+        LoadingManager.showProgress(SELECTORS.EXPORT_PROGRESS_BODY, 0, 'Starting export...');
+        panel.hidden = false;
+        feather.replace();
+    }
+
+    static updateExportProgress(progress) {
+        LoadingManager.updateProgress(SELECTORS.EXPORT_PROGRESS_BODY, progress.percent, progress.message);
+    }
+
+    static hideExportProgress() {
+        const panel = document.querySelector(SELECTORS.EXPORT_PROGRESS);
+        if (panel) panel.hidden = true;
     }
 
     static updateSaveButton(isDirty) {
@@ -324,15 +516,16 @@ class UIManager {
         const templates = StateManager.getState().templates;
         const uniqueTemplates = {};
 
+        // Keyed by folder - the same template name can be used in more than one category
         templates.forEach(template => {
-            if (!uniqueTemplates[template.template]) {
-                uniqueTemplates[template.template] = template.metadata;
+            if (!uniqueTemplates[template.folder]) {
+                uniqueTemplates[template.folder] = template;
             }
         });
 
         templateSelect.innerHTML = '<option value="">Choose a template...</option>' +
-            Object.entries(uniqueTemplates).map(([templateName, metadata]) =>
-                `<option value="${templateName}">${metadata.name || templateName}</option>`
+            Object.entries(uniqueTemplates).map(([folder, template]) =>
+                `<option value="${Validator.escapeHtml(folder)}">${Validator.escapeHtml(template.metadata.name || template.template)} (${Validator.escapeHtml(template.category)})</option>`
             ).join('');
     }
 
@@ -352,7 +545,7 @@ class UIManager {
             const pageWithHTML = { ...page, html: pageHTML };
             const pageIndex = currentProject.pages.findIndex(p => p.id === pageId);
 
-            pageCard.outerHTML = Templates.pageCard(pageWithHTML, pageIndex, template.name);
+            pageCard.outerHTML = Templates.pageCard(pageWithHTML, pageIndex, template.name, TemplateUpdater.isOutdated(page, currentProject));
 
             // Preview iframe is set directly in template HTML
 
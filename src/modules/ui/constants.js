@@ -44,17 +44,35 @@ export const TIMING = {
     DEBOUNCE_DELAY: 300,
     ANIMATION_DURATION: 300,
     STATUS_MESSAGE_TIMEOUT: 4000,
-    LOADING_DELAY: 100
+    LOADING_DELAY: 100,
+    HISTORY_MERGE_WINDOW: 1500
 };
 
+export const HISTORY = {
+    MAX_ENTRIES: 50,
+    // Snapshots hold whole projects (images included), so the stacks are capped by size too
+    MAX_SIZE: 100 * 1024 * 1024
+};
+
+// Portrait dimensions in mm; templates are designed at A4
+export const PAPER_SIZES = {
+    A4: { label: 'A4', width: 210, height: 297 },
+    Letter: { label: 'US Letter', width: 215.9, height: 279.4 },
+    A5: { label: 'A5', width: 148, height: 210 }
+};
+
+export const TEMPLATE_PAGE_SIZE = PAPER_SIZES.A4;
+
 export const EVENTS = {
     APP_READY: 'app:ready',
     APP_ERROR: 'app:error',
+    WORKSPACE_CHANGED: 'app:workspace-changed',
 
     PROJECT_CREATED: 'project:created',
     PROJECT_LOADED: 'project:loaded',
     PROJECT_SAVED: 'project:saved',
     PROJECT_DIRTY: 'project:dirty',
+    PROJECT_LOCK_CHANGED: 'project:lock-changed',
 
     PAGE_ADDED: 'page:added',
     PAGE_REMOVED: 'page:removed',
@@ -78,6 +96,10 @@ export const EVENTS = {
     STATE_DIRTY_CHANGED: 'state:dirty-changed',
     STATE_PROJECT_CHANGED: 'state:project-changed',
     STATE_TEMPLATES_CHANGED: 'state:templates-changed',
+    STATE_HISTORY_CHECKPOINT: 'state:history-checkpoint',
+
+    HISTORY_CHANGED: 'history:changed',
+    HISTORY_RESTORED: 'history:restored',
 
     // Template Upload Events
     UPLOAD_MODAL_OPEN: 'upload:modal-open',
@@ -102,6 +124,7 @@ export const EVENTS = {
 export const SELECTORS = {
     STATUS_MESSAGE: '#statusMessage',
     CONNECTION_STATUS: '#connectionStatus',
+    WORKSPACE_PATH: '#workspacePath',
     TEMPLATES_LOADING: '#templatesLoading',
     TEMPLATE_CATEGORIES: '#templateCategories',
     PROJECT_LIST: '#projectList',
@@ -117,6 +140,21 @@ export const SELECTORS = {
     ZOOM_PAGE_TITLE: '#zoomPageTitle',
     IMAGE_GALLERY: '#imageGallery',
     SAVE_PROJECT_BTN: '#saveProjectBtn',
+    UNDO_BTN: '#undoBtn',
+    REDO_BTN: '#redoBtn',
+    HISTORY_LIST: '#historyList',
+    PREFLIGHT_LIST: '#preflightList',
+    PREFLIGHT_BLOCK_EXPORT: '#preflightBlockExport',
+    EXPORT_HISTORY_LIST: '#exportHistoryList',
+    EXPORT_PROGRESS: '#exportProgress',
+    EXPORT_PROGRESS_BODY: '#exportProgressBody',
+    LOCK_BANNER: '#lockBanner',
+    TEMPLATE_UPDATE_BANNER: '#templateUpdateBanner',
+    TEMPLATE_UPDATE_LIST: '#templateUpdateList',
+    TEMPLATE_MANAGER_LIST: '#templateManagerList',
+    TEMPLATE_MANAGER_DETAIL: '#templateManagerDetail',
+    TEMPLATE_MANAGER_USAGE: '#templateManagerUsage',
+    TEMPLATE_PACKAGE_REVIEW: '#templatePackageReview',
     ADD_PAGE_BTN: '#addPageBtn'
 };
 
@@ -133,7 +171,37 @@ export const ACTIONS = {
     ADD_TEMPLATE_PAGE: 'add-template-page',
     ADD_FULL_TEMPLATE: 'add-full-template',
     OPEN_UPLOAD_MODAL: 'open-upload-modal',
-    START_UPLOAD: 'start-upload'
+    START_UPLOAD: 'start-upload',
+    UNDO: 'undo',
+    REDO: 'redo',
+    HISTORY_JUMP: 'history-jump',
+    CHANGE_WORKSPACE: 'change-workspace',
+    TAKE_OVER_LOCK: 'take-over-lock',
+    SHOW_PROJECT_VERSIONS: 'show-project-versions',
+    PREVIEW_PROJECT_VERSION: 'preview-project-version',
+    RESTORE_PROJECT_VERSION: 'restore-project-version',
+    FORK_PROJECT_VERSION: 'fork-project-version',
+    BACK_TO_PROJECTS: 'back-to-projects',
+    SAVE_IMAGE_METADATA: 'save-image-metadata',
+    RUN_PREFLIGHT: 'run-preflight',
+    PREFLIGHT_JUMP: 'preflight-jump',
+    COPY_PAGE_IMAGE: 'copy-page-image',
+    CANCEL_EXPORT: 'cancel-export',
+    REEXPORT: 'reexport',
+    OPEN_EXPORT: 'open-export',
+    REVEAL_EXPORT: 'reveal-export',
+    SHOW_TEMPLATE_UPDATES: 'show-template-updates',
+    UPGRADE_PAGE: 'upgrade-page',
+    UPGRADE_ALL_PAGES: 'upgrade-all-pages',
+    OPEN_TEMPLATE_MANAGER: 'open-template-manager',
+    SELECT_MANAGED_TEMPLATE: 'select-managed-template',
+    MOVE_TEMPLATE_PAGE: 'move-template-page',
+    SAVE_TEMPLATE_CHANGES: 'save-template-changes',
+    ARCHIVE_TEMPLATE: 'archive-template',
+    DELETE_TEMPLATE: 'delete-template',
+    EXPORT_TEMPLATE_PACKAGE: 'export-template-package',
+    IMPORT_TEMPLATE_PACKAGE: 'import-template-package',
+    INSTALL_TEMPLATE_PACKAGE: 'install-template-package'
 };
 
 export const MODAL_IDS = {
@@ -141,7 +209,11 @@ export const MODAL_IDS = {
     OPEN_PROJECT: 'openProjectModal',
     PREVIEW: 'previewModal',
     PAGE_ZOOM: 'pageZoomModal',
-    UPLOAD_TEMPLATES: 'uploadTemplatesModal'
+    UPLOAD_TEMPLATES: 'uploadTemplatesModal',
+    IMAGE_METADATA: 'imageMetadataModal',
+    TEMPLATE_UPDATES: 'templateUpdatesModal',
+    TEMPLATE_MANAGER: 'templateManagerModal',
+    TEMPLATE_PACKAGE: 'templatePackageModal'
 };
 
 export const FILE_EXTENSIONS = {
@@ -1,9 +1,17 @@
+import FontManager from '../data/FontManager.js';
+import Validator from '../core/Validator.js';
+import { PAPER_SIZES } from './constants.js';
+
 export const Templates = {
-    pageCard: (page, index, templateName) => `
+    pageCard: (page, index, templateName, isOutdated = false) => `
         <div class="page-item" data-page-id="${page.id}">
             <div class="page-header">
                 <div class="page-title">${index + 1}. ${templateName}</div>
                 <div class="page-actions">
+                    ${isOutdated ? `
+                    <button class="page-btn update-available" data-action="show-template-updates" data-page-id="${page.id}" title="Template updated - review changes">
+                        <i data-feather="alert-circle"></i>
+                    </button>` : ''}
                     <button class="page-btn" data-action="move-page-up" data-page-id="${page.id}" title="Move Up" ${index === 0 ? 'disabled' : ''}>
                         <i data-feather="arrow-up"></i>
                     </button>
@@ -13,6 +21,9 @@ export const Templates = {
                     <button class="page-btn" data-action="duplicate-page" data-page-id="${page.id}" title="Duplicate">
                         <i data-feather="copy"></i>
                     </button>
+                    <button class="page-btn" data-action="copy-page-image" data-page-id="${page.id}" title="Copy Page Image">
+                        <i data-feather="image"></i>
+                    </button>
                     <button class="page-btn delete" data-action="delete-page" data-page-id="${page.id}" title="Delete">
                         <i data-feather="trash"></i>
                     </button>
@@ -53,12 +64,22 @@ export const Templates = {
                     <span class="project-pages">${project.pages} pages</span>
                 </div>
                 <div class="project-date">${new Date(project.modified).toLocaleDateString()}</div>
+                ${project.lockedBy ? `
+                    <div class="project-lock" title="Opens read-only while locked">
+                        <i data-feather="lock"></i>
+                        Open by ${project.lockedBy.user} on ${project.lockedBy.machine}
+                    </div>
+                ` : ''}
             </div>
             <div class="project-actions">
                 <button class="btn btn-primary project-open-btn" data-action="open-project" data-filename="${project.filename}">
                     <i data-feather="folder"></i>
                     Open
                 </button>
+                <button class="btn btn-secondary project-history-btn" data-action="show-project-versions" data-filename="${project.filename}">
+                    <i data-feather="clock"></i>
+                    History
+                </button>
                 <button class="btn btn-danger project-delete-btn" data-action="delete-project" data-filename="${project.filename}" onclick="event.stopPropagation();">
                     <i data-feather="trash"></i>
                     Delete
@@ -116,7 +137,7 @@ export const Templates = {
                 <i data-feather="file-text" class="template-icon"></i>
                 <span class="template-name-compact">${templateGroup.name}</span>
                 <span class="page-count">${templateGroup.pages.length} pages</span>
-                <button class="add-template-btn-compact" data-action="add-full-template" data-template="${templateGroup.name}">
+                <button class="add-template-btn-compact" data-action="add-full-template" data-folder="${Validator.escapeHtml(templateGroup.folder)}">
                     <i data-feather="plus"></i>
                     Add All
                 </button>
@@ -172,13 +193,424 @@ export const Templates = {
         </div>
     `,
 
+    imageGroupTitle: (title, count) => `
+        <div class="image-group-title">${title} <span class="image-group-count">${count}</span></div>
+    `,
+
     imageThumb: (image) => `
-        <div class="image-thumb" title="${image.description}" data-image-url="${image.url}">
-            <img src="${image.url}" alt="${image.description}" loading="lazy"
+        <div class="image-thumb ${image.source === 'remote' && !image.cachedUrl ? 'not-cached' : ''}"
+             title="${(image.description || image.filename || '').replace(/"/g, '&quot;')}" data-image-url="${image.url}">
+            <img src="${image.thumbnailUrl || image.cachedUrl || image.url}" alt="${(image.description || '').replace(/"/g, '&quot;')}" loading="lazy"
                  onerror="this.parentElement.style.display='none'">
         </div>
     `,
 
+    versionBrowser: (filename, title, versions) => `
+        <div class="version-browser">
+            <div class="version-browser-header">
+                <button class="btn btn-secondary" data-action="back-to-projects">
+                    <i data-feather="arrow-left"></i>
+                    All Projects
+                </button>
+                <h3>Previous versions of "${title}"</h3>
+            </div>
+            <div class="version-browser-body">
+                <div class="version-list">
+                    ${versions.length > 0
+                        ? versions.map(version => Templates.versionItem(filename, version)).join('')
+                        : '<div class="version-empty">No previous versions yet. A snapshot is kept each time the project is saved.</div>'
+                    }
+                </div>
+                <div class="version-preview" id="versionPreview">
+                    <div class="project-no-preview">Select a version to preview</div>
+                </div>
+            </div>
+        </div>
+    `,
+
+    versionItem: (filename, version) => `
+        <div class="version-item" data-action="preview-project-version" data-filename="${filename}" data-version-id="${version.id}">
+            <div class="version-info">
+                <div class="version-date">${new Date(version.timestamp).toLocaleString()}</div>
+                <div class="version-meta">
+                    ${version.pages} pages • ${version.autoSave ? 'Auto-saved' : 'Saved'}${version.title ? ` • ${version.title}` : ''}
+                </div>
+            </div>
+            <div class="version-actions">
+                <button class="btn btn-secondary" data-action="restore-project-version" data-filename="${filename}"
+                        data-version-id="${version.id}" data-version-date="${new Date(version.timestamp).toLocaleString()}">Restore</button>
+                <button class="btn btn-secondary" data-action="fork-project-version" data-filename="${filename}"
+                        data-version-id="${version.id}" data-version-date="${new Date(version.timestamp).toLocaleDateString()}">Fork</button>
+            </div>
+        </div>
+    `,
+
+    lockBanner: (holder) => `
+        <i data-feather="lock"></i>
+        <span class="lock-banner-text">
+            Read-only - open by <strong>${holder ? holder.user : 'another user'}</strong>${holder ? ` on ${holder.machine}` : ''}
+            ${holder && holder.acquired ? `since ${new Date(holder.acquired).toLocaleTimeString()}` : ''}
+        </span>
+        <button class="btn btn-secondary" data-action="take-over-lock">Take over</button>
+    `,
+
+    templateUpdateBanner: (count, missingCount = 0) => `
+        <i data-feather="refresh-cw"></i>
+        <span class="template-update-banner-text">
+            ${count > 0 ? `${count} page${count === 1 ? ' uses' : 's use'} an older version of ${count === 1 ? 'its' : 'their'} template` : ''}
+            ${count > 0 && missingCount > 0 ? '·' : ''}
+            ${missingCount > 0 ? `${missingCount} page${missingCount === 1 ? '\'s template was' : 's\' templates were'} removed from the library` : ''}
+        </span>
+        ${count > 0 ? '<button class="btn btn-secondary" data-action="show-template-updates">Review</button>' : ''}
+    `,
+
+    templateUpdateItem: (update, isFocused = false) => {
+        const names = (fields) => fields.map(name => `<code>${Validator.escapeHtml(name)}</code>`).join(', ');
+        const changes = [
+            update.addedFields.length > 0 ? `New fields: ${names(update.addedFields)}` : '',
+            update.removedFields.length > 0 ? `Removed fields: ${names(update.removedFields)}` : '',
+            update.retypedFields.length > 0 ? `Fields that changed type: ${names(update.retypedFields)}` : '',
+            update.markupChanged ? 'Layout changed' : '',
+            update.stylesChanged ? 'Styling changed' : ''
+        ].filter(Boolean);
+        const warnings = [
+            update.droppedContent.length > 0 ? `Content in ${names(update.droppedContent)} will be dropped` : '',
+            update.lostAdjustments > 0 ? `${update.lostAdjustments} image or section adjustment${update.lostAdjustments === 1 ? '' : 's'} no longer ${update.lostAdjustments === 1 ? 'has' : 'have'} an element to apply to` : '',
+            update.unmappedEdits ? 'This page has edits from before field data was kept - they will be lost' : ''
+        ].filter(Boolean);
+
+        return `
+            <div class="template-update-item ${update.flagged ? 'flagged' : ''} ${isFocused ? 'focused' : ''}" data-page-id="${update.pageId}">
+                <div class="template-update-header">
+                    <span class="template-update-title">p${update.pageNumber} · ${Validator.escapeHtml(update.templateName)}</span>
+                    <button class="btn btn-secondary" data-action="upgrade-page" data-page-id="${update.pageId}">Update Page</button>
+                </div>
+                <ul class="template-update-changes">
+                    ${(changes.length > 0 ? changes : ['Minor changes']).map(change => `<li>${change}</li>`).join('')}
+                </ul>
+                ${warnings.map(warning => `<div class="template-update-warning"><i data-feather="alert-triangle"></i> ${warning}</div>`).join('')}
+            </div>
+        `;
+    },
+
+    templateManagerItem: (entry, isSelected) => `
+        <div class="template-manager-item ${isSelected ? 'selected' : ''}" data-action="select-managed-template"
+             data-folder="${Validator.escapeHtml(entry.folder)}">
+            <span class="template-manager-name">${Validator.escapeHtml(entry.name)}</span>
+            <span class="template-manager-meta">${Validator.escapeHtml(entry.category)} · ${entry.pages.length} page${entry.pages.length === 1 ? '' : 's'}</span>
+        </div>
+    `,
+
+    // Page order lives in the list itself - Save reads the pageOrder inputs back in order
+    templateManagerDetail: (entry, categories) => `
+        <form class="template-manager-form" id="templateManagerForm" data-folder="${Validator.escapeHtml(entry.folder)}">
+            <div class="form-field">
+                <label for="managedTemplateName">Name</label>
+                <input type="text" id="managedTemplateName" name="name" maxlength="100" value="${Validator.escapeHtml(entry.name)}">
+            </div>
+            <div class="form-field">
+                <label for="managedTemplateCategory">Category</label>
+                <input type="text" id="managedTemplateCategory" name="category" list="managedTemplateCategories"
+                       maxlength="100" value="${Validator.escapeHtml(entry.category)}">
+                <datalist id="managedTemplateCategories">
+                    ${categories.map(category => `<option value="${Validator.escapeHtml(category)}"></option>`).join('')}
+                </datalist>
+            </div>
+            <div class="form-field">
+                <label for="managedTemplateDescription">Description</label>
+                <textarea id="managedTemplateDescription" name="description" rows="3" maxlength="500">${Validator.escapeHtml(entry.metadata.description || '')}</textarea>
+            </div>
+            <div class="form-field">
+                <label for="managedTemplateVersion">Version</label>
+                <input type="text" id="managedTemplateVersion" name="version" value="${Validator.escapeHtml(entry.metadata.version || '1.0')}">
+            </div>
+
+            <div class="form-field">
+                <label>Pages</label>
+                <div class="template-manager-pages">
+                    ${entry.pages.map((page, index) => `
+                        <div class="template-manager-page">
+                            <input type="hidden" name="pageOrder" value="${Validator.escapeHtml(page.filename)}">
+                            <span class="template-manager-page-number">${index + 1}</span>
+                            <span class="template-manager-page-name">${Validator.escapeHtml(page.name)}</span>
+                            <button type="button" class="page-btn" data-action="move-template-page" data-direction="up" title="Move Up">
+                                <i data-feather="arrow-up"></i>
+                            </button>
+                            <button type="button" class="page-btn" data-action="move-template-page" data-direction="down" title="Move Down">
+                                <i data-feather="arrow-down"></i>
+                            </button>
+                            <label class="page-btn" title="Replace with another HTML file">
+                                <i data-feather="upload"></i>
+                                <input type="file" name="replaceTemplatePage" accept=".html,.htm"
+                                       data-filename="${Validator.escapeHtml(page.filename)}" hidden>
+                            </label>
+                        </div>
+                    `).join('')}
+                </div>
+            </div>
+
+            <div class="template-manager-usage" id="templateManagerUsage">Checking which projects use this template...</div>
+
+            <div class="form-actions">
+                <button type="button" class="btn btn-danger" data-action="delete-template">Delete</button>
+                <button type="button" class="btn btn-secondary" data-action="archive-template">Archive</button>
+                <button type="button" class="btn btn-secondary" data-action="export-template-package">Export Package</button>
+                <button type="button" class="btn btn-primary" data-action="save-template-changes">Save Changes</button>
+            </div>
+        </form>
+    `,
+
+    templateUsage: (usage) => usage.length === 0
+        ? 'Not used by any project'
+        : `Used by ${usage.length} project${usage.length === 1 ? '' : 's'}: ${usage
+            .map(project => `${Validator.escapeHtml(project.title)} (${project.pageCount} page${project.pageCount === 1 ? '' : 's'})`)
+            .join(', ')}`,
+
+    // A package that clashes with a template in the library installs as a new version of it
+    // (only when the package is newer) or as a separate copy under another name
+    templatePackageReview: (pkg, copyName) => {
+        const blocked = pkg.pages.filter(page => !page.validation.valid);
+        const isNewer = pkg.conflict?.isNewer;
+        const status = (validation) => !validation.valid
+            ? Validator.escapeHtml(validation.critical[0])
+            : validation.warnings.length > 0
+                ? `${validation.warnings.length} warning${validation.warnings.length === 1 ? '' : 's'}`
+                : 'Ready';
+
+        return `
+            <form class="template-package-form" id="templatePackageForm" data-package-path="${Validator.escapeHtml(pkg.packagePath)}">
+                <div class="template-package-summary">
+                    <strong>${Validator.escapeHtml(pkg.name)}</strong> v${Validator.escapeHtml(pkg.version)} · ${Validator.escapeHtml(pkg.category)}
+                    <span class="template-package-meta">
+                        ${pkg.pages.length} page${pkg.pages.length === 1 ? '' : 's'} · ${pkg.images} image${pkg.images === 1 ? '' : 's'} · ${pkg.fonts} font${pkg.fonts === 1 ? '' : 's'}
+                        ${pkg.exportedBy ? ` · exported by ${Validator.escapeHtml(pkg.exportedBy)}` : ''}
+                        ${pkg.exportedAt ? ` on ${new Date(pkg.exportedAt).toLocaleDateString()}` : ''}
+                    </span>
+                    ${pkg.description ? `<p>${Validator.escapeHtml(pkg.description)}</p>` : ''}
+                </div>
+
+                <div class="template-package-pages">
+                    ${pkg.pages.map(page => `
+                        <div class="template-package-page ${page.validation.summary.level}">
+                            <span class="template-package-page-name">${Validator.escapeHtml(page.fileName)}</span>
+                            <span class="template-package-page-status">${status(page.validation)}</span>
+                        </div>
+                    `).join('')}
+                </div>
+
+                ${pkg.conflict ? `
+                    <div class="template-package-conflict">
+                        <p>"${Validator.escapeHtml(pkg.name)}" is already in ${Validator.escapeHtml(pkg.category)} (v${Validator.escapeHtml(pkg.conflict.version)}).</p>
+                        <label>
+                            <input type="radio" name="installMode" value="version" ${isNewer ? 'checked' : 'disabled'}>
+                            ${isNewer
+                                ? `Publish as version ${Validator.escapeHtml(pkg.version)} of the existing template`
+                                : `Publish as a new version (needs a version higher than ${Validator.escapeHtml(pkg.conflict.version)})`}
+                        </label>
+                        <label>
+                            <input type="radio" name="installMode" value="copy" ${isNewer ? '' : 'checked'}>
+                            Install as a separate template named
+                            <input type="text" name="copyName" maxlength="100" value="${Validator.escapeHtml(copyName)}">
+                        </label>
+                    </div>
+                ` : ''}
+
+                ${blocked.length > 0 ? `
+                    <p class="template-package-blocked">
+                        ${blocked.length} page${blocked.length === 1 ? '' : 's'} failed validation, so this package can't be installed
+                    </p>
+                ` : ''}
+
+                <div class="form-actions">
+                    <button type="button" class="btn btn-secondary" data-action="close-modal">Cancel</button>
+                    <button type="button" class="btn btn-primary" data-action="install-template-package" ${blocked.length > 0 ? 'disabled' : ''}>Install</button>
+                </div>
+            </form>
+        `;
+    },
+
+    versionDiff: (diff, newVersion) => {
+        if (!diff) return '';
+
+        const labels = { added: 'New page', changed: 'Changed', unchanged: 'Unchanged', removed: 'Removed' };
+        const details = (page) => [
+            page.addedFields?.length > 0 ? `new fields: ${page.addedFields.join(', ')}` : '',
+            page.removedFields?.length > 0 ? `removed fields: ${page.removedFields.join(', ')}` : '',
+            page.retypedFields?.length > 0 ? `fields that changed type: ${page.retypedFields.join(', ')}` : '',
+            page.markupChanged ? 'layout' : '',
+            page.stylesChanged ? 'styling' : ''
+        ].filter(Boolean).join(' · ');
+
+        return `
+            <div class="section version-diff">
+                <h4>Changes from v${Validator.escapeHtml(diff.currentVersion)} to v${Validator.escapeHtml(newVersion)}</h4>
+                ${diff.pages.map(page => `
+                    <div class="version-diff-item ${page.status}">
+                        <span class="version-diff-status">${labels[page.status]}</span>
+                        <span class="version-diff-name">${Validator.escapeHtml(page.name)}</span>
+                        ${page.status === 'changed' ? `<span class="version-diff-details">${Validator.escapeHtml(details(page) || 'minor changes')}</span>` : ''}
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    },
+
+    historyItem: (entry, stack, index) => `
+        <div class="history-item ${stack === 'redo' ? 'undone' : ''}" data-action="history-jump"
+             data-stack="${stack}" data-index="${index}"
+             title="${stack === 'undo' ? 'Undo back to before this change' : 'Redo up to this change'}">
+            <span class="history-label">${Validator.escapeHtml(entry.label)}</span>
+            <span class="history-time">${new Date(entry.timestamp).toLocaleTimeString()}</span>
+        </div>
+    `,
+
+    exportHistoryItem: (entry) => `
+        <div class="export-history-item ${entry.exists ? '' : 'missing'}"
+             title="${Validator.escapeHtml(entry.exists ? entry.path : `${entry.path} (no longer there)`)}">
+            <div class="export-history-info">
+                <span class="export-history-name">${Validator.escapeHtml(entry.filename)}</span>
+                <span class="export-history-meta">
+                    ${entry.format.toUpperCase()} · ${new Date(entry.exportedAt).toLocaleString()} · ${Validator.escapeHtml(entry.user)}
+                </span>
+            </div>
+            <div class="export-history-actions">
+                <button class="page-btn" data-action="reexport" data-entry-id="${entry.id}"
+                        title="Export again with the same options" ${entry.exportOptions ? '' : 'disabled'}>
+                    <i data-feather="refresh-cw"></i>
+                </button>
+                <button class="page-btn" data-action="open-export" data-entry-id="${entry.id}"
+                        title="Open" ${entry.exists ? '' : 'disabled'}>
+                    <i data-feather="external-link"></i>
+                </button>
+                <button class="page-btn" data-action="reveal-export" data-entry-id="${entry.id}"
+                        title="Show in Finder" ${entry.exists ? '' : 'disabled'}>
+                    <i data-feather="folder"></i>
+                </button>
+            </div>
+        </div>
+    `,
+
+    // Sections for the non-selected page/paper modes are hidden by CSS from the form's data attributes
+    exportOptions: (options, pageChoices, watermarkInfo) => `
+        <div class="export-options" id="exportOptions" data-pages="${options.pages}" data-paper-size="${options.paperSize}"
+             data-profile="${options.profile}" data-format="${options.format}" data-image-size="${options.imageSize}">
+            <div class="export-option-group">
+                <label class="property-label" for="exportFormat">Format</label>
+                <select class="property-input" id="exportFormat" name="format">
+                    <option value="pdf" ${options.format === 'pdf' ? 'selected' : ''}>PDF document</option>
+                    <option value="png" ${options.format === 'png' ? 'selected' : ''}>PNG image per page</option>
+                    <option value="jpeg" ${options.format === 'jpeg' ? 'selected' : ''}>JPEG image per page</option>
+                    <option value="html" ${options.format === 'html' ? 'selected' : ''}>Web page (offline HTML)</option>
+                </select>
+                <select class="property-input export-web-layout" name="webLayout" aria-label="Web page layout">
+                    <option value="single" ${options.webLayout === 'single' ? 'selected' : ''}>Single file, images inlined</option>
+                    <option value="folder" ${options.webLayout === 'folder' ? 'selected' : ''}>Folder, one file per page</option>
+                </select>
+                <div class="export-image-size">
+                    <select class="property-input" name="imageSize" aria-label="Image size">
+                        <option value="dpi" ${options.imageSize === 'dpi' ? 'selected' : ''}>DPI</option>
+                        <option value="width" ${options.imageSize === 'width' ? 'selected' : ''}>Width (px)</option>
+                    </select>
+                    <input type="number" class="property-input export-dpi" name="dpi" value="${options.dpi}" min="30" max="480" step="1" aria-label="DPI">
+                    <input type="number" class="property-input export-image-width" name="imageWidth" value="${options.imageWidth}" min="200" step="10" aria-label="Width in pixels">
+                </div>
+            </div>
+
+            <div class="export-option-group">
+                <label class="property-label" for="exportPages">Pages</label>
+                <select class="property-input" id="exportPages" name="pages">
+                    <option value="all" ${options.pages === 'all' ? 'selected' : ''}>All pages</option>
+                    <option value="range" ${options.pages === 'range' ? 'selected' : ''}>Page range</option>
+                    <option value="pick" ${options.pages === 'pick' ? 'selected' : ''}>Choose pages</option>
+                </select>
+                <input type="text" class="property-input export-page-range" name="pageRange"
+                       value="${options.pageRange}" placeholder="e.g. 1-3, 5, 8-" autocomplete="off">
+                <div class="export-page-picks">
+                    ${pageChoices.map(choice => `
+                        <label class="export-page-pick">
+                            <input type="checkbox" name="pageIds" value="${choice.id}" ${options.pageIds.includes(choice.id) ? 'checked' : ''}>
+                            ${choice.number}. ${choice.name}
+                        </label>
+                    `).join('')}
+                </div>
+            </div>
+
+            <div class="export-option-group">
+                <label class="property-label" for="exportPaperSize">Paper size</label>
+                <select class="property-input" id="exportPaperSize" name="paperSize">
+                    ${Object.entries(PAPER_SIZES).map(([key, size]) => `
+                        <option value="${key}" ${options.paperSize === key ? 'selected' : ''}>${size.label} (${size.width} × ${size.height} mm)</option>
+                    `).join('')}
+                    <option value="custom" ${options.paperSize === 'custom' ? 'selected' : ''}>Custom…</option>
+                </select>
+                <div class="export-custom-size">
+                    <input type="number" class="property-input" name="customWidth" value="${options.customWidth}" min="50" max="1000" step="0.1" aria-label="Width in mm">
+                    ×
+                    <input type="number" class="property-input" name="customHeight" value="${options.customHeight}" min="50" max="1000" step="0.1" aria-label="Height in mm">
+                    mm
+                </div>
+            </div>
+
+            <div class="export-option-group">
+                <label class="property-label" for="exportOrientation">Orientation</label>
+                <select class="property-input" id="exportOrientation" name="orientation">
+                    <option value="portrait" ${options.orientation === 'portrait' ? 'selected' : ''}>Portrait</option>
+                    <option value="landscape" ${options.orientation === 'landscape' ? 'selected' : ''}>Landscape</option>
+                </select>
+            </div>
+
+            <div class="export-option-group export-pdf-options">
+                <label class="property-label" for="exportProfile">Output</label>
+                <select class="property-input" id="exportProfile" name="profile">
+                    <option value="screen" ${options.profile === 'screen' ? 'selected' : ''}>Screen</option>
+                    <option value="print" ${options.profile === 'print' ? 'selected' : ''}>Print production</option>
+                </select>
+                <div class="export-bleed">
+                    Bleed
+                    <input type="number" class="property-input" name="bleed" value="${options.bleed}" min="0" max="10" step="0.5" aria-label="Bleed in mm">
+                    mm
+                </div>
+                <label class="export-page-pick">
+                    <input type="checkbox" name="contentsPage" ${options.contentsPage ? 'checked' : ''}>
+                    Add contents page
+                </label>
+                <label class="export-page-pick" title="Saves the HTML before and after print optimisation next to the PDF">
+                    <input type="checkbox" name="diagnostics" ${options.diagnostics ? 'checked' : ''}>
+                    Keep diagnostic files
+                </label>
+            </div>
+
+            ${watermarkInfo.watermark && watermarkInfo.canOverride ? `
+                <div class="export-option-group">
+                    <label class="property-label">Watermark</label>
+                    <label class="export-page-pick" title="Admin override - exports this non-final project without its watermark">
+                        <input type="checkbox" name="skipWatermark">
+                        Export without watermark
+                    </label>
+                </div>
+            ` : ''}
+
+            <p class="export-options-summary"></p>
+        </div>
+    `,
+
+    preflightSummary: (report) => `
+        <div class="preflight-summary ${report.critical > 0 ? 'has-critical' : report.warnings > 0 ? 'has-warnings' : 'passed'}">
+            ${report.issues.length === 0
+                ? 'All pages passed'
+                : `${report.critical} critical, ${report.warnings} warning${report.warnings === 1 ? '' : 's'}`}
+            <span class="preflight-time">${new Date(report.checkedAt).toLocaleTimeString()}</span>
+        </div>
+    `,
+
+    preflightItem: (issue) => `
+        <div class="preflight-item ${issue.severity}" data-action="preflight-jump"
+             data-page-id="${issue.pageId}" data-field="${issue.field || ''}" title="Open page ${issue.pageNumber}">
+            <span class="preflight-page">p${issue.pageNumber}</span>
+            <span class="preflight-message">${issue.message}</span>
+        </div>
+    `,
+
     pagePreviewHTML: (content, styles = '') => `
         <!DOCTYPE html>
         <html lang="en">
@@ -186,9 +618,7 @@ export const Templates = {
             <meta charset="UTF-8">
             <meta name="viewport" content="width=device-width, initial-scale=1.0">
             <title>Page Preview</title>
-            <link rel="preconnect" href="https://fonts.googleapis.com">
-            <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
-            <link href="https://fonts.googleapis.com/css2?family=Lora:wght@400;500;600;700&family=Source+Sans+3:wght@300;400;500;600;700&display=swap" rel="stylesheet">
+            ${FontManager.getFontHead()}
             <style>
                 body {
                     margin: 0;
@@ -2,11 +2,14 @@ import StateManager from '../core/StateManager.js';
 import EventBus from '../core/EventBus.js';
 import ErrorHandler from '../core/ErrorHandler.js';
 import UploadValidator from './UploadValidator.js';
+import TemplateManager from '../data/TemplateManager.js';
+import TemplateUpdater from '../data/TemplateUpdater.js';
 
 class TemplateUploader {
     static uploadSession = {
         files: [],
         metadata: null,
+        versionOf: null,       // { folder, notes } when publishing a new version of an existing template
         pageOrder: [],
         validationResults: {},
         status: 'idle'
@@ -83,7 +86,7 @@ class TemplateUploader {
             .substring(0, 50);
     }
 
-    static collectMetadata(templateName, category, description, version = '1.0') {
+    static collectMetadata(templateName, category, description, version = '1.0', versionOf = null) {
         const metadata = {
             name: templateName.trim(),
             category: category.trim(),
@@ -95,6 +98,7 @@ class TemplateUploader {
         };
 
         this.uploadSession.metadata = metadata;
+        this.uploadSession.versionOf = versionOf;
 
         EventBus.emit('upload:metadata-collected', metadata);
         return metadata;
@@ -169,7 +173,8 @@ class TemplateUploader {
             const saveData = {
                 templateName: structure.templateName,
                 metadata: structure.metadata,
-                pages: structure.pages
+                pages: structure.pages,
+                versionOf: this.uploadSession.versionOf
             };
 
             const result = await window.electronAPI.uploadTemplateBatch(saveData);
@@ -178,11 +183,18 @@ class TemplateUploader {
                 throw new Error(result.error || 'Failed to save template');
             }
 
+            // Reordered pages get new IDs - the open project follows them straight away
+            if (saveData.versionOf) {
+                await TemplateManager.reloadAfterManagement(result.idMap);
+            }
+
             this.uploadSession.status = 'completed';
             EventBus.emit('upload:save-completed', {
                 templateName: structure.templateName,
                 pageCount: structure.pages.length,
-                path: result.path
+                path: result.path,
+                isNewVersion: !!saveData.versionOf,
+                version: structure.metadata.version
             });
 
             this.resetUploadSession();
@@ -196,9 +208,52 @@ class TemplateUploader {
         }
     }
 
-    static async validateTemplateName(templateName) {
+    // Next minor version: 1.2 -> 1.3, 1.2.9 -> 1.2.10
+    static bumpVersion(version) {
+        const parts = String(version || '1.0').split('.').map(part => parseInt(part, 10) || 0);
+        parts[parts.length - 1] += 1;
+        return parts.join('.');
+    }
+
+    // Per-page differences between the upload and the version it replaces, matched by page name
+    static getVersionDiff() {
+        const { versionOf, pageOrder } = this.uploadSession;
+        const entry = versionOf && TemplateManager.getLibraryEntry(versionOf.folder);
+        if (!entry) return null;
+
+        const current = new Map(entry.pages.map(page => [this.getPageSlug(page.filename), page]));
+
+        const pages = pageOrder.map(page => {
+            const pageSlug = this.getPageSlug(page.pageName);
+            const existing = current.get(pageSlug);
+            current.delete(pageSlug);
+
+            if (!existing) {
+                return { name: page.pageName, status: 'added' };
+            }
+            if (TemplateUpdater.normalize(existing.content) === TemplateUpdater.normalize(page.htmlContent)) {
+                return { name: page.pageName, status: 'unchanged' };
+            }
+            return { name: page.pageName, status: 'changed', ...TemplateUpdater.compareTemplates(existing.content, page.htmlContent) };
+        });
+
+        const removed = Array.from(current.values()).map(page => ({ name: page.name, status: 'removed' }));
+
+        return { currentVersion: entry.metadata.version || '1.0', pages: [...pages, ...removed] };
+    }
+
+    // Same matching as the main process uses when the version is published
+    static getPageSlug(filename) {
+        return filename
+            .replace(/\.html$/i, '')
+            .replace(/^page-\d+-/i, '')
+            .toLowerCase()
+            .replace(/[\s_]+/g, '-');
+    }
+
+    static async validateTemplateName(templateName, category) {
         try {
-            const result = await window.electronAPI.validateTemplateName(templateName);
+            const result = await window.electronAPI.validateTemplateName(templateName, category);
             return result;
 
         } catch (error) {
@@ -226,6 +281,7 @@ class TemplateUploader {
         this.uploadSession = {
             files: [],
             metadata: null,
+            versionOf: null,
             pageOrder: [],
             validationResults: {},
             status: 'idle'
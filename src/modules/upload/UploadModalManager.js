@@ -3,6 +3,9 @@ import ErrorHandler from '../core/ErrorHandler.js';
 import TemplateUploader from './TemplateUploader.js';
 import PageOrderManager from './PageOrderManager.js';
 import UploadPreview from './UploadPreview.js';
+import TemplateManager from '../data/TemplateManager.js';
+import Validator from '../core/Validator.js';
+import { Templates } from '../ui/templates.js';
 
 class UploadModalManager {
     static isInitialized = false;
@@ -177,6 +180,7 @@ class UploadModalManager {
     static renderMetadataStep(files) {
         const content = document.getElementById('uploadModalContent');
         const summary = UploadPreview.getPreviewSummary(files);
+        const library = TemplateManager.getLibrary();
 
         // Remove wide modal class for metadata step
         const modal = document.getElementById('uploadTemplatesModal');
@@ -190,6 +194,26 @@ class UploadModalManager {
             <div class="upload-step metadata-step">
                 <div class="step-content">
                     <div class="metadata-form">
+                        <div class="form-field">
+                            <label for="uploadMode">Upload As</label>
+                            <select id="uploadMode">
+                                <option value="new">A new template</option>
+                                <option value="version" ${library.length === 0 ? 'disabled' : ''}>A new version of an existing template</option>
+                            </select>
+                        </div>
+
+                        <div class="form-field version-of-field" style="display: none;">
+                            <label for="versionOfTemplate">Template *</label>
+                            <select id="versionOfTemplate">
+                                <option value="">Select template...</option>
+                                ${library.map(entry => `
+                                    <option value="${Validator.escapeHtml(entry.folder)}">
+                                        ${Validator.escapeHtml(entry.category)} / ${Validator.escapeHtml(entry.name)} (v${Validator.escapeHtml(entry.metadata.version || '1.0')})
+                                    </option>
+                                `).join('')}
+                            </select>
+                        </div>
+
                         <div class="form-field">
                             <label for="templateName">Template Name *</label>
                             <input type="text" id="templateName"
@@ -231,6 +255,15 @@ class UploadModalManager {
                                 <span class="field-tip">Use semantic versioning (e.g., 1.0, 1.2, 2.0)</span>
                             </div>
                         </div>
+
+                        <div class="form-field version-of-field" style="display: none;">
+                            <label for="versionNotes">What Changed</label>
+                            <textarea id="versionNotes" rows="3" maxlength="500"
+                                      placeholder="e.g., Larger cover photo, new testimonials page"></textarea>
+                            <div class="field-help">
+                                <span class="field-tip">Saved in the template's changelog</span>
+                            </div>
+                        </div>
                     </div>
 
                     <div class="upload-summary">
@@ -277,26 +310,70 @@ class UploadModalManager {
         const backBtn = document.getElementById('backToUpload');
         const nextBtn = document.getElementById('proceedToPreview');
 
+        document.getElementById('uploadMode').addEventListener('change', this.handleUploadModeChange.bind(this));
+        document.getElementById('versionOfTemplate').addEventListener('change', this.handleVersionOfChange.bind(this));
         templateName.addEventListener('blur', this.validateTemplateName.bind(this));
         templateCategory.addEventListener('change', this.handleCategoryChange.bind(this));
+        customCategory.addEventListener('blur', this.handleCategoryChange.bind(this));
         templateDescription.addEventListener('input', this.updateCharacterCount.bind(this));
         backBtn.addEventListener('click', () => this.renderUploadStep());
         nextBtn.addEventListener('click', this.proceedToPreview.bind(this));
     }
 
+    static isVersionUpload() {
+        return document.getElementById('uploadMode')?.value === 'version';
+    }
+
+    // A new version keeps the template's name and category - they are its folder
+    static handleUploadModeChange() {
+        const isVersion = this.isVersionUpload();
+
+        document.querySelectorAll('.version-of-field').forEach(field => {
+            field.style.display = isVersion ? 'block' : 'none';
+        });
+        document.getElementById('templateName').disabled = isVersion;
+        document.getElementById('templateCategory').disabled = isVersion;
+        document.getElementById('templateNameValidation').innerHTML = '';
+
+        if (isVersion) {
+            this.handleVersionOfChange();
+        }
+    }
+
+    static handleVersionOfChange() {
+        const entry = TemplateManager.getLibraryEntry(document.getElementById('versionOfTemplate').value);
+        if (!entry) return;
+
+        const categorySelect = document.getElementById('templateCategory');
+        if (!Array.from(categorySelect.options).some(option => option.value === entry.category)) {
+            categorySelect.insertAdjacentHTML('afterbegin', `<option value="${Validator.escapeHtml(entry.category)}">${Validator.escapeHtml(entry.category)}</option>`);
+        }
+
+        document.getElementById('templateName').value = entry.name;
+        categorySelect.value = entry.category;
+        document.getElementById('templateDescription').value = entry.metadata.description || '';
+        document.getElementById('templateVersion').value = TemplateUploader.bumpVersion(entry.metadata.version);
+        this.updateCharacterCount();
+    }
+
     static async validateTemplateName() {
         const input = document.getElementById('templateName');
         const validation = document.getElementById('templateNameValidation');
         const name = input.value.trim();
 
+        if (this.isVersionUpload()) {
+            return true;
+        }
+
         if (!name) {
             validation.innerHTML = '<div class="error">Template name is required</div>';
             return false;
         }
 
-        const result = await TemplateUploader.validateTemplateName(name);
+        const result = await TemplateUploader.validateTemplateName(name, this.getSelectedCategory());
         if (!result.valid) {
-            validation.innerHTML = `<div class="error">${result.message}</div>`;
+            const hint = result.exists ? ' - to update it, upload as a new version of an existing template' : '';
+            validation.innerHTML = `<div class="error">${result.message || result.error}${hint}</div>`;
             return false;
         }
 
@@ -304,6 +381,11 @@ class UploadModalManager {
         return true;
     }
 
+    static getSelectedCategory() {
+        const select = document.getElementById('templateCategory');
+        return select.value === '__custom__' ? document.getElementById('customCategory').value.trim() : select.value;
+    }
+
     static handleCategoryChange() {
         const select = document.getElementById('templateCategory');
         const customInput = document.getElementById('customCategory');
@@ -315,6 +397,11 @@ class UploadModalManager {
             customInput.style.display = 'none';
             customInput.required = false;
         }
+
+        // The same name can be free in one category and taken in another
+        if (document.getElementById('templateName').value.trim()) {
+            this.validateTemplateName();
+        }
     }
 
     static updateCharacterCount() {
@@ -339,13 +426,16 @@ class UploadModalManager {
 
     static async proceedToPreview() {
         const templateName = document.getElementById('templateName').value.trim();
-        const categorySelect = document.getElementById('templateCategory');
-        const customCategory = document.getElementById('customCategory').value.trim();
         const description = document.getElementById('templateDescription').value.trim();
         const version = document.getElementById('templateVersion').value.trim();
 
-        const category = categorySelect.value === '__custom__' ? customCategory : categorySelect.value;
+        const category = this.getSelectedCategory();
+        const versionOfFolder = document.getElementById('versionOfTemplate').value;
 
+        if (this.isVersionUpload() && !versionOfFolder) {
+            ErrorHandler.showUserError('Choose the template this is a new version of', 'error');
+            return;
+        }
 
         if (!templateName || !category) {
             ErrorHandler.showUserError('Please fill in all required fields', 'error');
@@ -355,7 +445,10 @@ class UploadModalManager {
         const isValidName = await this.validateTemplateName();
         if (!isValidName) return;
 
-        TemplateUploader.collectMetadata(templateName, category, description, version);
+        const versionOf = this.isVersionUpload()
+            ? { folder: versionOfFolder, notes: document.getElementById('versionNotes').value.trim() }
+            : null;
+        TemplateUploader.collectMetadata(templateName, category, description, version, versionOf);
         this.currentStep = 'preview';
         this.renderPreviewStep();
     }
@@ -389,6 +482,7 @@ class UploadModalManager {
             <h2>Review & Upload</h2>
 
             <div class="upload-step preview-step">
+                ${session.versionOf ? Templates.versionDiff(TemplateUploader.getVersionDiff(), session.metadata.version) : ''}
                 <div class="step-sections">
                     <div class="section page-ordering">
                         <h4>Page Order</h4>
@@ -408,7 +502,7 @@ class UploadModalManager {
                     </button>
                     <button class="btn btn-success" id="uploadTemplates" data-action="start-upload">
                         <i data-feather="upload-cloud"></i>
-                        Upload Template
+                        ${session.versionOf ? `Publish Version ${Validator.escapeHtml(session.metadata.version)}` : 'Upload Template'}
                     </button>
                 </div>
             </div>
@@ -484,7 +578,9 @@ class UploadModalManager {
     }
 
     static async handleUploadComplete(data) {
-        ErrorHandler.showSuccess(`Template "${data.templateName}" uploaded successfully! It's now available when creating new projects.`);
+        ErrorHandler.showSuccess(data.isNewVersion
+            ? `Version ${data.version} of "${data.templateName}" published. Projects using it will be offered the update.`
+            : `Template "${data.templateName}" uploaded successfully! It's now available when creating new projects.`);
         await this.loadExistingCategories();
         this.closeModal();
         EventBus.emit('templates:refresh-needed');
@@ -379,6 +379,26 @@ class UploadValidator {
         }
     }
 
+    // Re-check templates already in the library, as `brochure validate-templates` does
+    static async validateLibrary(templates) {
+        const results = [];
+
+        for (const template of templates) {
+            const file = { name: template.filename, size: new Blob([template.content]).size };
+            const validation = await this.validateUploadedFile(file, template.content);
+
+            results.push({
+                id: template.id,
+                path: `${template.category}/${template.template}/pages/${template.filename}`,
+                valid: validation.valid,
+                critical: validation.critical,
+                warnings: validation.warnings
+            });
+        }
+
+        return results;
+    }
+
     static generateValidationReport(validation) {
         const report = {
             title: this.getValidationTitle(validation.summary.level),
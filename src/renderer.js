@@ -3,11 +3,14 @@ import ErrorHandler from './modules/core/ErrorHandler.js';
 import EventBus from './modules/core/EventBus.js';
 import StateManager from './modules/core/StateManager.js';
 import AutoSave from './modules/core/AutoSave.js';
+import HistoryManager from './modules/core/HistoryManager.js';
 
 import ProjectManager from './modules/data/ProjectManager.js';
 import TemplateManager from './modules/data/TemplateManager.js';
 import PageManager from './modules/data/PageManager.js';
 import ImageManager from './modules/data/ImageManager.js';
+import FontManager from './modules/data/FontManager.js';
+import WatermarkManager from './modules/data/WatermarkManager.js';
 
 import UIManager from './modules/ui/UIManager.js';
 import EventManager from './modules/ui/EventManager.js';
@@ -19,13 +22,14 @@ import SearchManager from './modules/ui/SearchManager.js';
 import ElementEditor from './modules/ui/ElementEditor.js';
 
 import UploadModalManager from './modules/upload/UploadModalManager.js';
+import UploadValidator from './modules/upload/UploadValidator.js';
 
 import { EVENTS } from './modules/ui/constants.js';
 
 class BrochureRenderer {
     constructor() {
         this.isInitialized = false;
-        this.init();
+        this.ready = this.init();
     }
 
     async init() {
@@ -56,6 +60,9 @@ class BrochureRenderer {
         console.log('Initializing AutoSave...');
         AutoSave.init();
 
+        console.log('Initializing HistoryManager...');
+        HistoryManager.init();
+
         // Initialize managers
         console.log('Initializing EventManager...');
         EventManager.init();
@@ -85,16 +92,21 @@ class BrochureRenderer {
     }
 
     async initializeData() {
-        // Check OneDrive connection
+        // Check the workspace folder is reachable
         const result = await window.electronAPI.checkOneDriveAccess();
         UIManager.updateConnectionStatus(result.success,
-            result.success ? 'OneDrive Connected' : 'OneDrive Disconnected');
+            result.success ? 'Workspace Connected' : 'Workspace Unavailable');
+        UIManager.updateWorkspacePath(StateManager.getState().basePath);
 
         // Load application data
         await this.loadApplicationData();
     }
 
     async loadApplicationData() {
+        // Fonts first - everything rendered after this embeds them
+        await FontManager.loadFonts();
+        await WatermarkManager.loadConfig();
+
         const loadingPromises = [
             TemplateManager.loadTemplates(),
             ImageManager.loadImages()
@@ -124,6 +136,9 @@ class BrochureRenderer {
 
         // Setup image click handlers
         ImageManager.setupImageClickHandlers();
+        ImageManager.setupImageDropZone();
+
+        UIManager.renderPreflightReport(null);
 
         // Initialize Feather icons
         feather.replace();
@@ -142,6 +157,24 @@ class BrochureRenderer {
             UIManager.updateSaveButton(isDirty);
         });
 
+        EventBus.on(EVENTS.HISTORY_CHANGED, (history) => {
+            UIManager.renderHistoryPanel(history);
+        });
+
+        EventBus.on(EVENTS.PROJECT_LOCK_CHANGED, (lock) => {
+            UIManager.updateLockBanner(lock);
+        });
+
+        // A report only describes the project it was run on
+        EventBus.on(EVENTS.PROJECT_LOADED, () => UIManager.renderPreflightReport(null));
+        EventBus.on(EVENTS.PROJECT_CREATED, () => UIManager.renderPreflightReport(null));
+        EventBus.on(EVENTS.PROJECT_LOADED, () => EventManager.refreshExportHistory());
+        EventBus.on(EVENTS.PROJECT_CREATED, () => EventManager.refreshExportHistory());
+
+        EventBus.on(EVENTS.WORKSPACE_CHANGED, (basePath) => {
+            this.handleWorkspaceChange(basePath);
+        });
+
         EventBus.on(EVENTS.STATE_PROJECT_CHANGED, (project) => {
             if (project) {
                 UIManager.showProjectWorkspace();
@@ -152,6 +185,7 @@ class BrochureRenderer {
             } else {
                 UIManager.hideProjectWorkspace();
                 UIManager.enableProjectControls(false);
+                UIManager.updateTemplateUpdateBanner();
             }
         });
 
@@ -230,6 +264,20 @@ class BrochureRenderer {
 
         getApplicationState() {
             return StateManager.getState();
+        },
+
+        // Command line (brochure export / validate-templates), called from the main process
+        async whenReady() {
+            await brochure.ready;
+            return brochure.isInitialized;
+        },
+
+        async prepareExport(filename, overrides) {
+            return await ProjectManager.prepareHeadlessExport(filename, overrides);
+        },
+
+        async validateTemplates() {
+            return await UploadValidator.validateLibrary(StateManager.getState().templates || []);
         }
     };
 
@@ -243,11 +291,38 @@ class BrochureRenderer {
         EventBus.clear();
     }
 
+    async handleWorkspaceChange(basePath) {
+        console.log('🔀 Workspace changed:', basePath);
+
+        try {
+            // Everything loaded so far belongs to the old workspace
+            AutoSave.cancel();
+            ModalManager.hideAll();
+            ProjectManager.resetCurrentProject();
+            StateManager.setState({ basePath, templates: [], imageLibrary: [] });
+
+            await this.initializeData();
+            TemplateManager.setupTemplateDragAndDrop();
+
+            ErrorHandler.showSuccess(`Workspace switched to ${basePath}`);
+        } catch (error) {
+            ErrorHandler.logError(error, 'BrochureRenderer.handleWorkspaceChange', 'Failed to load the new workspace');
+        }
+    }
+
     setupFileChangeListeners() {
         // Listen for file changes from main process
         window.electronAPI.onFileChange((data) => {
             this.handleFileChange(data);
         });
+
+        window.electronAPI.onProjectLockLost((data) => {
+            ProjectManager.handleLockLost(data);
+        });
+
+        window.electronAPI.onExportProgress((progress) => {
+            UIManager.updateExportProgress(progress);
+        });
     }
 
     async handleFileChange(data) {
@@ -264,21 +339,24 @@ class BrochureRenderer {
                 // Re-render template library
                 EventBus.emit(EVENTS.UI_UPDATE, { type: 'templates-updated' });
 
+                // Open pages keep their template version - flag the ones that can now be updated
+                if (StateManager.getState().currentProject) {
+                    UIManager.renderPageList();
+                }
+
                 // Show notification
                 ErrorHandler.showSuccess(`Templates updated: ${data.event} template detected`);
 
             } else if (data.type === 'images') {
                 console.log('🔄 Reloading image library...');
 
-                // Reload images from main process
-                const images = await window.electronAPI.loadImages();
-                StateManager.setState({ imageLibrary: images });
-
-                // Re-render image library
-                EventBus.emit(EVENTS.UI_UPDATE, { type: 'images-updated' });
+                // Reload and re-render the image library
+                await ImageManager.loadImages();
 
-                // Show notification
-                ErrorHandler.showSuccess('Image library updated automatically');
+                // Background cache fills aren't worth a notification
+                if (data.event !== 'cached') {
+                    ErrorHandler.showSuccess('Image library updated automatically');
+                }
             }
         } catch (error) {
             console.error('Error handling file change:', error);
@@ -299,4 +377,7 @@ window.SearchManager = SearchManager;
 // Expose ModalManager for ElementEditor access
 window.ModalManager = ModalManager;
 
+// Expose ElementEditor for EventManager/ModalManager access
+window.ElementEditor = ElementEditor;
+
 export default BrochureRenderer;
\ No newline at end of file